@@ -0,0 +1,13 @@
+#!/usr/bin/env node
+
+/**
+ * sfz-gen 命令行入口
+ *
+ * 运行方式：npx sfz-gen --help
+ */
+
+const { run } = require('../src/cli');
+
+run(process.argv.slice(2)).then(code => {
+  process.exitCode = code;
+});
@@ -1,7 +1,13 @@
 const ChineseIdGenerator = require('./src/idGenerator');
+const { toCSV, toJSONL, toSQL } = require('./src/utils/writers');
+const { createServer } = require('./src/server');
 
 module.exports = {
-  ChineseIdGenerator
+  ChineseIdGenerator,
+  toCSV,
+  toJSONL,
+  toSQL,
+  createServer
 };
 
 // 以下是示例代码，仅在直接运行此文件时执行
@@ -0,0 +1,527 @@
+/**
+ * 命令行工具
+ * 提供sfz-gen命令的参数解析和各子命令实现
+ */
+
+const fs = require('fs');
+const { pipeline } = require('stream');
+const ChineseIdGenerator = require('./idGenerator');
+const { toCSV, toJSONL, toSQL } = require('./utils/writers');
+const { createServer } = require('./server');
+const { version } = require('../package.json');
+
+const USAGE = `用法: sfz-gen <命令> [选项]
+
+命令:
+  id                      生成身份证号
+  person                  生成个人信息
+  batch                   批量生成个人信息
+  validate <文件>         校验文件中的身份证号（每行一个）
+  areas search <关键字>   搜索地区
+  serve                   启动HTTP模拟服务
+
+选项:
+  --area <名称|编码>      地区名称或6位地区编码，如：北京、武汉、110105
+  --age <年龄>            年龄
+  --birthday <YYYYMMDD>   出生日期
+  --min-age <年龄>        最小年龄
+  --max-age <年龄>        最大年龄
+  --adult                 仅生成成年人（18岁及以上）
+  --minor                 仅生成未成年人（17岁及以下）
+  --gender <性别>         male/female、男/女 或 1/0
+  -n, --count <数量>      生成数量，默认1
+  --format <格式>         输出格式：json、jsonl、csv、sql（id命令默认每行一个）
+  --out <文件>            输出到文件，默认输出到标准输出
+  --seed <种子>           随机种子，相同种子生成相同结果
+  --distribution <分布>   随机地区分布：uniform（默认）、population（按人口比例）
+  --age-distribution <分布>  年龄分布：uniform（默认）、pyramid（按人口年龄金字塔）
+  --match-phone-area      手机号归属地与身份证地区一致
+  --address-format <格式>  地址格式：string（默认）、object（结构化地址）
+  --unique                批量生成时保证身份证号唯一
+  --bom                   CSV输出UTF-8 BOM
+  --chinese-headers       CSV使用中文列名
+  --table <表名>          SQL表名，默认people
+  --dialect <方言>        SQL方言：mysql、postgresql
+  --limit <数量>          搜索结果数量，默认20
+  --level <级别>          搜索的地区级别，逗号分隔：province、city、district、town
+  --port <端口>           HTTP服务端口，默认3000
+  --host <地址>           HTTP服务监听地址，默认127.0.0.1
+  -h, --help              显示帮助
+  -v, --version           显示版本号`;
+
+// 不带值的开关选项
+const BOOLEAN_FLAGS = ['unique', 'bom', 'chinese-headers', 'adult', 'minor', 'match-phone-area', 'help', 'version'];
+
+// 短选项别名
+const ALIASES = { n: 'count', h: 'help', v: 'version', o: 'out' };
+
+/**
+ * 命令行用法错误，退出码为2
+ */
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+/**
+ * 解析命令行参数
+ * @param {Array<string>} argv 参数列表（不含node和脚本路径）
+ * @returns {Object} { args: 位置参数, flags: 选项 }
+ */
+function parseArgs(argv) {
+  const args = [];
+  const flags = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const token = argv[i];
+
+    if (token === '--') {
+      args.push(...argv.slice(i + 1));
+      break;
+    }
+
+    const match = /^--?([^=]+)(?:=(.*))?$/.exec(token);
+    if (!match || /^-\d/.test(token)) {
+      args.push(token);
+      continue;
+    }
+
+    const key = ALIASES[match[1]] || match[1];
+    if (BOOLEAN_FLAGS.includes(key)) {
+      flags[key] = true;
+    } else if (match[2] !== undefined) {
+      flags[key] = match[2];
+    } else if (i + 1 < argv.length) {
+      flags[key] = argv[++i];
+    } else {
+      throw new UsageError(`选项--${key}缺少参数值`);
+    }
+  }
+
+  return { args, flags };
+}
+
+/**
+ * 解析性别参数
+ * @param {string} value 参数值
+ * @returns {number|undefined} 1为男，0为女
+ */
+function parseGender(value) {
+  if (value === undefined) {
+    return undefined;
+  }
+  const normalized = String(value).toLowerCase();
+  if (['male', 'm', '男', '1'].includes(normalized)) {
+    return 1;
+  }
+  if (['female', 'f', '女', '0'].includes(normalized)) {
+    return 0;
+  }
+  throw new UsageError(`无效的性别: ${value}，可选值：male、female、男、女、1、0`);
+}
+
+/**
+ * 解析整数参数
+ * @param {string} value 参数值
+ * @param {string} name 参数名
+ * @param {number} min 最小值
+ * @returns {number|undefined} 整数
+ */
+function parseInteger(value, name, min) {
+  if (value === undefined) {
+    return undefined;
+  }
+  if (!/^\d+$/.test(value) || parseInt(value, 10) < min) {
+    throw new UsageError(`--${name}必须是不小于${min}的整数`);
+  }
+  return parseInt(value, 10);
+}
+
+/**
+ * 根据选项构造生成器配置
+ * @param {Object} flags 选项
+ * @returns {Object} 生成器配置
+ */
+function buildGeneratorOptions(flags) {
+  const generatorOptions = {};
+
+  if (flags.seed !== undefined) {
+    generatorOptions.seed = flags.seed;
+  }
+
+  if (flags.distribution !== undefined) {
+    if (!['uniform', 'population'].includes(flags.distribution)) {
+      throw new UsageError(`不支持的地区分布: ${flags.distribution}，可选值：uniform、population`);
+    }
+    generatorOptions.distribution = flags.distribution;
+  }
+
+  if (flags['age-distribution'] !== undefined) {
+    if (!['uniform', 'pyramid'].includes(flags['age-distribution'])) {
+      throw new UsageError(`不支持的年龄分布: ${flags['age-distribution']}，可选值：uniform、pyramid`);
+    }
+    generatorOptions.ageDistribution = flags['age-distribution'];
+  }
+
+  if (flags['address-format'] !== undefined) {
+    if (!['string', 'object'].includes(flags['address-format'])) {
+      throw new UsageError(`不支持的地址格式: ${flags['address-format']}，可选值：string、object`);
+    }
+    generatorOptions.addressFormat = flags['address-format'];
+  }
+
+  if (flags['match-phone-area']) {
+    generatorOptions.phoneOptions = { matchArea: true };
+  }
+
+  return generatorOptions;
+}
+
+/**
+ * 根据选项构造生成参数
+ * 地区只解析一次，省级、市级编码保持原样，由withDistrict或批量生成为每条记录选择区县
+ * @param {ChineseIdGenerator} generator 生成器
+ * @param {Object} flags 选项
+ * @returns {Object} 生成参数
+ */
+function buildOptions(generator, flags) {
+  const options = {};
+
+  if (flags.area !== undefined) {
+    const areaCode = generator.resolveAreaCode(flags.area, { pickDistrict: false });
+    if (!areaCode) {
+      throw new Error(`未找到地区"${flags.area}"`);
+    }
+    options.areaCode = areaCode;
+  }
+
+  const age = parseInteger(flags.age, 'age', 0);
+  if (age !== undefined) {
+    options.age = age;
+  }
+
+  if (flags.birthday !== undefined) {
+    options.birthday = flags.birthday;
+  }
+
+  const minAge = parseInteger(flags['min-age'], 'min-age', 0);
+  if (minAge !== undefined) {
+    options.minAge = minAge;
+  }
+
+  const maxAge = parseInteger(flags['max-age'], 'max-age', 0);
+  if (maxAge !== undefined) {
+    options.maxAge = maxAge;
+  }
+
+  if (flags.adult && flags.minor) {
+    throw new UsageError('--adult和--minor不能同时使用');
+  }
+  if (flags.adult || flags.minor) {
+    options.ageGroup = flags.adult ? 'adult' : 'minor';
+  }
+
+  const gender = parseGender(flags.gender);
+  if (gender !== undefined) {
+    options.gender = gender;
+  }
+
+  // 提前校验选项，无效日期或参数冲突属于用法错误
+  try {
+    generator.validateIdCardOptions(options);
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  return options;
+}
+
+/**
+ * 为生成参数中的省级、市级地区编码随机选择区县
+ * @param {ChineseIdGenerator} generator 生成器
+ * @param {Object} options 生成参数
+ * @returns {Object} 生成参数
+ */
+function withDistrict(generator, options) {
+  return options.areaCode ? { ...options, areaCode: generator.resolveAreaCode(options.areaCode) } : options;
+}
+
+/**
+ * 将记录数组格式化为指定格式的文本
+ * @param {Array|AsyncIterable} records 记录
+ * @param {Object} flags 选项
+ * @returns {string|Readable} 文本或文本流
+ */
+function formatRecords(records, flags) {
+  switch (flags.format || 'json') {
+    case 'json':
+      return JSON.stringify(records, null, 2) + '\n';
+    case 'jsonl':
+      return toJSONL(records);
+    case 'csv':
+      return toCSV(records, { bom: flags.bom, chineseHeaders: flags['chinese-headers'] });
+    case 'sql':
+      return toSQL(records, { table: flags.table, dialect: flags.dialect });
+    default:
+      throw new UsageError(`不支持的输出格式: ${flags.format}，可选值：json、jsonl、csv、sql`);
+  }
+}
+
+/**
+ * 输出文本或文本流
+ * @param {string|Readable} output 输出内容
+ * @param {Object} flags 选项
+ * @param {Object} io 输入输出
+ * @returns {Promise<void>}
+ */
+function writeOutput(output, flags, io) {
+  if (!flags.out) {
+    return writeStdout(output, io.stdout);
+  }
+
+  const target = fs.createWriteStream(flags.out);
+  if (typeof output === 'string') {
+    return new Promise((resolve, reject) => {
+      target.on('error', reject);
+      target.end(output, resolve);
+    });
+  }
+
+  return new Promise((resolve, reject) => {
+    pipeline(output, target, error => (error ? reject(error) : resolve()));
+  });
+}
+
+/**
+ * 输出到标准输出，不关闭标准输出
+ * 下游提前关闭（如管道到head）产生的EPIPE视为正常结束，停止生成剩余数据
+ * @param {string|Readable} output 输出内容
+ * @param {Writable} stdout 标准输出
+ * @returns {Promise<void>}
+ */
+function writeStdout(output, stdout) {
+  const isStream = typeof output !== 'string';
+
+  return new Promise((resolve, reject) => {
+    let settled = false;
+    const finish = error => {
+      if (settled) {
+        return;
+      }
+      settled = true;
+      if (isStream && error) {
+        output.unpipe(stdout);
+        output.destroy();
+      }
+      if (error && error.code !== 'EPIPE') {
+        reject(error);
+      } else {
+        resolve();
+      }
+    };
+
+    // 写入错误可能在回调之后才以error事件发出，监听器保留以免成为未处理的错误
+    stdout.on('error', finish);
+    if (!isStream) {
+      stdout.write(output, error => finish(error));
+      return;
+    }
+
+    output.on('error', finish);
+    // 等待已写入的数据刷新后再结束，使写入错误能被捕获
+    output.on('end', () => stdout.write('', error => finish(error)));
+    output.pipe(stdout, { end: false });
+  });
+}
+
+/**
+ * id命令：生成身份证号
+ */
+function commandId(generator, flags, io) {
+  const count = parseInteger(flags.count, 'count', 1) || 1;
+
+  // 每条记录重新选择区县，使市级地区分布到各区县
+  const options = buildOptions(generator, flags);
+  const idCards = [];
+  for (let i = 0; i < count; i++) {
+    idCards.push(generator.generateIdCard(withDistrict(generator, options)));
+  }
+
+  const output = flags.format ? formatRecords(idCards.map(idCard => ({ idCard })), flags) : idCards.join('\n') + '\n';
+  return writeOutput(output, flags, io);
+}
+
+/**
+ * person命令：生成个人信息
+ */
+function commandPerson(generator, flags, io) {
+  const count = parseInteger(flags.count, 'count', 1) || 1;
+
+  // 每条记录重新选择区县，使市级地区分布到各区县
+  const options = buildOptions(generator, flags);
+  const people = [];
+  for (let i = 0; i < count; i++) {
+    people.push(generator.generatePersonInfo(withDistrict(generator, options)));
+  }
+
+  const records = count === 1 && (!flags.format || flags.format === 'json') ? people[0] : people;
+  return writeOutput(formatRecords(records, flags), flags, io);
+}
+
+/**
+ * batch命令：批量生成个人信息
+ * json格式一次性生成，其他格式使用流式生成以支持海量数据
+ */
+function commandBatch(generator, flags, io) {
+  const count = parseInteger(flags.count, 'count', 1) || 1;
+  // 省级、市级地区由批量生成为每条记录选择区县
+  const options = buildOptions(generator, flags);
+  if (flags.unique) {
+    options.unique = true;
+  }
+
+  const format = flags.format || 'json';
+  const records = format === 'json' ? generator.generateBatch(count, options) : generator.generateStream(count, options);
+  return writeOutput(formatRecords(records, flags), flags, io);
+}
+
+/**
+ * validate命令：校验文件中的身份证号
+ * 存在无效身份证号时退出码为1
+ */
+function commandValidate(generator, flags, io, file) {
+  if (!file) {
+    throw new UsageError('请指定要校验的文件，如：sfz-gen validate ids.txt');
+  }
+
+  const lines = fs.readFileSync(file, 'utf8').split(/\r?\n/);
+  const results = [];
+  lines.forEach((line, index) => {
+    const idCard = line.trim();
+    if (idCard && !idCard.startsWith('#')) {
+      results.push({ line: index + 1, ...generator.parseIdCard(idCard) });
+    }
+  });
+
+  const invalidCount = results.filter(result => !result.valid).length;
+
+  if (flags.format === 'json') {
+    io.stdout.write(JSON.stringify(results, null, 2) + '\n');
+  } else {
+    results.forEach(result => {
+      if (result.valid) {
+        io.stdout.write(`${result.line}\t${result.idCard}\t有效\n`);
+      } else {
+        const reasons = result.errors.map(error => `[${error.rule}] ${error.message}`).join('; ');
+        io.stdout.write(`${result.line}\t${result.idCard}\t无效\t${reasons}\n`);
+      }
+    });
+    io.stdout.write(`共${results.length}个，有效${results.length - invalidCount}个，无效${invalidCount}个\n`);
+  }
+
+  return Promise.resolve(invalidCount > 0 ? 1 : 0);
+}
+
+/**
+ * areas命令：搜索地区
+ */
+function commandAreas(generator, flags, io, subcommand, keyword) {
+  if (subcommand !== 'search' || !keyword) {
+    throw new UsageError('用法: sfz-gen areas search <关键字>');
+  }
+
+  const limit = parseInteger(flags.limit, 'limit', 1);
+  const level = flags.level ? flags.level.split(',') : undefined;
+  if (level && level.some(item => !generator.AREA_LEVELS.includes(item))) {
+    throw new UsageError(`不支持的地区级别: ${flags.level}，可选值：${generator.AREA_LEVELS.join('、')}`);
+  }
+  const areas = generator.searchAreas(keyword, { limit, level });
+
+  if (flags.format === 'json') {
+    io.stdout.write(JSON.stringify(areas, null, 2) + '\n');
+  } else {
+    areas.forEach(item => io.stdout.write(`${item.code}\t${item.path}\n`));
+  }
+
+  return Promise.resolve(areas.length > 0 ? 0 : 1);
+}
+
+/**
+ * serve命令：启动HTTP模拟服务，收到SIGINT/SIGTERM时关闭
+ */
+function commandServe(generator, flags, io) {
+  const port = parseInteger(flags.port, 'port', 0);
+  const host = flags.host || '127.0.0.1';
+  const server = createServer({ generator });
+
+  return new Promise((resolve, reject) => {
+    const shutdown = () => server.close();
+    server.on('error', reject);
+    server.on('close', () => {
+      process.removeListener('SIGINT', shutdown);
+      process.removeListener('SIGTERM', shutdown);
+      resolve(0);
+    });
+    server.listen(port === undefined ? 3000 : port, host, () => {
+      const address = server.address();
+      io.stdout.write(`sfz-gen 模拟服务已启动: http://${host}:${address.port}\n`);
+      process.once('SIGINT', shutdown);
+      process.once('SIGTERM', shutdown);
+    });
+  });
+}
+
+const COMMANDS = {
+  id: commandId,
+  person: commandPerson,
+  batch: commandBatch,
+  validate: commandValidate,
+  areas: commandAreas,
+  serve: commandServe
+};
+
+/**
+ * 运行命令行
+ * @param {Array<string>} argv 参数列表（不含node和脚本路径）
+ * @param {Object} io 输入输出，默认使用process.stdout和process.stderr
+ * @returns {Promise<number>} 退出码：0成功，1失败，2用法错误
+ */
+async function run(argv, io = { stdout: process.stdout, stderr: process.stderr }) {
+  try {
+    const { args, flags } = parseArgs(argv);
+    const [command, ...rest] = args;
+
+    if (flags.version) {
+      io.stdout.write(`${version}\n`);
+      return 0;
+    }
+
+    if (flags.help || !command) {
+      io.stdout.write(`${USAGE}\n`);
+      return flags.help ? 0 : 2;
+    }
+
+    const handler = COMMANDS[command];
+    if (!handler) {
+      throw new UsageError(`未知命令: ${command}`);
+    }
+
+    const generator = new ChineseIdGenerator(buildGeneratorOptions(flags));
+    const code = await handler(generator, flags, io, ...rest);
+    return typeof code === 'number' ? code : 0;
+  } catch (error) {
+    io.stderr.write(`错误: ${error.message}\n`);
+    if (error instanceof UsageError) {
+      io.stderr.write('使用 sfz-gen --help 查看帮助\n');
+      return 2;
+    }
+    return 1;
+  }
+}
+
+module.exports = {
+  run,
+  parseArgs
+};
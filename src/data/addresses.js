@@ -0,0 +1,207 @@
+/**
+ * 地址用词数据
+ * 道路名称模板用词，以及各地区的道路、小区、商业建筑词典
+ */
+
+// 常见道路名称用词
+const ROAD_ROOTS = [
+  '中山', '人民', '解放', '建设', '和平', '胜利', '新华', '文化', '长江', '黄河',
+  '光明', '青年', '友谊', '迎宾', '朝阳', '建国', '东风', '红旗', '工农', '幸福',
+  '团结', '民主', '振兴', '复兴', '滨江', '滨河', '环城', '学府', '府前', '育才',
+  '体育', '花园', '公园', '车站', '新民', '延安', '长安', '健康', '金融', '科技',
+  '创业', '锦绣', '凤凰', '龙山', '人和', '太平', '永安', '兴华', '北京', '南京'
+];
+
+// 道路名称后缀及权重
+const ROAD_SUFFIXES = [
+  { suffix: '路', weight: 50 },
+  { suffix: '街', weight: 20 },
+  { suffix: '大道', weight: 15 },
+  { suffix: '巷', weight: 15 }
+];
+
+// 方位道路（如中山东路）使用的方位词
+const ROAD_DIRECTIONS = ['东', '西', '南', '北', '中'];
+
+// 编号道路（如经三路、纬五路）使用的数字
+const ROAD_NUMERALS = ['一', '二', '三', '四', '五', '六', '七', '八', '九', '十'];
+
+// 村名用词：姓氏（王家庄、张营）、方位及形容词（前营、北沟）、地形地物、寓意（红星、丰收）
+const VILLAGE_SURNAMES = [
+  '王', '李', '张', '刘', '陈', '杨', '赵', '黄', '周', '吴',
+  '徐', '孙', '胡', '朱', '高', '林', '何', '郭', '马', '罗'
+];
+const VILLAGE_PREFIXES = ['东', '西', '南', '北', '前', '后', '上', '下', '大', '小', '新', '老'];
+const VILLAGE_FEATURES = ['河', '沟', '坡', '岭', '湾', '桥', '坝', '洼', '塘', '岗', '庄', '堡'];
+const VILLAGE_AUSPICIOUS = ['红星', '胜利', '光明', '幸福', '新华', '丰收', '联合', '永丰', '太平', '和平', '团结', '民主'];
+
+// 村名后缀（如王家庄、李家湾），地区词典可通过villageSuffixes替换
+const VILLAGE_SUFFIXES = ['庄', '村', '湾', '坪', '岗', '营', '店', '集', '寨', '沟'];
+
+/**
+ * 各地区的地址词典
+ * 键为地区编码前缀：省级编码前2位、市级编码前4位或6位区县编码，越具体的词典优先级越高
+ * streetStyle：hutong（胡同、条）、lane（弄、支弄）或road（道路门牌号，默认）
+ * roads：道路名称；hutongs：胡同名称；communities：小区名称；communitySuffixes：生成小区名称时使用的后缀；buildings：商业建筑名称；
+ * villages：村名；villageSuffixes：生成村名时使用的地方特色后缀
+ */
+const REGION_DICTIONARIES = {
+  // 北京市
+  '11': {
+    streetStyle: 'hutong',
+    roads: [
+      '东长安街', '建国门外大街', '朝阳门北大街', '东三环中路', '北四环西路', '中关村大街', '学院路', '知春路',
+      '三里屯路', '工人体育场北路', '亮马桥路', '望京街', '阜成路', '复兴路', '广安门内大街', '交道口南大街',
+      '地安门外大街', '鼓楼东大街', '安定门外大街', '和平里东街', '劲松路', '西直门外大街', '德胜门外大街', '朝阳北路'
+    ],
+    hutongs: [
+      '史家胡同', '南锣鼓巷', '帽儿胡同', '菊儿胡同', '方家胡同', '五道营胡同', '钱粮胡同', '砖塔胡同',
+      '东四三条', '东四六条', '东四十条', '西四北三条', '西四北六条', '北新桥三条', '东交民巷', '西交民巷',
+      '杨梅竹斜街', '烟袋斜街', '棉花胡同', '雨儿胡同', '黑芝麻胡同', '炒豆胡同', '北锣鼓巷', '箭厂胡同'
+    ],
+    communities: [
+      '团结湖北里', '劲松小区', '望京西园', '天通苑', '回龙观', '和平里', '安贞里', '惠新里',
+      '甜水园', '翠微路小区', '万寿路小区', '百万庄', '紫竹院小区', '北太平庄', '牡丹园', '知春里', '芍药居'
+    ],
+    communitySuffixes: ['小区', '里', '家园', '园', '苑'],
+    villageSuffixes: ['庄', '营', '峪', '沟', '坨', '店']
+  },
+  // 天津市
+  '12': { villageSuffixes: ['庄', '营', '沽', '坨', '口', '店'] },
+  // 河北省
+  '13': { villageSuffixes: ['庄', '营', '屯', '店', '集', '堡'] },
+  // 山西省
+  '14': { villageSuffixes: ['庄', '坪', '沟', '峪', '堡', '塬'] },
+  // 辽宁省
+  '21': { villageSuffixes: ['屯', '堡', '岗', '沟', '窝堡', '甸子'] },
+  // 吉林省
+  '22': { villageSuffixes: ['屯', '堡', '岗', '沟', '甸子', '店'] },
+  // 黑龙江省
+  '23': { villageSuffixes: ['屯', '堡', '岗', '沟', '窝棚', '店'] },
+  // 上海市
+  '31': {
+    streetStyle: 'lane',
+    roads: [
+      '南京东路', '南京西路', '淮海中路', '延安中路', '四川北路', '西藏中路', '复兴中路', '陕西北路',
+      '武宁路', '曹杨路', '中山北路', '长寿路', '大连路', '控江路', '杨树浦路', '四平路',
+      '张杨路', '世纪大道', '浦东南路', '东方路', '沪闵路', '共和新路', '广中路', '江苏路'
+    ],
+    communities: [
+      '曹杨新村', '控江新村', '鞍山新村', '田林新村', '康健新村', '长白新村', '凉城新村', '彭浦新村',
+      '金杨新村', '上钢新村'
+    ],
+    communitySuffixes: ['新村', '小区', '苑', '公寓', '花园'],
+    villageSuffixes: ['宅', '浜', '泾', '塘', '桥', '埭']
+  },
+  // 江苏省
+  '32': { villageSuffixes: ['庄', '圩', '港', '桥', '舍', '墩'] },
+  // 浙江省
+  '33': { villageSuffixes: ['岙', '坑', '埠', '桥', '塘', '溪'] },
+  // 安徽省
+  '34': { villageSuffixes: ['圩', '庄', '集', '岗', '湾', '店'] },
+  // 福建省
+  '35': { villageSuffixes: ['厝', '坑', '坂', '洋', '兜', '垄'] },
+  // 江西省
+  '36': { villageSuffixes: ['坊', '湾', '垅', '坑', '源', '排'] },
+  // 山东省
+  '37': { villageSuffixes: ['庄', '疃', '营', '屯', '店', '集'] },
+  // 河南省
+  '41': { villageSuffixes: ['庄', '营', '寨', '集', '店', '屯'] },
+  // 湖北省
+  '42': { villageSuffixes: ['湾', '垸', '畈', '冲', '岗', '铺'] },
+  // 湖南省
+  '43': { villageSuffixes: ['冲', '湾', '塅', '坳', '铺', '垸'] },
+  // 广东省
+  '44': { villageSuffixes: ['围', '坑', '寮', '塘', '岭', '屋'] },
+  // 广西壮族自治区
+  '45': { villageSuffixes: ['屯', '寨', '岭', '坡', '垌', '那'] },
+  // 四川省
+  '51': { villageSuffixes: ['坝', '坪', '湾', '沟', '场', '垭'] },
+  // 贵州省
+  '52': { villageSuffixes: ['寨', '坝', '坡', '冲', '堡', '屯'] },
+  // 云南省
+  '53': { villageSuffixes: ['寨', '营', '哨', '坝', '箐', '村'] },
+  // 陕西省
+  '61': { villageSuffixes: ['堡', '塬', '坪', '沟', '寨', '庄'] },
+  // 甘肃省
+  '62': { villageSuffixes: ['堡', '湾', '岔', '川', '沟', '庄'] },
+  // 上海市徐汇区
+  '310104': {
+    roads: [
+      '衡山路', '淮海中路', '漕溪北路', '肇嘉浜路', '天钥桥路', '虹桥路', '宜山路', '零陵路',
+      '斜土路', '田林路', '钦州路', '桂林路', '武康路', '永嘉路', '建国西路', '复兴西路',
+      '康平路', '天平路', '华山路', '龙吴路', '凯旋路', '东安路', '中山南二路', '龙华中路'
+    ],
+    communities: ['田林新村', '康健新村', '长桥新村', '徐汇新村', '汇成新村', '上海新村']
+  },
+  // 广州市
+  '4401': {
+    roads: [
+      '中山五路', '北京路', '环市东路', '天河路', '天河北路', '体育西路', '黄埔大道西', '广州大道中',
+      '东风中路', '解放北路', '江南大道中', '工业大道', '中山大道西', '临江大道', '花城大道'
+    ],
+    communities: ['华景新城', '祈福新邨', '丽江花园', '锦绣天伦花园', '东湖新村', '淘金北小区'],
+    communitySuffixes: ['花园', '新村', '苑', '新城', '小区']
+  },
+  // 深圳市
+  '4403': {
+    roads: [
+      '深南大道', '滨海大道', '北环大道', '红荔路', '华强北路', '福华路', '科苑路', '南海大道',
+      '宝安大道', '龙岗大道', '民治大道', '梅林路', '莲花路', '皇岗路', '彩田路'
+    ],
+    communities: ['梅林一村', '莲花北村', '百花园', '景田小区', '华侨城', '蔚蓝海岸'],
+    communitySuffixes: ['花园', '苑', '村', '小区', '家园']
+  },
+  // 武汉市
+  '4201': {
+    roads: [
+      '解放大道', '中山大道', '建设大道', '京汉大道', '沿江大道', '武珞路', '珞喻路', '中南路',
+      '中北路', '徐东大街', '雄楚大道', '光谷大道', '汉阳大道', '鹦鹉大道', '江汉路'
+    ],
+    communities: ['百步亭花园', '常青花园', '东湖新村', '南湖花园']
+  },
+  // 杭州市
+  '3301': {
+    roads: [
+      '延安路', '文三路', '文二路', '文一路', '学院路', '天目山路', '凤起路', '庆春路',
+      '解放路', '体育场路', '西湖大道', '江南大道', '钱江路', '莫干山路', '古墩路'
+    ],
+    communities: ['翠苑新村', '嘉绿苑', '骆家庄', '采荷新村', '朝晖小区']
+  },
+  // 南京市
+  '3201': {
+    roads: [
+      '中山路', '中山北路', '中山南路', '中山东路', '北京东路', '北京西路', '汉中路', '珠江路',
+      '广州路', '上海路', '湖南路', '龙蟠路', '江东中路', '应天大街', '集庆门大街'
+    ],
+    communities: ['龙江小区', '南湖小区', '月牙湖小区', '锁金村', '五塘新村']
+  },
+  // 成都市
+  '5101': {
+    roads: [
+      '人民南路', '人民北路', '蜀都大道', '天府大道', '红星路', '春熙路', '科华北路', '玉林南路',
+      '建设路', '府青路', '青羊大道', '光华大道', '锦华路'
+    ],
+    communities: ['玉林小区', '芳草小区', '桐梓林', '营门口小区']
+  },
+  // 郑州市
+  '4101': {
+    roads: [
+      '经三路', '经七路', '纬二路', '纬五路', '金水路', '花园路', '农业路', '中原路',
+      '建设路', '嵩山路', '大学路', '文化路', '商都路'
+    ]
+  }
+};
+
+module.exports = {
+  ROAD_ROOTS,
+  ROAD_SUFFIXES,
+  ROAD_DIRECTIONS,
+  ROAD_NUMERALS,
+  VILLAGE_SURNAMES,
+  VILLAGE_PREFIXES,
+  VILLAGE_FEATURES,
+  VILLAGE_AUSPICIOUS,
+  VILLAGE_SUFFIXES,
+  REGION_DICTIONARIES
+};
@@ -0,0 +1,107 @@
+/**
+ * 地区别名数据
+ * 用于地区名称的简称、去后缀名称和拼音匹配
+ */
+
+// 省级行政区简称，键为省级编码前2位，部分省份有两个常用简称
+const PROVINCE_ABBREVIATIONS = {
+  '11': ['京'],
+  '12': ['津'],
+  '13': ['冀'],
+  '14': ['晋'],
+  '15': ['蒙'],
+  '21': ['辽'],
+  '22': ['吉'],
+  '23': ['黑'],
+  '31': ['沪'],
+  '32': ['苏'],
+  '33': ['浙'],
+  '34': ['皖'],
+  '35': ['闽'],
+  '36': ['赣'],
+  '37': ['鲁'],
+  '41': ['豫'],
+  '42': ['鄂'],
+  '43': ['湘'],
+  '44': ['粤'],
+  '45': ['桂'],
+  '46': ['琼'],
+  '50': ['渝'],
+  '51': ['川', '蜀'],
+  '52': ['贵', '黔'],
+  '53': ['云', '滇'],
+  '54': ['藏'],
+  '61': ['陕', '秦'],
+  '62': ['甘', '陇'],
+  '63': ['青'],
+  '64': ['宁'],
+  '65': ['新'],
+  '71': ['台'],
+  '81': ['港'],
+  '82': ['澳']
+};
+
+// 地区名称的行政区划后缀，按长度降序排列，去掉后缀得到简称（武汉市→武汉）
+const AREA_SUFFIXES = [
+  '特别行政区', '自治区', '自治州', '自治县', '自治旗', '地区', '林区', '新区', '省', '市', '盟', '区', '县', '旗'
+];
+
+// 民族名称（不含"族"字），用于去掉自治地方名称中的民族部分（恩施土家族苗族自治州→恩施）
+const ETHNIC_GROUPS = [
+  '蒙古', '回', '藏', '维吾尔', '苗', '彝', '壮', '布依', '朝鲜', '满', '侗', '瑶', '白', '土家', '哈尼',
+  '哈萨克', '傣', '黎', '傈僳', '佤', '畲', '拉祜', '水', '东乡', '纳西', '景颇', '柯尔克孜', '土', '达斡尔',
+  '仫佬', '羌', '布朗', '撒拉', '毛南', '仡佬', '锡伯', '阿昌', '普米', '塔吉克', '怒', '鄂温克', '德昂',
+  '保安', '裕固', '京', '独龙', '鄂伦春', '赫哲', '门巴', '珞巴', '基诺', '各'
+];
+
+// 地名中的多音字读音，字典默认读音与地名读音不同时使用，拼音以空格分隔音节
+const PLACE_PINYIN = {
+  '重庆': 'chong qing',
+  '厦门': 'xia men',
+  '陕西': 'shaan xi',
+  '西藏': 'xi zang',
+  '藏族': 'zang zu',
+  '朝阳': 'chao yang',
+  '行唐': 'xing tang',
+  '蚌埠': 'beng bu',
+  '六安': 'lu an',
+  '番禺': 'pan yu',
+  '单县': 'shan xian',
+  '铅山': 'yan shan',
+  '覃塘': 'qin tang',
+  '牟平': 'mu ping',
+  '洪洞': 'hong tong',
+  '乐亭': 'lao ting',
+  '乐清': 'yue qing',
+  '东阿': 'dong e',
+  '长子': 'zhang zi',
+  '涡阳': 'guo yang',
+  '浚县': 'xun xian',
+  '泌阳': 'bi yang',
+  '繁峙': 'fan shi',
+  '歙县': 'she xian',
+  '犍为': 'qian wei',
+  '筠连': 'jun lian',
+  '蔚县': 'yu xian',
+  '枞阳': 'zong yang',
+  '睢宁': 'sui ning',
+  '睢县': 'sui xian',
+  '睢阳': 'sui yang',
+  '黄陂': 'huang pi',
+  '荥经': 'ying jing',
+  '莎车': 'sha che',
+  '尉犁': 'yu li',
+  '硚口': 'qiao kou',
+  '大埔': 'da bu',
+  '称多': 'chen duo',
+  '扎赉特': 'zha lai te',
+  '调兵山': 'diao bing shan',
+  '伽师': 'jia shi'
+};
+
+module.exports = {
+  PROVINCE_ABBREVIATIONS,
+  AREA_SUFFIXES,
+  ETHNIC_GROUPS,
+  PLACE_PINYIN
+};
@@ -0,0 +1,202 @@
+/**
+ * 按年代和性别划分的名字数据
+ * 收录各年代出生人口中常见的单字名和双字名，用于生成与出生年份相符的名字
+ */
+
+// 键为出生年代（1950表示1950-1959年），singleRatio为单字名所占比例
+const GIVEN_NAMES = {
+  1950: {
+    singleRatio: 0.2,
+    male: {
+      single: [
+        '军', '强', '刚', '伟', '勇', '华', '明', '平', '斌', '杰', '林', '忠', '福', '海', '山', '兵', '成', '涛'
+      ],
+      double: [
+        '建国', '建华', '建军', '建平', '国庆', '国强', '国华', '国栋', '卫国', '志强', '志明', '志刚',
+        '德明', '德华', '振华', '振国', '光明', '解放', '援朝', '胜利', '和平', '跃进', '永生', '保国',
+        '抗美', '新民', '庆祥', '福生', '长青', '金山', '玉山', '海峰', '俊杰', '文斌', '明亮'
+      ]
+    },
+    female: {
+      single: [
+        '英', '兰', '珍', '芳', '梅', '华', '霞', '凤', '琴', '云', '萍', '敏', '娟', '莲', '荣', '秀', '玲', '红'
+      ],
+      double: [
+        '秀英', '桂英', '秀兰', '玉兰', '桂兰', '秀珍', '凤英', '玉珍', '玉英', '兰英', '淑珍', '淑英',
+        '桂芳', '秀芳', '凤兰', '玉梅', '素珍', '美华', '淑华', '秀云', '桂珍', '建华', '国英', '翠兰',
+        '玉芳', '丽华', '春梅', '冬梅', '金凤', '爱华', '爱珍', '红英'
+      ]
+    }
+  },
+  1960: {
+    singleRatio: 0.25,
+    male: {
+      single: [
+        '军', '强', '伟', '勇', '刚', '兵', '东', '红', '明', '平', '林', '斌', '波', '涛', '峰', '杰', '辉', '建'
+      ],
+      double: [
+        '卫东', '卫国', '向东', '向阳', '红军', '红兵', '文革', '立新', '建设', '建新', '建军', '建平',
+        '建明', '爱国', '志刚', '志勇', '志军', '国平', '国伟', '海军', '海涛', '东风', '学军', '卫兵',
+        '永红', '跃进', '春生', '秋生', '新华', '立军', '庆丰', '长江'
+      ]
+    },
+    female: {
+      single: [
+        '红', '霞', '梅', '英', '华', '芳', '萍', '敏', '丽', '娟', '玲', '燕', '琴', '兰', '云', '珍', '静', '艳'
+      ],
+      double: [
+        '红梅', '红霞', '卫红', '秀英', '秀珍', '建华', '玉兰', '桂兰', '丽华', '丽娟', '春梅', '冬梅',
+        '红英', '爱华', '爱红', '爱民', '桂芳', '淑华', '秀芳', '凤霞', '美玲', '立红', '彩霞', '金花',
+        '小红', '向红', '素华', '雪梅', '海燕', '玉梅', '翠英', '丽君'
+      ]
+    }
+  },
+  1970: {
+    singleRatio: 0.3,
+    male: {
+      single: [
+        '伟', '强', '军', '勇', '刚', '斌', '涛', '峰', '磊', '明', '杰', '辉', '波', '鹏', '兵', '平', '亮', '超'
+      ],
+      double: [
+        '志强', '志勇', '志伟', '志华', '建华', '建伟', '建军', '海涛', '海波', '海峰', '永强', '永刚',
+        '永军', '晓东', '晓明', '晓峰', '晓军', '小军', '小平', '俊峰', '国华', '国强', '卫东', '红伟',
+        '春雷', '新华', '立新', '宏伟', '宏亮', '国庆', '学文', '德胜'
+      ]
+    },
+    female: {
+      single: [
+        '燕', '红', '丽', '艳', '霞', '萍', '敏', '娟', '芳', '静', '梅', '玲', '华', '英', '琴', '琳', '莉', '洁'
+      ],
+      double: [
+        '丽华', '丽娟', '丽萍', '丽红', '秀梅', '艳红', '艳丽', '红霞', '海燕', '春燕', '晓燕', '晓红',
+        '晓梅', '晓丽', '小红', '小燕', '玉梅', '桂芳', '美玲', '淑芬', '雪梅', '彩霞', '秀云', '凤霞',
+        '爱华', '红梅', '建英', '春梅', '玉芳', '文静', '慧敏', '金凤'
+      ]
+    }
+  },
+  1980: {
+    singleRatio: 0.35,
+    male: {
+      single: [
+        '伟', '磊', '勇', '涛', '超', '杰', '鹏', '强', '军', '斌', '峰', '浩', '亮', '明', '辉', '刚', '波', '健', '龙', '宇'
+      ],
+      double: [
+        '晓东', '晓明', '晓峰', '晓龙', '海涛', '海波', '建伟', '志强', '志伟', '文博', '文杰', '俊杰',
+        '俊峰', '鹏飞', '鹏程', '云飞', '振宇', '家伟', '国栋', '明辉', '立伟', '晨光', '建华', '永强',
+        '小龙', '金龙', '春雷', '东升', '新宇', '剑锋', '少华', '志鹏'
+      ]
+    },
+    female: {
+      single: [
+        '静', '丽', '敏', '燕', '艳', '娟', '霞', '芳', '婷', '洁', '玲', '琳', '莉', '倩', '丹', '萍', '颖', '雪', '慧', '晶'
+      ],
+      double: [
+        '丽娟', '丽丽', '婷婷', '晓燕', '晓丽', '晓红', '晓琳', '海燕', '艳丽', '艳红', '春燕', '美玲',
+        '秀梅', '雪梅', '玉婷', '丹丹', '倩倩', '静静', '莉莉', '佳佳', '小燕', '金玲', '红艳', '慧敏',
+        '雅琴', '文静', '婉婷', '丽君', '丽萍', '晶晶', '媛媛', '芳芳'
+      ]
+    }
+  },
+  1990: {
+    singleRatio: 0.3,
+    male: {
+      single: [
+        '浩', '宇', '鑫', '杰', '磊', '鹏', '帅', '超', '博', '凯', '阳', '健', '晨', '涛', '强', '斌', '龙', '帆', '昊', '翔'
+      ],
+      double: [
+        '浩然', '宇航', '子豪', '俊杰', '文杰', '志豪', '家豪', '嘉伟', '天宇', '博文', '振宇', '一帆',
+        '鹏飞', '宇轩', '明轩', '浩宇', '晨阳', '皓轩', '家乐', '俊豪', '思远', '天翔', '泽宇', '子健',
+        '子轩', '世杰', '凯文', '伟杰', '佳伟', '梓豪', '晓宇', '嘉俊'
+      ]
+    },
+    female: {
+      single: [
+        '婷', '静', '敏', '雪', '颖', '琳', '倩', '洁', '丹', '晶', '慧', '璐', '莹', '妍', '琪', '欣', '萌', '瑶', '悦', '楠'
+      ],
+      double: [
+        '婷婷', '欣怡', '雨婷', '佳怡', '思雨', '梦琪', '雅琪', '静怡', '诗涵', '晓雪', '佳慧', '心怡',
+        '雨欣', '晓婷', '倩倩', '丹丹', '雪莹', '佳琪', '梦瑶', '雅婷', '文静', '思琪', '美琳', '紫薇',
+        '慧敏', '佳欣', '梦婷', '嘉怡', '晓萌', '雨晴', '静雯', '梦洁'
+      ]
+    }
+  },
+  2000: {
+    singleRatio: 0.15,
+    male: {
+      single: [
+        '浩', '宇', '轩', '昊', '博', '鑫', '睿', '哲', '泽', '涵', '晨', '杰', '凯', '阳', '豪', '森', '翔', '帆', '铭', '航'
+      ],
+      double: [
+        '子轩', '浩宇', '浩然', '宇轩', '俊豪', '梓豪', '宇航', '博文', '家豪', '子豪', '天佑', '皓轩',
+        '明轩', '一鸣', '昊天', '俊熙', '思源', '泽宇', '佳豪', '博涛', '俊宇', '嘉豪', '文轩', '志豪',
+        '梓轩', '子墨', '晨曦', '浩轩', '伟宸', '鸿涛', '煜城', '睿泽'
+      ]
+    },
+    female: {
+      single: [
+        '涵', '萱', '怡', '琪', '欣', '妍', '悦', '彤', '瑶', '璐', '琳', '雯', '菲', '萌', '婷', '洁', '嘉', '蕾', '莹', '诺'
+      ],
+      double: [
+        '欣怡', '梓涵', '雨涵', '诗涵', '思涵', '梦瑶', '佳怡', '可馨', '语嫣', '雨桐', '欣妍', '紫涵',
+        '梓萱', '心怡', '子涵', '雨欣', '晨曦', '怡然', '嘉怡', '佳琪', '雅琪', '思琪', '梦琪', '若曦',
+        '诗琪', '雅涵', '可欣', '紫萱', '一诺', '语桐', '思雨', '馨怡'
+      ]
+    }
+  },
+  2010: {
+    singleRatio: 0.08,
+    male: {
+      single: [
+        '睿', '轩', '辰', '泽', '宸', '铭', '烨', '昊', '熙', '航', '哲', '奕', '锦', '霖', '朗', '毅', '恒', '骁', '晨', '煜'
+      ],
+      double: [
+        '梓轩', '子轩', '浩宇', '宇轩', '沐宸', '浩然', '奕辰', '宇泽', '子墨', '梓睿', '俊熙', '梓豪',
+        '睿泽', '铭轩', '皓轩', '宇航', '思远', '煜祺', '锦程', '嘉懿', '浩轩', '梓晨', '奕泽', '瑾瑜',
+        '宇辰', '承泽', '梓航', '子睿', '景行', '沐阳', '修杰', '天佑'
+      ]
+    },
+    female: {
+      single: [
+        '涵', '萱', '诺', '汐', '彤', '妍', '琪', '悦', '馨', '怡', '瑶', '婧', '菲', '苒', '冉', '雯', '薇', '琳', '希', '玥'
+      ],
+      double: [
+        '子涵', '梓涵', '一诺', '欣怡', '梓萱', '雨桐', '可馨', '诗涵', '语桐', '依诺', '芷若', '若汐',
+        '语汐', '梦琪', '雨涵', '思彤', '沐汐', '诗琪', '欣妍', '梓琪', '可欣', '梓晴', '紫涵', '安琪',
+        '若曦', '佳怡', '一涵', '心悦', '米雅', '梓沫', '艺涵', '佳琪'
+      ]
+    }
+  },
+  2020: {
+    singleRatio: 0.05,
+    male: {
+      single: [
+        '宸', '辰', '泽', '睿', '航', '铭', '澈', '屿', '川', '然', '熙', '烨', '恒', '朗', '安', '言', '墨', '湛', '易', '骁'
+      ],
+      double: [
+        '沐宸', '浩宇', '沐辰', '宇泽', '一鸣', '梓轩', '子墨', '奕辰', '宇航', '浩然', '睿宸', '明哲',
+        '景川', '亦辰', '锦程', '承泽', '铭泽', '俊熙', '星辰', '书恒', '修远', '嘉树', '思源', '懿轩',
+        '昊然', '安和', '煜城', '知远', '嘉禾', '云帆', '清和', '予安'
+      ]
+    },
+    female: {
+      single: [
+        '汐', '诺', '玥', '瑶', '苒', '彤', '妍', '萱', '涵', '怡', '悦', '晴', '夏', '宁', '安', '然', '琪', '溪', '禾', '言'
+      ],
+      double: [
+        '若汐', '一诺', '沐汐', '语桐', '梓涵', '欣怡', '依诺', '可馨', '思涵', '雨桐', '安然', '诗涵',
+        '知夏', '星瑶', '梓萱', '语汐', '昕玥', '芷晴', '初夏', '清欢', '南乔', '锦书', '念安', '以沫',
+        '书瑶', '若溪', '云舒', '知意', '佳怡', '悠然', '沐瑶', '安宁'
+      ]
+    }
+  }
+};
+
+// 收录的最早和最晚年代，超出范围的出生年份按最近的年代处理
+const FIRST_DECADE = 1950;
+const LAST_DECADE = 2020;
+
+module.exports = {
+  GIVEN_NAMES,
+  FIRST_DECADE,
+  LAST_DECADE
+};
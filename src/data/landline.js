@@ -0,0 +1,370 @@
+/**
+ * 固定电话长途区号数据
+ * 键为地区编码前缀：直辖市和海南省为省级编码前2位，省直辖县级行政区为6位编码，其余为市级编码前4位
+ */
+
+// 各地区的长途区号
+const DIALING_CODES = {
+  '11': '010', // 北京市
+  '12': '022', // 天津市
+  '1301': '0311', // 石家庄市
+  '1302': '0315', // 唐山市
+  '1303': '0335', // 秦皇岛市
+  '1304': '0310', // 邯郸市
+  '1305': '0319', // 邢台市
+  '1306': '0312', // 保定市
+  '1307': '0313', // 张家口市
+  '1308': '0314', // 承德市
+  '1309': '0317', // 沧州市
+  '1310': '0316', // 廊坊市
+  '1311': '0318', // 衡水市
+  '1401': '0351', // 太原市
+  '1402': '0352', // 大同市
+  '1403': '0353', // 阳泉市
+  '1404': '0355', // 长治市
+  '1405': '0356', // 晋城市
+  '1406': '0349', // 朔州市
+  '1407': '0354', // 晋中市
+  '1408': '0359', // 运城市
+  '1409': '0350', // 忻州市
+  '1410': '0357', // 临汾市
+  '1411': '0358', // 吕梁市
+  '1501': '0471', // 呼和浩特市
+  '1502': '0472', // 包头市
+  '1503': '0473', // 乌海市
+  '1504': '0476', // 赤峰市
+  '1505': '0475', // 通辽市
+  '1506': '0477', // 鄂尔多斯市
+  '1507': '0470', // 呼伦贝尔市
+  '1508': '0478', // 巴彦淖尔市
+  '1509': '0474', // 乌兰察布市
+  '1522': '0482', // 兴安盟
+  '1525': '0479', // 锡林郭勒盟
+  '1529': '0483', // 阿拉善盟
+  '2101': '024', // 沈阳市
+  '2102': '0411', // 大连市
+  '2103': '0412', // 鞍山市
+  '2104': '024', // 抚顺市
+  '2105': '0414', // 本溪市
+  '2106': '0415', // 丹东市
+  '2107': '0416', // 锦州市
+  '2108': '0417', // 营口市
+  '2109': '0418', // 阜新市
+  '2110': '0419', // 辽阳市
+  '2111': '0427', // 盘锦市
+  '2112': '024', // 铁岭市
+  '2113': '0421', // 朝阳市
+  '2114': '0429', // 葫芦岛市
+  '2201': '0431', // 长春市
+  '2202': '0432', // 吉林市
+  '2203': '0434', // 四平市
+  '2204': '0437', // 辽源市
+  '2205': '0435', // 通化市
+  '2206': '0439', // 白山市
+  '2207': '0438', // 松原市
+  '2208': '0436', // 白城市
+  '2224': '0433', // 延边朝鲜族自治州
+  '2301': '0451', // 哈尔滨市
+  '2302': '0452', // 齐齐哈尔市
+  '2303': '0467', // 鸡西市
+  '2304': '0468', // 鹤岗市
+  '2305': '0469', // 双鸭山市
+  '2306': '0459', // 大庆市
+  '2307': '0458', // 伊春市
+  '2308': '0454', // 佳木斯市
+  '2309': '0464', // 七台河市
+  '2310': '0453', // 牡丹江市
+  '2311': '0456', // 黑河市
+  '2312': '0455', // 绥化市
+  '2327': '0457', // 大兴安岭地区
+  '31': '021', // 上海市
+  '3201': '025', // 南京市
+  '3202': '0510', // 无锡市
+  '3203': '0516', // 徐州市
+  '3204': '0519', // 常州市
+  '3205': '0512', // 苏州市
+  '3206': '0513', // 南通市
+  '3207': '0518', // 连云港市
+  '3208': '0517', // 淮安市
+  '3209': '0515', // 盐城市
+  '3210': '0514', // 扬州市
+  '3211': '0511', // 镇江市
+  '3212': '0523', // 泰州市
+  '3213': '0527', // 宿迁市
+  '3301': '0571', // 杭州市
+  '3302': '0574', // 宁波市
+  '3303': '0577', // 温州市
+  '3304': '0573', // 嘉兴市
+  '3305': '0572', // 湖州市
+  '3306': '0575', // 绍兴市
+  '3307': '0579', // 金华市
+  '3308': '0570', // 衢州市
+  '3309': '0580', // 舟山市
+  '3310': '0576', // 台州市
+  '3311': '0578', // 丽水市
+  '3401': '0551', // 合肥市
+  '3402': '0553', // 芜湖市
+  '3403': '0552', // 蚌埠市
+  '3404': '0554', // 淮南市
+  '3405': '0555', // 马鞍山市
+  '3406': '0561', // 淮北市
+  '3407': '0562', // 铜陵市
+  '3408': '0556', // 安庆市
+  '3410': '0559', // 黄山市
+  '3411': '0550', // 滁州市
+  '3412': '0558', // 阜阳市
+  '3413': '0557', // 宿州市
+  '3415': '0564', // 六安市
+  '3416': '0558', // 亳州市
+  '3417': '0566', // 池州市
+  '3418': '0563', // 宣城市
+  '3501': '0591', // 福州市
+  '3502': '0592', // 厦门市
+  '3503': '0594', // 莆田市
+  '3504': '0598', // 三明市
+  '3505': '0595', // 泉州市
+  '3506': '0596', // 漳州市
+  '3507': '0599', // 南平市
+  '3508': '0597', // 龙岩市
+  '3509': '0593', // 宁德市
+  '3601': '0791', // 南昌市
+  '3602': '0798', // 景德镇市
+  '3603': '0799', // 萍乡市
+  '3604': '0792', // 九江市
+  '3605': '0790', // 新余市
+  '3606': '0701', // 鹰潭市
+  '3607': '0797', // 赣州市
+  '3608': '0796', // 吉安市
+  '3609': '0795', // 宜春市
+  '3610': '0794', // 抚州市
+  '3611': '0793', // 上饶市
+  '3701': '0531', // 济南市
+  '3702': '0532', // 青岛市
+  '3703': '0533', // 淄博市
+  '3704': '0632', // 枣庄市
+  '3705': '0546', // 东营市
+  '3706': '0535', // 烟台市
+  '3707': '0536', // 潍坊市
+  '3708': '0537', // 济宁市
+  '3709': '0538', // 泰安市
+  '3710': '0631', // 威海市
+  '3711': '0633', // 日照市
+  '3713': '0539', // 临沂市
+  '3714': '0534', // 德州市
+  '3715': '0635', // 聊城市
+  '3716': '0543', // 滨州市
+  '3717': '0530', // 菏泽市
+  '4101': '0371', // 郑州市
+  '4102': '0371', // 开封市
+  '4103': '0379', // 洛阳市
+  '4104': '0375', // 平顶山市
+  '4105': '0372', // 安阳市
+  '4106': '0392', // 鹤壁市
+  '4107': '0373', // 新乡市
+  '4108': '0391', // 焦作市
+  '4109': '0393', // 濮阳市
+  '4110': '0374', // 许昌市
+  '4111': '0395', // 漯河市
+  '4112': '0398', // 三门峡市
+  '4113': '0377', // 南阳市
+  '4114': '0370', // 商丘市
+  '4115': '0376', // 信阳市
+  '4116': '0394', // 周口市
+  '4117': '0396', // 驻马店市
+  '419001': '0391', // 济源市
+  '4201': '027', // 武汉市
+  '4202': '0714', // 黄石市
+  '4203': '0719', // 十堰市
+  '4205': '0717', // 宜昌市
+  '4206': '0710', // 襄阳市
+  '4207': '0711', // 鄂州市
+  '4208': '0724', // 荆门市
+  '4209': '0712', // 孝感市
+  '4210': '0716', // 荆州市
+  '4211': '0713', // 黄冈市
+  '4212': '0715', // 咸宁市
+  '4213': '0722', // 随州市
+  '4228': '0718', // 恩施土家族苗族自治州
+  '429004': '0728', // 仙桃市
+  '429005': '0728', // 潜江市
+  '429006': '0728', // 天门市
+  '429021': '0719', // 神农架林区
+  '4301': '0731', // 长沙市
+  '4302': '0731', // 株洲市
+  '4303': '0731', // 湘潭市
+  '4304': '0734', // 衡阳市
+  '4305': '0739', // 邵阳市
+  '4306': '0730', // 岳阳市
+  '4307': '0736', // 常德市
+  '4308': '0744', // 张家界市
+  '4309': '0737', // 益阳市
+  '4310': '0735', // 郴州市
+  '4311': '0746', // 永州市
+  '4312': '0745', // 怀化市
+  '4313': '0738', // 娄底市
+  '4331': '0743', // 湘西土家族苗族自治州
+  '4401': '020', // 广州市
+  '4402': '0751', // 韶关市
+  '4403': '0755', // 深圳市
+  '4404': '0756', // 珠海市
+  '4405': '0754', // 汕头市
+  '4406': '0757', // 佛山市
+  '4407': '0750', // 江门市
+  '4408': '0759', // 湛江市
+  '4409': '0668', // 茂名市
+  '4412': '0758', // 肇庆市
+  '4413': '0752', // 惠州市
+  '4414': '0753', // 梅州市
+  '4415': '0660', // 汕尾市
+  '4416': '0762', // 河源市
+  '4417': '0662', // 阳江市
+  '4418': '0763', // 清远市
+  '4419': '0769', // 东莞市
+  '4420': '0760', // 中山市
+  '4451': '0768', // 潮州市
+  '4452': '0663', // 揭阳市
+  '4453': '0766', // 云浮市
+  '4501': '0771', // 南宁市
+  '4502': '0772', // 柳州市
+  '4503': '0773', // 桂林市
+  '4504': '0774', // 梧州市
+  '4505': '0779', // 北海市
+  '4506': '0770', // 防城港市
+  '4507': '0777', // 钦州市
+  '4508': '0775', // 贵港市
+  '4509': '0775', // 玉林市
+  '4510': '0776', // 百色市
+  '4511': '0774', // 贺州市
+  '4512': '0778', // 河池市
+  '4513': '0772', // 来宾市
+  '4514': '0771', // 崇左市
+  '46': '0898', // 海南省
+  '50': '023', // 重庆市
+  '5101': '028', // 成都市
+  '5103': '0813', // 自贡市
+  '5104': '0812', // 攀枝花市
+  '5105': '0830', // 泸州市
+  '5106': '0838', // 德阳市
+  '5107': '0816', // 绵阳市
+  '5108': '0839', // 广元市
+  '5109': '0825', // 遂宁市
+  '5110': '0832', // 内江市
+  '5111': '0833', // 乐山市
+  '5113': '0817', // 南充市
+  '5114': '028', // 眉山市
+  '5115': '0831', // 宜宾市
+  '5116': '0826', // 广安市
+  '5117': '0818', // 达州市
+  '5118': '0835', // 雅安市
+  '5119': '0827', // 巴中市
+  '5120': '0832', // 资阳市
+  '5132': '0837', // 阿坝藏族羌族自治州
+  '5133': '0836', // 甘孜藏族自治州
+  '5134': '0834', // 凉山彝族自治州
+  '5201': '0851', // 贵阳市
+  '5202': '0858', // 六盘水市
+  '5203': '0851', // 遵义市
+  '5204': '0851', // 安顺市
+  '5205': '0857', // 毕节市
+  '5206': '0856', // 铜仁市
+  '5223': '0859', // 黔西南布依族苗族自治州
+  '5226': '0855', // 黔东南苗族侗族自治州
+  '5227': '0854', // 黔南布依族苗族自治州
+  '5301': '0871', // 昆明市
+  '5303': '0874', // 曲靖市
+  '5304': '0877', // 玉溪市
+  '5305': '0875', // 保山市
+  '5306': '0870', // 昭通市
+  '5307': '0888', // 丽江市
+  '5308': '0879', // 普洱市
+  '5309': '0883', // 临沧市
+  '5323': '0878', // 楚雄彝族自治州
+  '5325': '0873', // 红河哈尼族彝族自治州
+  '5326': '0876', // 文山壮族苗族自治州
+  '5328': '0691', // 西双版纳傣族自治州
+  '5329': '0872', // 大理白族自治州
+  '5331': '0692', // 德宏傣族景颇族自治州
+  '5333': '0886', // 怒江傈僳族自治州
+  '5334': '0887', // 迪庆藏族自治州
+  '5401': '0891', // 拉萨市
+  '5402': '0892', // 日喀则市
+  '5403': '0895', // 昌都市
+  '5404': '0894', // 林芝市
+  '5405': '0893', // 山南市
+  '5406': '0896', // 那曲市
+  '5425': '0897', // 阿里地区
+  '6101': '029', // 西安市
+  '6102': '0919', // 铜川市
+  '6103': '0917', // 宝鸡市
+  '6104': '029', // 咸阳市
+  '6105': '0913', // 渭南市
+  '6106': '0911', // 延安市
+  '6107': '0916', // 汉中市
+  '6108': '0912', // 榆林市
+  '6109': '0915', // 安康市
+  '6110': '0914', // 商洛市
+  '6201': '0931', // 兰州市
+  '6202': '0937', // 嘉峪关市
+  '6203': '0935', // 金昌市
+  '6204': '0943', // 白银市
+  '6205': '0938', // 天水市
+  '6206': '0935', // 武威市
+  '6207': '0936', // 张掖市
+  '6208': '0933', // 平凉市
+  '6209': '0937', // 酒泉市
+  '6210': '0934', // 庆阳市
+  '6211': '0932', // 定西市
+  '6212': '0939', // 陇南市
+  '6229': '0930', // 临夏回族自治州
+  '6230': '0941', // 甘南藏族自治州
+  '6301': '0971', // 西宁市
+  '6302': '0972', // 海东市
+  '6322': '0970', // 海北藏族自治州
+  '6323': '0973', // 黄南藏族自治州
+  '6325': '0974', // 海南藏族自治州
+  '6326': '0975', // 果洛藏族自治州
+  '6327': '0976', // 玉树藏族自治州
+  '6328': '0977', // 海西蒙古族藏族自治州
+  '6401': '0951', // 银川市
+  '6402': '0952', // 石嘴山市
+  '6403': '0953', // 吴忠市
+  '6404': '0954', // 固原市
+  '6405': '0955', // 中卫市
+  '6501': '0991', // 乌鲁木齐市
+  '6502': '0990', // 克拉玛依市
+  '6504': '0995', // 吐鲁番市
+  '6505': '0902', // 哈密市
+  '6523': '0994', // 昌吉回族自治州
+  '6527': '0909', // 博尔塔拉蒙古自治州
+  '6528': '0996', // 巴音郭楞蒙古自治州
+  '6529': '0997', // 阿克苏地区
+  '6530': '0908', // 克孜勒苏柯尔克孜自治州
+  '6531': '0998', // 喀什地区
+  '6532': '0903', // 和田地区
+  '6540': '0999', // 伊犁哈萨克自治州
+  '6542': '0901', // 塔城地区
+  '6543': '0906', // 阿勒泰地区
+  '659001': '0993', // 石河子市
+  '659002': '0997', // 阿拉尔市
+  '659003': '0998', // 图木舒克市
+  '659004': '0994', // 五家渠市
+  '659005': '0906', // 北屯市
+  '659006': '0996', // 铁门关市
+  '659007': '0909', // 双河市
+  '659008': '0999', // 可克达拉市
+  '659009': '0903', // 昆玉市
+  '659010': '0992', // 胡杨河市
+  '659011': '0902' // 新星市
+};
+
+// 本地号码为8位的区号，其余区号的本地号码为7位
+const EIGHT_DIGIT_CODES = [
+  '010', '020', '021', '022', '023', '024', '025', '027', '028', '029', '0311', '0371',
+  '0411', '0431', '0451', '0510', '0512', '0519', '0531', '0532', '0551', '0571', '0574', '0577',
+  '0591', '0595', '0731', '0754', '0755', '0757', '0760', '0769', '0791', '0851', '0871', '0898'
+];
+
+module.exports = {
+  DIALING_CODES,
+  EIGHT_DIGIT_CODES
+};
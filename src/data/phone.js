@@ -0,0 +1,38 @@
+/**
+ * 手机号段数据
+ * 各运营商的公众移动通信网号段（不含物联网、卫星电话等专用号段），weight为大致的用户占比（%）
+ */
+
+const CARRIERS = [
+  {
+    name: '中国移动',
+    weight: 60,
+    segments: [
+      '134', '135', '136', '137', '138', '139', '147', '150', '151', '152', '157', '158', '159',
+      '172', '178', '182', '183', '184', '187', '188', '195', '197', '198'
+    ]
+  },
+  {
+    name: '中国联通',
+    weight: 21,
+    segments: [
+      '130', '131', '132', '145', '155', '156', '166', '167', '171', '175', '176', '185', '186', '196'
+    ]
+  },
+  {
+    name: '中国电信',
+    weight: 18,
+    segments: [
+      '133', '149', '153', '173', '177', '180', '181', '189', '190', '191', '193', '199'
+    ]
+  },
+  {
+    name: '中国广电',
+    weight: 1,
+    segments: ['192']
+  }
+];
+
+module.exports = {
+  CARRIERS
+};
@@ -0,0 +1,1272 @@
+/**
+ * 汉字拼音数据
+ * 覆盖GB2312全部6763个汉字，每个汉字取其最常用的读音（带声调）
+ * 读音数据整理自pinyin项目（MIT许可，https://github.com/hotoo/pinyin）
+ */
+
+// 键为带声调的拼音，按音节和声调排序，值为该读音下的所有汉字
+const PINYIN_DICT = {
+  'ā': '啊阿腌锕',
+  'āi': '埃挨哎唉哀锿',
+  'ái': '皑癌捱',
+  'ǎi': '蔼矮嗳霭',
+  'ài': '艾碍爱隘嫒瑷暧砹',
+  'ān': '鞍氨安谙庵桉鹌',
+  'ǎn': '俺埯揞铵',
+  'àn': '按暗岸胺案黯',
+  'āng': '肮',
+  'áng': '昂',
+  'àng': '盎',
+  'āo': '凹熬',
+  'áo': '敖翱嗷廒遨骜獒聱螯鳌鏖',
+  'ǎo': '袄艹拗媪',
+  'ào': '傲奥懊澳坳岙鏊',
+  'bā': '芭捌扒叭吧笆八疤巴岜粑',
+  'bá': '拔跋茇菝魃',
+  'bǎ': '靶把钯',
+  'bà': '耙坝霸罢爸灞鲅',
+  'bāi': '掰',
+  'bái': '白',
+  'bǎi': '柏百摆佰捭',
+  'bài': '败拜稗',
+  'bān': '斑班搬扳般颁瘢癍',
+  'bǎn': '板版阪坂钣舨',
+  'bàn': '扮拌伴瓣半办绊',
+  'bāng': '邦帮梆浜',
+  'bǎng': '榜膀绑',
+  'bàng': '棒磅蚌镑傍谤蒡',
+  'bāo': '苞胞包褒剥勹孢煲龅',
+  'báo': '薄雹',
+  'bǎo': '保堡饱宝葆鸨褓',
+  'bào': '抱报暴豹鲍爆趵',
+  'bēi': '杯碑悲卑陂庳鹎',
+  'běi': '北',
+  'bèi': '辈背贝钡倍狈备惫焙被孛邶蓓悖碚褙鐾鞴',
+  'bei': '呗',
+  'bēn': '奔锛',
+  'běn': '苯本畚',
+  'bèn': '笨坌',
+  'bēng': '崩绷嘣',
+  'béng': '甭',
+  'bèng': '泵蹦迸甏',
+  'bī': '逼',
+  'bí': '鼻荸',
+  'bǐ': '比鄙笔彼匕俾妣秕舭',
+  'bì': '碧蓖蔽毕毙毖币庇痹闭敝弊必辟壁臂避陛芘荜萆薜哔狴愎滗濞弼婢嬖璧贲睥畀铋裨筚箅篦襞跸髀',
+  'biān': '鞭边编煸砭蝙笾鳊',
+  'biǎn': '贬扁匾碥窆褊',
+  'biàn': '便变卞辨辩辫遍弁苄忭汴缏',
+  'biāo': '标彪膘飑飙飚镖镳瘭髟',
+  'biǎo': '表婊裱',
+  'biào': '鳔',
+  'biē': '鳖憋瘪',
+  'bié': '别蹩',
+  'bīn': '彬斌濒滨宾傧豳缤玢槟镔',
+  'bìn': '摈殡膑髌鬓',
+  'bīng': '兵冰冫',
+  'bǐng': '柄丙秉饼炳禀邴',
+  'bìng': '病并摒',
+  'bō': '玻菠播拨钵波饽',
+  'bó': '博勃搏铂箔伯帛舶脖膊渤泊驳亳礴钹鹁踣',
+  'bǒ': '跛',
+  'bò': '檗擘簸',
+  'bo': '啵',
+  'bū': '逋晡钸',
+  'bú': '醭',
+  'bǔ': '捕卜哺补卟',
+  'bù': '埠不布步簿部怖瓿钚',
+  'cā': '擦嚓',
+  'cǎ': '礤',
+  'cāi': '猜',
+  'cái': '裁材才财',
+  'cǎi': '睬踩采彩',
+  'cài': '菜蔡',
+  'cān': '餐参骖',
+  'cán': '蚕残惭',
+  'cǎn': '惨黪',
+  'càn': '灿璨粲',
+  'cāng': '苍舱仓沧伧',
+  'cáng': '藏',
+  'cāo': '操糙',
+  'cáo': '槽曹嘈漕螬艚',
+  'cǎo': '草',
+  'cè': '厕策侧册测恻',
+  'cén': '岑涔',
+  'cēng': '噌',
+  'céng': '层',
+  'cèng': '蹭',
+  'chā': '插叉馇杈锸',
+  'chá': '茬茶查碴搽察猹槎檫',
+  'chǎ': '镲',
+  'chà': '岔差诧刹汊姹衩',
+  'chāi': '拆钗',
+  'chái': '柴豺侪',
+  'chài': '瘥虿',
+  'chān': '搀掺觇',
+  'chán': '蝉馋谗缠廛潺澶孱婵禅蟾躔',
+  'chǎn': '铲产阐冁谄蒇骣',
+  'chàn': '颤忏羼',
+  'chāng': '昌猖伥菖阊娼鲳',
+  'cháng': '场尝常长偿肠裳苌徜嫦',
+  'chǎng': '厂敞惝昶氅',
+  'chàng': '畅唱倡鬯怅',
+  'chāo': '超抄钞怊',
+  'cháo': '嘲潮巢晁',
+  'chǎo': '吵炒',
+  'chào': '耖',
+  'chē': '车砗',
+  'chě': '扯',
+  'chè': '撤掣彻澈坼屮',
+  'chēn': '郴抻嗔琛',
+  'chén': '臣辰尘晨忱沉陈谌宸',
+  'chěn': '碜',
+  'chèn': '趁衬谶榇龀',
+  'chēng': '撑称柽瞠蛏',
+  'chéng': '城橙成呈乘程惩澄诚承丞埕枨塍铖裎酲',
+  'chěng': '逞骋',
+  'chèng': '秤',
+  'chī': '吃痴哧嗤媸眵鸱蚩螭笞魑',
+  'chí': '持匙池迟弛驰墀茌篪踟',
+  'chǐ': '耻齿侈尺褫豉',
+  'chì': '赤翅斥炽傺叱啻彳饬敕瘛',
+  'chōng': '充冲茺忡憧舂艟',
+  'chóng': '虫崇',
+  'chǒng': '宠',
+  'chòng': '铳',
+  'chōu': '抽瘳',
+  'chóu': '酬畴踌稠愁筹仇绸俦帱惆雠',
+  'chǒu': '瞅丑',
+  'chòu': '臭',
+  'chū': '初出樗',
+  'chú': '橱厨躇锄雏滁除刍蜍蹰',
+  'chǔ': '楚础储处杵楮',
+  'chù': '矗搐触亍怵憷绌黜',
+  'chuāi': '搋',
+  'chuǎi': '揣',
+  'chuài': '膪踹',
+  'chuān': '川穿巛氚',
+  'chuán': '椽传船遄舡',
+  'chuǎn': '喘舛',
+  'chuàn': '串钏',
+  'chuāng': '疮窗',
+  'chuáng': '幢床',
+  'chuǎng': '闯',
+  'chuàng': '创怆',
+  'chuī': '吹炊',
+  'chuí': '捶锤垂陲棰槌',
+  'chūn': '春椿蝽',
+  'chún': '醇唇淳纯莼鹑',
+  'chǔn': '蠢',
+  'chuō': '戳踔',
+  'chuò': '绰啜辶辍龊',
+  'cī': '疵',
+  'cí': '茨磁雌辞慈瓷词祠鹚糍',
+  'cǐ': '此',
+  'cì': '刺赐次',
+  'cōng': '聪葱囱匆苁骢璁枞',
+  'cóng': '从丛淙琮',
+  'còu': '凑楱辏腠',
+  'cū': '粗',
+  'cú': '徂殂',
+  'cù': '醋簇促蔟猝蹙蹴',
+  'cuān': '蹿汆撺镩',
+  'cuàn': '篡窜爨',
+  'cuī': '摧崔催榱',
+  'cuǐ': '璀',
+  'cuì': '脆瘁粹淬翠萃啐悴毳',
+  'cūn': '村皴',
+  'cún': '存',
+  'cǔn': '忖',
+  'cùn': '寸',
+  'cuō': '磋撮搓蹉',
+  'cuó': '嵯矬痤鹾',
+  'cuǒ': '脞',
+  'cuò': '措挫错厝锉',
+  'dā': '搭耷哒褡',
+  'dá': '达答瘩怛妲笪靼鞑',
+  'dǎ': '打',
+  'dà': '大',
+  'dāi': '呆呔',
+  'dǎi': '歹傣',
+  'dài': '戴带殆代贷袋待逮怠埭甙岱迨绐玳黛',
+  'dān': '耽担丹单郸儋殚眈聃箪',
+  'dǎn': '掸胆赕疸',
+  'dàn': '旦氮但惮淡诞弹蛋萏啖澹瘅',
+  'dāng': '当铛裆',
+  'dǎng': '挡党谠',
+  'dàng': '荡档凼菪宕砀',
+  'dāo': '刀刂忉氘',
+  'dǎo': '捣蹈倒岛祷导',
+  'dào': '到稻悼道盗焘纛',
+  'dé': '德得锝',
+  'de': '的',
+  'dēng': '蹬灯登噔簦',
+  'děng': '等戥',
+  'dèng': '瞪凳邓嶝磴镫',
+  'dī': '堤低滴氐羝',
+  'dí': '迪敌笛狄涤翟嫡籴荻嘀觌镝',
+  'dǐ': '抵底诋邸坻柢砥骶',
+  'dì': '地蒂第帝弟递缔谛娣棣碲睇',
+  'diǎ': '嗲',
+  'diān': '颠掂滇巅癫',
+  'diǎn': '碘点典踮',
+  'diàn': '靛垫电佃甸店惦奠淀殿阽坫玷钿癜簟',
+  'diāo': '碉叼雕凋刁貂鲷',
+  'diào': '掉吊钓铞铫',
+  'diē': '跌爹',
+  'dié': '碟蝶迭谍叠垤堞喋牒瓞耋蹀鲽',
+  'dīng': '丁盯叮钉仃玎疔耵酊',
+  'dǐng': '顶鼎',
+  'dìng': '锭定订啶腚碇',
+  'diū': '丢铥',
+  'dōng': '东冬咚岽氡鸫',
+  'dǒng': '董懂',
+  'dòng': '动栋侗恫冻洞垌胨胴硐',
+  'dōu': '兜蔸篼',
+  'dǒu': '抖斗陡钭蚪',
+  'dòu': '豆逗痘窦',
+  'dū': '都督嘟',
+  'dú': '毒犊独读渎椟牍髑黩',
+  'dǔ': '堵睹赌笃',
+  'dù': '杜镀肚度渡妒芏蠹',
+  'duān': '端',
+  'duǎn': '短',
+  'duàn': '锻段断缎椴煅簖',
+  'duī': '堆镦',
+  'duì': '兑队对怼憝碓',
+  'dūn': '墩吨蹲敦礅',
+  'dǔn': '盹趸',
+  'dùn': '顿囤钝盾遁沌炖砘',
+  'duō': '掇哆多咄裰',
+  'duó': '夺铎踱',
+  'duǒ': '垛躲朵哚缍',
+  'duò': '跺舵剁惰堕',
+  'ē': '屙婀',
+  'é': '蛾峨鹅俄额讹娥莪锇',
+  'è': '恶厄扼遏鄂饿噩谔垩苊萼呃愕阏轭腭锷鹗颚鳄',
+  'ēi': '诶',
+  'ēn': '恩蒽',
+  'èn': '摁',
+  'ér': '而儿鸸鲕',
+  'ěr': '耳尔饵洱迩珥铒',
+  'èr': '二贰佴',
+  'fā': '发',
+  'fá': '罚筏伐乏阀垡',
+  'fǎ': '法砝',
+  'fà': '珐',
+  'fān': '藩帆番翻幡',
+  'fán': '樊矾钒繁凡烦蕃蘩燔蹯',
+  'fǎn': '反返',
+  'fàn': '范贩犯饭泛梵畈',
+  'fāng': '坊芳方匚邡枋钫',
+  'fáng': '肪房防妨鲂',
+  'fǎng': '仿访纺舫',
+  'fàng': '放',
+  'fēi': '菲非啡飞妃绯扉蜚霏鲱',
+  'féi': '肥淝腓',
+  'fěi': '匪诽悱榧斐篚翡',
+  'fèi': '吠肺废沸费芾狒镄痱',
+  'fēn': '芬酚吩氛分纷',
+  'fén': '坟焚汾棼鼢',
+  'fěn': '粉',
+  'fèn': '奋份忿愤粪偾瀵鲼',
+  'fēng': '丰封枫蜂峰锋风疯烽酆葑沣砜',
+  'féng': '逢冯缝',
+  'fěng': '讽唪',
+  'fèng': '奉凤俸',
+  'fó': '佛',
+  'fǒu': '否缶',
+  'fū': '夫敷肤孵呋稃麸趺跗',
+  'fú': '扶拂辐幅氟符伏俘服浮涪福袱弗匐凫郛芙苻茯莩菔幞怫艴孚绂绋桴祓砩黻罘蚨蜉蝠',
+  'fǔ': '甫抚辅俯釜斧脯腑府腐阝拊呒滏黼',
+  'fù': '赴副覆赋复傅付阜父腹负富讣附妇缚咐驸赙馥蝮鲋鳆',
+  'gā': '嘎旮',
+  'gá': '噶尜钆',
+  'gǎ': '尕',
+  'gà': '尬',
+  'gāi': '该陔垓赅',
+  'gǎi': '改',
+  'gài': '概钙盖溉丐戤',
+  'gān': '干甘杆柑竿肝坩苷尴泔矸疳酐',
+  'gǎn': '赶感秆敢擀澉橄',
+  'gàn': '赣淦绀旰',
+  'gāng': '冈刚钢缸肛纲罡',
+  'gǎng': '岗港',
+  'gàng': '杠戆筻',
+  'gāo': '篙皋高膏羔糕睾槔',
+  'gǎo': '搞镐稿藁缟槁杲',
+  'gào': '告诰郜锆',
+  'gē': '哥歌搁戈鸽胳疙割圪袼',
+  'gé': '革葛格蛤阁隔鬲塥嗝搿膈镉骼',
+  'gě': '哿舸',
+  'gè': '铬个各虼',
+  'gěi': '给',
+  'gēn': '根跟',
+  'gén': '哏',
+  'gèn': '亘茛艮',
+  'gēng': '耕更庚羹赓',
+  'gěng': '埂耿梗哽绠鲠',
+  'gōng': '工攻功恭龚供躬公宫弓肱蚣觥',
+  'gǒng': '巩汞拱廾珙',
+  'gòng': '贡共',
+  'gōu': '钩勾沟佝缑篝鞲',
+  'gǒu': '苟狗岣笱',
+  'gòu': '垢构购够诟遘媾觏彀',
+  'gū': '辜菇咕箍估沽孤姑菰轱鸪蛄酤觚',
+  'gǔ': '鼓古蛊骨谷股嘏诂汩牯臌毂瞽罟钴鹘',
+  'gù': '故顾固雇崮梏牿锢痼鲴',
+  'guā': '刮瓜呱栝胍鸹',
+  'guǎ': '剐寡',
+  'guà': '挂褂卦诖',
+  'guāi': '乖',
+  'guǎi': '拐',
+  'guài': '怪',
+  'guān': '棺关官冠观倌莞涫鳏',
+  'guǎn': '管馆',
+  'guàn': '罐惯灌贯掼盥鹳',
+  'guāng': '光咣桄胱',
+  'guǎng': '广犷',
+  'guàng': '逛',
+  'guī': '瑰规圭硅归龟闺妫皈鲑',
+  'guǐ': '轨鬼诡癸匦庋宄晷簋',
+  'guì': '桂柜跪贵刽刿桧眭鳜',
+  'gǔn': '辊滚丨衮绲磙鲧',
+  'gùn': '棍',
+  'guō': '锅郭埚崞猓聒蝈',
+  'guó': '国馘掴帼虢',
+  'guǒ': '果裹椁蜾',
+  'guò': '过',
+  'hā': '哈铪',
+  'hāi': '嗨',
+  'hái': '骸孩',
+  'hǎi': '海胲醢',
+  'hài': '氦亥害骇',
+  'hān': '酣憨犴顸蚶鼾',
+  'hán': '邯韩含涵寒函邗晗焓',
+  'hǎn': '喊罕',
+  'hàn': '翰撼捍旱憾悍焊汗汉菡撖瀚颔',
+  'hāng': '夯',
+  'háng': '杭航吭行绗颃',
+  'hàng': '沆',
+  'hāo': '蒿薅嚆',
+  'háo': '壕嚎豪毫嗥濠蚝',
+  'hǎo': '郝好',
+  'hào': '耗号浩灏昊皓颢',
+  'hē': '呵喝诃嗬',
+  'hé': '荷菏核禾和何合盒貉阂河涸劾阖纥曷盍颌翮',
+  'hè': '赫褐鹤贺壑',
+  'hēi': '嘿黑',
+  'hén': '痕',
+  'hěn': '很狠',
+  'hèn': '恨',
+  'hēng': '哼亨',
+  'héng': '横衡恒蘅珩桁',
+  'hōng': '轰哄烘訇薨',
+  'hóng': '虹鸿洪宏弘红黉荭闳泓',
+  'hòng': '讧蕻',
+  'hóu': '喉侯猴瘊篌糇骺',
+  'hǒu': '吼',
+  'hòu': '厚候后堠後逅鲎',
+  'hū': '呼乎忽糊唿惚滹轷烀虍',
+  'hú': '瑚壶葫胡蝴狐湖弧囫猢槲觳煳鹄鹕醐斛',
+  'hǔ': '虎唬浒琥',
+  'hù': '护互沪户冱岵怙戽扈祜瓠鹱笏',
+  'huā': '花',
+  'huá': '哗华猾滑划骅铧',
+  'huà': '画化话桦',
+  'huái': '槐徊怀淮踝',
+  'huài': '坏',
+  'huān': '欢獾',
+  'huán': '环桓还萑圜洹寰缳锾鬟',
+  'huǎn': '缓',
+  'huàn': '换患唤痪豢焕涣宦幻奂擐浣漶逭鲩',
+  'huāng': '荒慌肓',
+  'huáng': '黄磺蝗簧皇凰惶煌隍徨湟潢遑璜癀蟥篁鳇',
+  'huǎng': '晃幌恍谎',
+  'huī': '灰挥辉徽恢诙咴隳晖睢麾',
+  'huí': '蛔回茴洄',
+  'huǐ': '毁悔虺',
+  'huì': '慧卉惠晦贿秽会烩汇讳诲绘荟蕙喙彗缋恚蟪',
+  'hūn': '荤昏婚阍',
+  'hún': '魂浑馄珲',
+  'hùn': '混诨溷',
+  'huō': '豁劐攉耠',
+  'huó': '活',
+  'huǒ': '伙火夥灬钬',
+  'huò': '获或惑霍货祸藿嚯锪镬蠖',
+  'jī': '击圾基机畸稽积箕肌饥激讥鸡姬缉几乩剞墼芨叽咭唧屐畿玑赍犄齑矶羁嵇笄跻',
+  'jí': '吉极棘辑籍集及急疾汲即嫉级亟佶蒺蕺岌楫殛戢瘠笈',
+  'jǐ': '挤脊己掎嵴戟虮麂',
+  'jì': '迹绩蓟技冀季伎祭剂悸济寄寂计记既忌际妓继纪偈芰荠哜洎彐骥觊稷暨跽霁鲚鲫髻',
+  'jiā': '嘉枷夹佳家加葭浃迦珈镓痂笳袈跏',
+  'jiá': '荚颊郏戛恝铗袷蛱',
+  'jiǎ': '贾甲钾假岬胛瘕',
+  'jià': '稼价架驾嫁',
+  'jiān': '歼监坚尖笺间煎兼肩艰奸缄菅蒹搛湔缣戋犍鹣鲣鞯',
+  'jiǎn': '茧检柬碱硷拣捡简俭剪减谫囝蹇謇枧戬睑锏裥笕翦趼',
+  'jiàn': '荐槛鉴践贱见键箭件健舰剑饯渐溅涧建僭谏楗牮毽腱踺',
+  'jiāng': '僵姜将浆江疆茳缰礓豇',
+  'jiǎng': '蒋桨奖讲耩',
+  'jiàng': '匠酱降洚绛犟糨',
+  'jiāo': '蕉椒礁焦胶交郊浇骄娇僬艽茭姣鹪蛟跤鲛',
+  'jiáo': '嚼',
+  'jiǎo': '搅铰矫侥脚狡角饺缴绞剿佼挢徼敫皎',
+  'jiào': '教酵轿较叫窖噍峤醮',
+  'jiē': '揭接皆秸街阶喈嗟疖',
+  'jié': '截劫节杰捷睫竭洁结讦诘卩拮婕孑桀碣颉羯鲒',
+  'jiě': '解姐',
+  'jiè': '戒藉芥界借介疥诫届蚧骱',
+  'jīn': '巾筋斤金今津襟禁堇钅衿矜',
+  'jǐn': '紧锦仅谨卺馑廑瑾槿',
+  'jìn': '进靳晋近烬浸尽劲荩噤妗缙赆觐',
+  'jīng': '荆兢茎睛晶鲸京惊精粳经菁泾腈旌',
+  'jǐng': '井警景颈刭儆阱憬肼',
+  'jìng': '静境敬镜径痉靖竟竞净獍迳弪婧胫靓',
+  'jiōng': '冂扃',
+  'jiǒng': '炯窘迥炅',
+  'jiū': '揪究纠啾阄鸠赳鬏',
+  'jiǔ': '玖韭久灸九酒',
+  'jiù': '厩救旧臼舅咎就疚僦柩桕鹫',
+  'jū': '鞠拘狙疽居驹苴掬琚椐锔裾雎鞫',
+  'jú': '桔菊局橘',
+  'jǔ': '咀矩举沮莒枸榘榉踽龃',
+  'jù': '聚拒据巨具距踞锯俱句惧炬剧倨讵苣遽屦犋飓钜窭醵',
+  'juān': '捐鹃娟涓蠲镌',
+  'juǎn': '锩',
+  'juàn': '倦眷卷绢鄄狷桊',
+  'juē': '撅噘',
+  'jué': '攫抉掘倔爵觉决诀绝厥劂谲矍蕨噱崛獗孓珏桷橛爝镢蹶觖',
+  'jūn': '均菌钧军君皲麇',
+  'jùn': '峻俊竣浚郡骏捃隽',
+  'kā': '喀咖',
+  'kǎ': '卡咯佧咔胩',
+  'kāi': '开揩锎',
+  'kǎi': '楷凯慨剀垲蒈恺铠锴',
+  'kài': '忾',
+  'kān': '刊堪勘戡龛',
+  'kǎn': '坎砍侃凵莰',
+  'kàn': '看阚瞰',
+  'kāng': '康慷糠',
+  'káng': '扛',
+  'kàng': '抗亢炕伉闶钪',
+  'kāo': '尻',
+  'kǎo': '考拷烤栲',
+  'kào': '靠犒铐',
+  'kē': '坷苛柯棵磕颗科嗑珂轲瞌钶稞疴窠颏蚵蝌髁',
+  'ké': '壳咳',
+  'kě': '可渴岢',
+  'kè': '克刻客课恪溘骒缂氪锞',
+  'kěn': '肯啃垦恳',
+  'kèn': '裉',
+  'kēng': '坑铿',
+  'kōng': '空倥崆箜',
+  'kǒng': '恐孔',
+  'kòng': '控',
+  'kōu': '抠芤眍',
+  'kǒu': '口',
+  'kòu': '扣寇蔻叩筘',
+  'kū': '枯哭窟刳堀骷',
+  'kǔ': '苦',
+  'kù': '酷库裤喾绔',
+  'kuā': '夸',
+  'kuǎ': '垮侉',
+  'kuà': '挎跨胯',
+  'kuǎi': '蒯',
+  'kuài': '块筷侩快郐哙狯浍脍',
+  'kuān': '宽髋',
+  'kuǎn': '款',
+  'kuāng': '匡筐诓哐',
+  'kuáng': '狂诳',
+  'kuǎng': '夼',
+  'kuàng': '框矿眶旷况邝圹纩贶',
+  'kuī': '亏盔岿窥悝',
+  'kuí': '葵奎魁馗夔揆喹逵暌睽蝰',
+  'kuǐ': '傀跬',
+  'kuì': '馈愧溃匮蒉喟愦聩篑',
+  'kūn': '坤昆琨锟醌鲲髡',
+  'kǔn': '捆悃阃',
+  'kùn': '困',
+  'kuò': '括扩廓阔蛞',
+  'lā': '垃拉啦邋',
+  'lá': '旯',
+  'lǎ': '喇',
+  'là': '蜡腊辣落剌瘌',
+  'lái': '莱来崃涞铼',
+  'lài': '赖徕濑赉睐癞籁',
+  'lán': '蓝婪栏拦篮阑兰澜谰啉岚斓镧褴',
+  'lǎn': '揽览懒缆漤榄罱',
+  'làn': '烂滥',
+  'lāng': '啷',
+  'láng': '琅榔狼廊郎锒稂螂',
+  'lǎng': '朗',
+  'làng': '浪莨蒗阆',
+  'lāo': '捞',
+  'láo': '劳牢崂铹痨醪',
+  'lǎo': '老佬潦栳铑',
+  'lào': '酪烙涝唠耢',
+  'lè': '勒乐仂叻泐鳓',
+  'le': '了',
+  'léi': '雷镭累擂羸嫘缧檑',
+  'lěi': '蕾磊儡垒诔耒',
+  'lèi': '肋类泪酹',
+  'lei': '嘞',
+  'léng': '棱楞塄',
+  'lěng': '冷',
+  'lèng': '愣',
+  'lí': '厘梨犁黎篱狸离漓璃蓠藜喱嫠骊缡罹鹂鲡黧',
+  'lǐ': '理李里鲤礼俚澧逦娌锂蠡醴鳢',
+  'lì': '莉荔吏栗丽厉励砾历利傈例俐痢立粒沥隶力俪郦坜苈莅呖唳猁溧枥栎轹戾砺砬詈疠疬蛎蜊笠篥粝跞雳',
+  'li': '哩',
+  'lián': '联莲连镰廉怜涟帘奁濂臁裢蠊鲢',
+  'liǎn': '敛脸蔹琏裣',
+  'liàn': '链恋炼练潋楝殓',
+  'liáng': '粮凉梁粱良量墚椋踉',
+  'liǎng': '俩两魉',
+  'liàng': '辆晾亮谅',
+  'liāo': '撩',
+  'liáo': '聊僚疗燎寥辽嘹獠寮缭鹩',
+  'liǎo': '蓼钌',
+  'liào': '撂镣廖料尥',
+  'liě': '咧',
+  'liè': '列裂烈劣猎冽埒捩洌趔躐鬣',
+  'līn': '拎',
+  'lín': '琳林磷霖临邻鳞淋嶙遴辚瞵粼麟',
+  'lǐn': '凛廪懔檩',
+  'lìn': '赁吝蔺膦躏',
+  'líng': '玲菱零龄铃伶羚凌灵陵令酃苓呤囹泠绫柃棂瓴聆蛉翎鲮',
+  'lǐng': '岭领',
+  'lìng': '另',
+  'liū': '溜熘',
+  'liú': '琉榴硫留刘瘤流浏骝旒镏鎏',
+  'liǔ': '柳绺锍',
+  'liù': '馏六遛鹨',
+  'lóng': '龙聋咙笼窿隆茏泷珑栊胧砻癃',
+  'lǒng': '垄拢陇垅',
+  'lóu': '楼娄蒌喽耧蝼髅',
+  'lǒu': '搂篓嵝',
+  'lòu': '漏陋露镂瘘',
+  'lū': '撸噜',
+  'lú': '芦卢颅庐炉垆泸栌轳胪鸬舻鲈',
+  'lǘ': '驴闾榈',
+  'lǔ': '掳卤虏鲁橹氇镥',
+  'lǚ': '吕铝侣旅履屡缕偻膂稆褛',
+  'lù': '麓碌路赂鹿潞禄录陆戮渌漉逯璐辂辘鹭簏',
+  'lǜ': '虑氯律滤绿',
+  'luán': '峦挛孪滦脔娈栾鸾銮',
+  'luǎn': '卵',
+  'luàn': '乱',
+  'lüè': '掠略锊',
+  'lūn': '抡',
+  'lún': '轮伦仑沦纶囵',
+  'lùn': '论',
+  'luō': '捋',
+  'luó': '萝螺罗逻锣箩骡猡椤脶镙',
+  'luǒ': '裸倮蠃瘰',
+  'luò': '洛骆络荦摞泺漯珞硌雒',
+  'mā': '妈',
+  'má': '麻嘛蟆',
+  'mǎ': '玛码蚂马犸',
+  'mà': '骂杩',
+  'ma': '吗',
+  'mái': '埋霾',
+  'mǎi': '买荬',
+  'mài': '麦卖迈脉劢唛',
+  'mān': '颟',
+  'mán': '瞒馒蛮谩鳗鞔',
+  'mǎn': '满螨',
+  'màn': '蔓曼慢漫墁幔缦熳镘',
+  'máng': '芒茫盲氓忙邙硭',
+  'mǎng': '莽漭蟒',
+  'māo': '猫',
+  'máo': '茅锚毛矛茆牦旄蝥蟊髦',
+  'mǎo': '铆卯峁泖昴',
+  'mào': '茂冒帽貌贸袤瑁耄懋瞀',
+  'méi': '玫枚梅酶霉煤没眉媒莓嵋猸湄楣镅鹛',
+  'měi': '镁每美浼',
+  'mèi': '昧寐妹媚袂魅',
+  'mén': '门们扪钔',
+  'mèn': '闷焖懑',
+  'mēng': '蒙',
+  'méng': '萌檬盟甍瞢朦礞虻艨',
+  'měng': '锰猛勐懵蜢蠓艋',
+  'mèng': '梦孟',
+  'mī': '眯咪',
+  'mí': '醚靡糜迷谜弥蘼猕祢縻麋',
+  'mǐ': '米芈弭脒敉',
+  'mì': '秘觅泌蜜密幂冖谧嘧汨宓糸',
+  'mián': '棉眠绵宀',
+  'miǎn': '冕免勉娩缅沔渑湎腼眄',
+  'miàn': '面',
+  'miāo': '喵',
+  'miáo': '苗描瞄鹋',
+  'miǎo': '藐秒渺邈缈杪淼眇',
+  'miào': '庙妙',
+  'miē': '乜咩',
+  'miè': '蔑灭蠛篾',
+  'mín': '民苠岷缗玟珉',
+  'mǐn': '抿皿敏悯闽闵泯愍黾鳘',
+  'míng': '明螟鸣铭名冥茗溟暝瞑',
+  'mǐng': '酩',
+  'mìng': '命',
+  'miù': '谬',
+  'mō': '摸',
+  'mó': '么摹蘑模膜磨摩魔谟馍嫫嬷麽',
+  'mǒ': '抹',
+  'mò': '末莫墨默沫漠寞陌茉蓦殁镆秣瘼耱貊貘',
+  'mōu': '哞',
+  'móu': '谋牟侔缪眸蛑鍪',
+  'mǒu': '某',
+  'mú': '毪',
+  'mǔ': '姥拇牡亩姆母',
+  'mù': '墓暮幕募慕木目睦牧穆仫坶苜沐钼',
+  'ná': '拿镎',
+  'nǎ': '哪',
+  'nà': '呐钠那娜纳捺肭衲',
+  'nǎi': '氖乃奶艿',
+  'nài': '耐奈鼐萘柰',
+  'nān': '囡',
+  'nán': '南男难喃楠',
+  'nǎn': '腩蝻赧',
+  'nāng': '囔',
+  'náng': '囊馕',
+  'nǎng': '攮曩',
+  'nāo': '孬',
+  'náo': '挠呶猱硇铙蛲',
+  'nǎo': '脑恼垴瑙',
+  'nào': '闹淖',
+  'nè': '讷疒',
+  'něi': '馁',
+  'nèi': '内',
+  'nèn': '嫩恁',
+  'néng': '能',
+  'ňg': '嗯',
+  'nī': '妮',
+  'ní': '呢霓倪泥尼坭猊怩铌鲵',
+  'nǐ': '拟你伲旎',
+  'nì': '匿腻逆溺昵睨',
+  'niān': '蔫拈',
+  'nián': '年粘黏鲇鲶',
+  'niǎn': '碾撵捻辇',
+  'niàn': '念廿埝',
+  'niáng': '娘',
+  'niàng': '酿',
+  'niǎo': '鸟茑嬲袅',
+  'niào': '尿脲',
+  'niē': '捏',
+  'niè': '聂孽啮镊镍涅陧蘖嗫颞臬蹑',
+  'nín': '您',
+  'níng': '柠狞凝宁拧咛甯聍',
+  'nìng': '泞佞',
+  'niū': '妞',
+  'niú': '牛',
+  'niǔ': '扭钮纽狃忸',
+  'nóng': '脓浓农侬哝',
+  'nòng': '弄',
+  'nòu': '耨',
+  'nú': '奴孥驽',
+  'nǔ': '努弩胬',
+  'nǚ': '女钕',
+  'nù': '怒',
+  'nǜ': '恧衄',
+  'nuǎn': '暖',
+  'nüè': '虐疟',
+  'nuó': '挪傩',
+  'nuò': '懦糯诺搦喏锘',
+  'ō': '喔噢',
+  'ó': '哦',
+  'ōu': '欧鸥殴讴瓯',
+  'ǒu': '藕呕偶耦',
+  'òu': '沤怄',
+  'pā': '啪趴葩',
+  'pá': '爬琶杷筢',
+  'pà': '帕怕',
+  'pāi': '拍',
+  'pái': '排牌徘俳',
+  'pài': '湃派蒎哌',
+  'pān': '攀潘',
+  'pán': '盘磐丬爿蟠蹒',
+  'pàn': '盼畔判叛拚泮袢襻',
+  'pāng': '乓滂',
+  'páng': '庞旁彷逄螃',
+  'pǎng': '耪',
+  'pàng': '胖',
+  'pāo': '抛脬',
+  'páo': '咆刨炮袍匏狍庖',
+  'pǎo': '跑',
+  'pào': '泡疱',
+  'pēi': '呸胚醅',
+  'péi': '培裴赔陪锫',
+  'pèi': '配佩沛辔帔旆霈',
+  'pēn': '喷',
+  'pén': '盆湓',
+  'pēng': '砰抨烹嘭怦',
+  'péng': '澎彭蓬棚硼篷膨朋鹏堋蟛',
+  'pěng': '捧',
+  'pèng': '碰',
+  'pī': '坯砒霹批披劈丕陴邳噼纰',
+  'pí': '琵毗啤脾疲皮郫埤鼙枇罴铍蚍蜱貔',
+  'pǐ': '匹痞仳圮擗吡庀癖疋',
+  'pì': '僻屁譬淠媲甓',
+  'piān': '篇偏犏翩',
+  'pián': '骈胼蹁',
+  'piǎn': '谝',
+  'piàn': '片骗',
+  'piāo': '飘漂剽嘌螵',
+  'piáo': '瓢嫖',
+  'piǎo': '缥殍瞟',
+  'piào': '票骠',
+  'piē': '撇瞥氕',
+  'piě': '丿苤',
+  'pīn': '拼姘',
+  'pín': '频贫嫔颦',
+  'pǐn': '品榀',
+  'pìn': '聘牝',
+  'pīng': '乒俜娉',
+  'píng': '坪苹萍平凭瓶评屏枰鲆',
+  'pō': '坡泼颇钋',
+  'pó': '婆鄱皤',
+  'pǒ': '叵钷笸',
+  'pò': '破魄迫粕珀',
+  'pōu': '剖',
+  'póu': '裒',
+  'pǒu': '掊',
+  'pū': '扑铺仆噗攴攵',
+  'pú': '莆葡菩蒲匍濮璞镤',
+  'pǔ': '埔朴圃普浦谱溥氆镨蹼',
+  'pù': '曝瀑',
+  'qī': '期欺栖戚妻七凄漆柒沏萋嘁桤欹蹊',
+  'qí': '其棋奇歧畦崎脐齐旗祈祁骑丌亓圻芪萁蕲岐淇骐琪琦耆祺颀蛴蜞綦鳍麒',
+  'qǐ': '起岂乞企启芑屺绮杞',
+  'qì': '契砌器气迄弃汽泣讫葺汔槭憩碛',
+  'qiā': '掐葜',
+  'qià': '恰洽髂',
+  'qiān': '牵扦钎铅千迁签仟谦佥阡芊岍悭骞搴褰愆',
+  'qián': '乾黔钱钳前潜荨掮钤虔箝',
+  'qiǎn': '遣浅谴缱肷',
+  'qiàn': '堑嵌欠歉倩芡茜慊椠',
+  'qiāng': '枪呛腔羌抢戕戗锖锵蜣跄',
+  'qiáng': '墙蔷强嫱樯',
+  'qiǎng': '镪襁羟',
+  'qiàng': '炝',
+  'qiāo': '橇锹敲劁缲硗跷',
+  'qiáo': '桥瞧乔侨翘谯荞憔樵鞒',
+  'qiǎo': '悄巧愀',
+  'qiào': '鞘撬峭俏窍诮',
+  'qiē': '切',
+  'qié': '茄伽',
+  'qiě': '且',
+  'qiè': '怯窃郄惬妾挈锲箧趄',
+  'qīn': '钦侵亲衾',
+  'qín': '秦琴勤芹擒禽芩嗪噙檎螓',
+  'qǐn': '寝锓',
+  'qìn': '沁揿吣',
+  'qīng': '青轻氢倾卿清圊蜻鲭',
+  'qíng': '擎晴氰情檠黥',
+  'qǐng': '顷请苘謦',
+  'qìng': '庆磬罄箐綮',
+  'qióng': '琼穷邛茕穹蛩筇跫銎',
+  'qiū': '秋丘邱湫楸蚯鳅',
+  'qiú': '球求囚酋泅俅巯犰逑遒赇虬蝤裘鼽',
+  'qiǔ': '糗',
+  'qū': '趋区蛆曲躯屈驱诎岖祛蛐麴黢',
+  'qú': '渠劬蕖蘧衢璩氍朐磲鸲癯蠼瞿',
+  'qǔ': '取娶龋',
+  'qù': '趣去阒觑',
+  'quān': '圈悛',
+  'quán': '颧权醛泉全痊拳诠荃辁铨蜷筌鬈',
+  'quǎn': '犬犭绻畎',
+  'quàn': '券劝',
+  'quē': '缺炔阙',
+  'qué': '瘸',
+  'què': '却鹊榷确雀阕悫',
+  'qūn': '逡',
+  'qún': '裙群',
+  'rán': '然燃蚺髯',
+  'rǎn': '冉染苒',
+  'ráng': '瓤禳穰',
+  'rǎng': '壤攘嚷',
+  'ràng': '让',
+  'ráo': '饶荛娆桡',
+  'rǎo': '扰',
+  'rào': '绕',
+  'rě': '惹',
+  'rè': '热',
+  'rén': '壬仁人亻',
+  'rěn': '忍荏稔',
+  'rèn': '韧任认刃妊纫仞饪轫衽',
+  'rēng': '扔',
+  'réng': '仍',
+  'rì': '日',
+  'róng': '戎茸蓉荣融熔溶容绒嵘狨榕肜蝾',
+  'rǒng': '冗',
+  'róu': '揉柔糅蹂鞣',
+  'ròu': '肉',
+  'rú': '茹蠕儒孺如薷嚅濡铷襦颥',
+  'rǔ': '辱乳汝',
+  'rù': '入褥蓐洳溽缛',
+  'ruǎn': '软阮朊',
+  'ruí': '蕤',
+  'ruǐ': '蕊',
+  'ruì': '瑞锐芮枘睿蚋',
+  'rùn': '闰润',
+  'ruò': '若弱偌箬',
+  'sā': '撒仨',
+  'sǎ': '洒',
+  'sà': '萨卅脎飒',
+  'sāi': '腮鳃塞噻',
+  'sài': '赛',
+  'sān': '三叁毵',
+  'sǎn': '伞馓糁',
+  'sàn': '散',
+  'sāng': '桑丧',
+  'sǎng': '嗓搡磉颡',
+  'sāo': '搔骚缫臊鳋',
+  'sǎo': '扫嫂',
+  'sào': '埽瘙',
+  'sè': '瑟色涩啬铯穑',
+  'sēn': '森',
+  'sēng': '僧',
+  'shā': '砂杀沙纱煞铩痧裟鲨',
+  'shá': '啥',
+  'shǎ': '傻',
+  'shà': '厦唼嗄歃霎',
+  'shāi': '筛',
+  'shài': '晒',
+  'shān': '珊苫杉山删煽衫芟彡潸姗膻钐舢跚',
+  'shǎn': '闪陕',
+  'shàn': '擅赡膳善汕扇缮讪鄯嬗骟疝蟮鳝',
+  'shāng': '墒伤商殇熵觞',
+  'shǎng': '赏晌垧',
+  'shàng': '上尚绱',
+  'shāo': '梢捎稍烧筲艄',
+  'sháo': '芍勺韶杓',
+  'shǎo': '少',
+  'shào': '哨邵绍劭潲',
+  'shē': '奢赊猞畲',
+  'shé': '蛇舌佘揲',
+  'shě': '舍',
+  'shè': '赦摄射慑涉社设厍滠麝',
+  'shēn': '砷申呻伸身深娠绅诜莘',
+  'shén': '神',
+  'shěn': '沈审婶谂哂渖矧',
+  'shèn': '甚肾慎渗葚胂蜃',
+  'shēng': '声生甥牲升笙',
+  'shéng': '绳',
+  'shěng': '省眚',
+  'shèng': '盛剩胜圣嵊晟',
+  'shī': '师失狮施湿诗尸虱蓍酾鲺',
+  'shí': '十石拾时什食蚀实识埘饣炻鲥',
+  'shǐ': '史矢使屎驶始豕',
+  'shì': '式示士世柿事拭誓逝势是嗜噬适仕侍释饰氏市恃室视试谥莳弑轼贳礻铈螫舐筮',
+  'shōu': '收',
+  'shǒu': '手首守扌艏',
+  'shòu': '寿授售受瘦兽狩绶',
+  'shū': '蔬枢梳殊抒输叔舒淑疏书倏菽摅姝纾毹殳',
+  'shú': '赎孰熟塾秫',
+  'shǔ': '薯暑曙署蜀黍鼠属',
+  'shù': '术述树束戍竖墅庶数漱恕沭澍腧',
+  'shuā': '刷唰',
+  'shuǎ': '耍',
+  'shuāi': '摔衰',
+  'shuǎi': '甩',
+  'shuài': '率帅蟀',
+  'shuān': '栓拴闩',
+  'shuàn': '涮',
+  'shuāng': '霜双孀',
+  'shuǎng': '爽',
+  'shuí': '谁',
+  'shuǐ': '水氵',
+  'shuì': '睡税',
+  'shǔn': '吮',
+  'shùn': '瞬顺舜',
+  'shuō': '说',
+  'shuò': '硕朔烁蒴搠妁槊铄',
+  'sī': '斯撕嘶思私司丝厮厶咝澌纟缌锶鸶蛳',
+  'sǐ': '死',
+  'sì': '肆寺嗣四伺似饲巳俟兕汜泗姒驷祀耜笥',
+  'sōng': '松凇菘崧嵩忪淞',
+  'sǒng': '耸怂悚竦',
+  'sòng': '颂送宋讼诵',
+  'sōu': '搜艘嗖馊溲飕锼螋',
+  'sǒu': '叟薮嗾瞍',
+  'sòu': '擞嗽',
+  'sū': '苏酥稣',
+  'sú': '俗',
+  'sù': '素速粟僳塑溯宿诉肃夙谡蔌嗉愫涑簌觫',
+  'suān': '酸狻',
+  'suàn': '蒜算',
+  'suī': '虽荽濉',
+  'suí': '隋随绥',
+  'suǐ': '髓',
+  'suì': '碎岁穗遂隧祟谇邃燧',
+  'sūn': '孙荪狲飧',
+  'sǔn': '损笋榫隼',
+  'suō': '莎蓑梭唆缩嗦嗍娑桫挲睃羧',
+  'suǒ': '琐索锁所唢',
+  'tā': '塌他它她溻铊趿',
+  'tǎ': '塔獭鳎',
+  'tà': '挞蹋踏嗒闼遢榻沓',
+  'tāi': '胎',
+  'tái': '苔抬台邰薹骀炱跆鲐',
+  'tài': '泰酞太态汰肽钛',
+  'tān': '坍摊贪瘫滩',
+  'tán': '坛檀痰潭谭谈郯昙锬覃',
+  'tǎn': '坦毯袒忐钽',
+  'tàn': '碳探叹炭',
+  'tāng': '汤镗羰',
+  'táng': '塘搪堂棠膛唐糖溏瑭樘螗螳醣',
+  'tǎng': '倘躺淌傥帑耥',
+  'tàng': '趟烫铴',
+  'tāo': '掏涛滔绦叨韬饕',
+  'táo': '萄桃逃淘陶鼗啕洮',
+  'tǎo': '讨',
+  'tào': '套',
+  'tè': '特忒忑慝铽',
+  'téng': '藤腾疼誊滕',
+  'tī': '梯剔踢锑',
+  'tí': '提题蹄啼绨缇鹈醍',
+  'tǐ': '体',
+  'tì': '替嚏惕涕剃屉倜悌逖',
+  'tiān': '天添',
+  'tián': '填田甜恬阗畋',
+  'tiǎn': '舔腆忝殄',
+  'tiàn': '掭',
+  'tiāo': '挑佻祧',
+  'tiáo': '调条迢苕蜩笤龆鲦髫',
+  'tiǎo': '窕',
+  'tiào': '眺跳粜',
+  'tiē': '贴萜',
+  'tiě': '铁',
+  'tiè': '帖餮',
+  'tīng': '厅听烃汀',
+  'tíng': '廷停亭庭莛葶婷蜓霆',
+  'tǐng': '挺艇梃町铤',
+  'tōng': '通嗵',
+  'tóng': '桐酮瞳同铜彤童佟僮仝茼峒潼砼',
+  'tǒng': '桶捅筒统',
+  'tòng': '痛恸',
+  'tōu': '偷',
+  'tóu': '投头亠骰',
+  'tòu': '透',
+  'tū': '凸秃突',
+  'tú': '图徒途涂屠荼酴',
+  'tǔ': '土吐钍',
+  'tù': '兔堍菟',
+  'tuān': '湍',
+  'tuán': '团抟',
+  'tuǎn': '疃',
+  'tuàn': '彖',
+  'tuī': '推',
+  'tuí': '颓',
+  'tuǐ': '腿',
+  'tuì': '蜕褪退煺',
+  'tūn': '吞暾',
+  'tún': '屯臀饨豚',
+  'tǔn': '氽',
+  'tuō': '拖托脱乇',
+  'tuó': '鸵陀驮驼佗坨沲沱柁橐砣酡跎鼍',
+  'tuǒ': '椭妥庹',
+  'tuò': '拓唾柝箨',
+  'wā': '挖哇蛙洼娲',
+  'wá': '娃',
+  'wǎ': '瓦佤',
+  'wà': '袜腽',
+  'wāi': '歪呙',
+  'wǎi': '崴',
+  'wài': '外',
+  'wān': '豌弯湾剜蜿',
+  'wán': '玩顽丸烷完芄纨',
+  'wǎn': '碗挽晚皖惋宛婉菀绾琬脘畹箢',
+  'wàn': '万腕',
+  'wāng': '汪',
+  'wáng': '王亡',
+  'wǎng': '枉网往罔惘辋魍',
+  'wàng': '旺望忘妄',
+  'wēi': '威巍微危偎隈葳薇逶煨',
+  'wéi': '韦违桅围唯惟为潍维圩囗帏帷嵬闱沩涠',
+  'wěi': '苇萎委伟伪尾纬诿隗猥洧娓玮韪炜痿艉鲔',
+  'wèi': '未蔚味畏胃喂魏位渭谓尉慰卫猬軎',
+  'wēn': '瘟温',
+  'wén': '蚊文闻纹阌雯',
+  'wěn': '吻稳紊刎',
+  'wèn': '问汶璺',
+  'wēng': '嗡翁',
+  'wěng': '蓊',
+  'wèng': '瓮蕹',
+  'wō': '蜗涡窝倭莴',
+  'wǒ': '我',
+  'wò': '斡卧握沃幄渥肟硪龌',
+  'wū': '巫呜钨乌污诬屋邬圬',
+  'wú': '无芜梧吾吴毋浯蜈鼯',
+  'wǔ': '武五捂午舞伍侮仵庑怃忤迕妩牾鹉',
+  'wù': '坞戊雾晤物勿务悟误兀阢芴唔寤婺骛杌焐鹜痦鋈',
+  'xī': '昔熙析西硒矽晰嘻吸锡牺稀息希悉膝夕惜熄烯溪汐犀僖兮郗菥奚唏浠淅嬉樨曦欷歙熹皙穸裼蜥螅蟋舾羲粞翕醯鼷',
+  'xí': '檄袭席习媳隰觋',
+  'xǐ': '喜洗葸蓰徙屣玺禧',
+  'xì': '系隙戏细饩阋禊舄',
+  'xiā': '瞎虾呷',
+  'xiá': '匣霞辖暇峡侠狭狎遐瑕柙硖黠',
+  'xià': '下夏吓罅',
+  'xiān': '掀锨先仙鲜纤莶暹氙祆籼酰跹',
+  'xián': '咸贤衔舷闲涎弦嫌娴鹇痫',
+  'xiǎn': '铣显险冼藓猃燹蚬筅跣',
+  'xiàn': '现献县腺馅羡宪陷限线苋岘霰',
+  'xiāng': '相厢镶香箱襄湘乡芗葙骧缃',
+  'xiáng': '翔祥详庠',
+  'xiǎng': '想响享饷鲞飨',
+  'xiàng': '项巷橡像向象蟓',
+  'xiāo': '萧硝霄削嚣销消宵肖哓潇逍骁绡枭枵蛸箫魈',
+  'xiáo': '淆崤',
+  'xiǎo': '晓小筱',
+  'xiào': '哮孝校啸笑效',
+  'xiē': '楔些歇蝎',
+  'xié': '鞋协挟携邪斜胁谐偕勰撷缬',
+  'xiě': '写血',
+  'xiè': '械卸蟹懈泄泻谢屑亵燮薤獬廨渫瀣邂绁榭榍躞',
+  'xīn': '薪芯锌欣辛新忻心馨忄昕歆鑫',
+  'xín': '镡',
+  'xìn': '信衅囟',
+  'xīng': '星腥猩惺兴',
+  'xíng': '刑型形邢陉荥饧硎',
+  'xǐng': '醒擤',
+  'xìng': '幸杏性姓荇悻',
+  'xiōng': '兄凶胸匈汹芎',
+  'xióng': '雄熊',
+  'xiū': '休修羞咻馐庥鸺貅髹',
+  'xiǔ': '朽',
+  'xiù': '嗅锈秀袖绣岫溴',
+  'xū': '墟戌需虚嘘须吁顼砉盱胥',
+  'xú': '徐',
+  'xǔ': '许诩栩糈醑',
+  'xù': '蓄酗叙旭序畜恤絮婿绪续勖蓿洫溆煦',
+  'xuān': '轩喧宣儇谖萱揎暄煊',
+  'xuán': '悬旋玄漩璇痃',
+  'xuǎn': '选癣',
+  'xuàn': '眩绚泫渲楦炫碹铉镟',
+  'xuē': '靴薛',
+  'xué': '学穴泶踅',
+  'xuě': '雪鳕',
+  'xuè': '谑',
+  'xūn': '勋熏埙薰獯曛醺',
+  'xún': '循旬询寻巡郇荀峋恂洵浔鲟',
+  'xùn': '驯殉汛训讯逊迅巽蕈徇',
+  'yā': '压押鸦鸭呀丫垭吖桠',
+  'yá': '芽牙蚜崖衙涯伢岈琊睚',
+  'yǎ': '雅哑痖',
+  'yà': '亚讶轧揠迓娅氩砑',
+  'yān': '焉咽阉烟淹鄢菸崦恹湮嫣胭',
+  'yán': '盐严研蜒岩延言颜阎炎沿讠埏闫妍檐筵',
+  'yǎn': '奄掩眼衍演厣剡俨偃兖郾琰罨魇鼹',
+  'yàn': '艳堰燕厌砚雁唁彦焰宴谚验赝谳滟晏焱酽餍',
+  'yāng': '殃央鸯秧泱鞅',
+  'yáng': '杨扬佯疡羊洋阳徉炀烊蛘',
+  'yǎng': '氧仰痒养',
+  'yàng': '样漾怏恙',
+  'yāo': '邀腰妖夭吆幺',
+  'yáo': '瑶摇尧遥窑谣姚爻徭珧轺肴繇鳐',
+  'yǎo': '咬舀崾杳窈',
+  'yào': '药要耀曜鹞',
+  'yē': '椰噎',
+  'yé': '耶爷揶铘',
+  'yě': '野冶也',
+  'yè': '页掖业叶曳腋夜液靥谒邺晔烨',
+  'yī': '一壹医揖铱依伊衣咿噫猗漪衤黟',
+  'yí': '颐夷遗移仪胰疑沂宜姨彝诒圯荑咦嶷饴怡贻眙痍',
+  'yǐ': '椅蚁倚已乙矣以苡迤旖钇舣酏',
+  'yì': '艺抑易邑屹亿役臆逸肄疫亦裔意毅忆义益溢诣议谊译异翼翌绎刈劓仡佚佾埸懿薏弈奕挹弋呓嗌峄怿悒驿缢殪轶熠镒镱瘗癔翊蜴羿翳',
+  'yīn': '茵荫因殷音阴姻堙喑洇氤铟',
+  'yín': '吟银淫寅鄞垠狺夤霪龈',
+  'yǐn': '饮尹引隐廴吲瘾蚓',
+  'yìn': '印胤茚窨',
+  'yīng': '英樱婴鹰应缨莺撄嘤膺瑛璎鹦罂',
+  'yíng': '莹萤营荧蝇迎赢盈嬴茔萦蓥滢潆瀛楹',
+  'yǐng': '影颖郢瘿颍',
+  'yìng': '硬映媵',
+  'yō': '哟唷',
+  'yōng': '拥佣臃痈庸雍壅墉慵邕镛鳙饔',
+  'yóng': '喁',
+  'yǒng': '踊蛹咏泳涌永恿勇俑甬',
+  'yòng': '用',
+  'yōu': '幽优悠忧攸呦',
+  'yóu': '尤由邮铀犹油游莜莸尢猷疣蚰蝣鱿',
+  'yǒu': '酉有友卣莠牖铕黝',
+  'yòu': '右佑釉诱又幼侑囿宥柚蚴鼬',
+  'yū': '迂淤纡瘀',
+  'yú': '于盂榆虞愚舆余俞逾鱼愉渝渔隅予娱禺谀萸揄嵛狳馀妤瑜觎腴欤於窬蝓竽臾舁雩',
+  'yǔ': '雨与屿禹宇语羽伛俣圄圉庾瘐窳龉',
+  'yù': '玉域芋郁遇喻峪御愈欲狱育誉浴寓裕预豫驭毓谕蓣饫阈鬻妪昱煜燠肀聿钰鹆鹬蜮',
+  'yuān': '鸳渊冤眢鸢',
+  'yuán': '元垣袁原援辕园员圆猿源缘塬芫沅橼爰螈鼋',
+  'yuǎn': '远',
+  'yuàn': '苑愿怨院垸掾媛瑗',
+  'yuē': '曰约',
+  'yuě': '哕',
+  'yuè': '越跃钥岳粤月悦阅龠瀹樾刖钺',
+  'yūn': '氲',
+  'yún': '耘云郧匀芸纭昀筠',
+  'yǔn': '陨允狁殒',
+  'yùn': '运蕴酝晕韵孕郓恽愠韫熨',
+  'zā': '匝扎拶咂',
+  'zá': '砸杂',
+  'zǎ': '咋',
+  'zāi': '栽哉灾甾',
+  'zǎi': '宰载崽',
+  'zài': '再在',
+  'zān': '簪糌',
+  'zán': '咱',
+  'zǎn': '攒昝趱',
+  'zàn': '暂赞瓒錾',
+  'zāng': '赃脏臧',
+  'zǎng': '驵',
+  'zàng': '葬奘',
+  'zāo': '遭糟',
+  'záo': '凿',
+  'zǎo': '藻枣早澡蚤',
+  'zào': '躁噪造皂灶燥唣',
+  'zé': '责择则泽赜啧帻迮箦舴',
+  'zè': '仄昃',
+  'zéi': '贼',
+  'zěn': '怎',
+  'zèn': '谮',
+  'zēng': '增憎曾缯罾',
+  'zèng': '赠甑锃',
+  'zhā': '喳渣揸哳楂齄',
+  'zhá': '札铡闸',
+  'zhǎ': '眨砟',
+  'zhà': '栅榨乍炸诈吒咤痄蚱',
+  'zhāi': '摘斋',
+  'zhái': '宅',
+  'zhǎi': '窄',
+  'zhài': '债寨砦瘵',
+  'zhān': '瞻毡詹沾占谵旃',
+  'zhǎn': '盏斩辗崭展搌',
+  'zhàn': '蘸栈战站湛绽',
+  'zhāng': '樟章彰漳张鄣獐嫜璋蟑',
+  'zhǎng': '掌涨仉',
+  'zhàng': '杖丈帐账仗胀瘴障幛嶂',
+  'zhāo': '朝招昭钊',
+  'zhǎo': '找沼爪',
+  'zhào': '赵照罩兆肇召诏棹笊',
+  'zhē': '遮折',
+  'zhé': '哲蛰辙谪摺辄磔蜇',
+  'zhě': '者锗褶赭',
+  'zhè': '蔗这浙柘鹧',
+  'zhēn': '珍斟真甄砧臻贞针侦帧蓁浈溱桢椹榛胗祯箴',
+  'zhěn': '枕疹诊缜轸畛稹',
+  'zhèn': '震振镇阵圳赈朕鸩',
+  'zhēng': '蒸睁征狰争怔峥钲铮筝',
+  'zhěng': '整拯',
+  'zhèng': '挣正政症郑证诤',
+  'zhī': '芝枝支吱蜘知肢脂汁之织只卮栀胝祗',
+  'zhí': '职直植殖执值侄埴摭絷跖踯',
+  'zhǐ': '址指止趾旨纸芷徵夂咫枳轵祉黹酯',
+  'zhì': '志挚掷至致置帜峙制智秩稚质炙痔滞治窒陟郅帙忮彘骘栉桎轾贽膣雉鸷痣蛭踬豸觯',
+  'zhōng': '中盅忠钟衷终锺螽舯',
+  'zhǒng': '种肿冢踵',
+  'zhòng': '重仲众',
+  'zhōu': '舟周州洲诌粥啁',
+  'zhóu': '轴妯碡',
+  'zhǒu': '肘帚',
+  'zhòu': '咒皱宙昼骤荮纣绉胄籀酎',
+  'zhū': '珠株蛛朱猪诸诛侏邾茱洙潴槠橥铢',
+  'zhú': '逐竹烛瘃竺舳躅',
+  'zhǔ': '煮拄瞩嘱主丶渚褚麈',
+  'zhù': '著柱助蛀贮铸筑住注祝驻伫苎杼炷疰箸翥',
+  'zhuā': '挝抓',
+  'zhuài': '拽',
+  'zhuān': '专砖颛',
+  'zhuǎn': '转',
+  'zhuàn': '撰赚篆啭馔',
+  'zhuāng': '桩庄装妆',
+  'zhuàng': '撞壮状',
+  'zhuī': '椎锥追骓隹',
+  'zhuì': '赘坠缀惴缒',
+  'zhūn': '谆肫窀',
+  'zhǔn': '准',
+  'zhuō': '捉拙桌倬涿焯',
+  'zhuó': '卓琢茁酌啄着灼浊诼擢浞濯禚斫镯',
+  'zī': '兹咨资姿滋淄孜仔谘呲嵫孳缁辎赀锱粢趑觜訾龇鲻髭',
+  'zǐ': '紫籽滓子茈姊梓秭耔笫',
+  'zì': '自渍字恣眦',
+  'zōng': '鬃棕踪宗综腙',
+  'zǒng': '总偬',
+  'zòng': '纵粽',
+  'zōu': '邹诹陬鄹驺鲰',
+  'zǒu': '走',
+  'zòu': '奏揍',
+  'zū': '租菹',
+  'zú': '足卒族镞',
+  'zǔ': '祖诅阻组俎',
+  'zuān': '钻躜',
+  'zuǎn': '纂缵',
+  'zuàn': '攥',
+  'zuǐ': '嘴',
+  'zuì': '醉最罪蕞',
+  'zūn': '尊遵樽鳟',
+  'zǔn': '撙',
+  'zuō': '嘬',
+  'zuó': '昨笮',
+  'zuǒ': '左佐',
+  'zuò': '柞做作坐座阼唑怍胙祚酢'
+};
+
+// 作姓氏时读音与常用读音不同的汉字及复姓
+const SURNAME_PINYIN = {
+  '曾': 'zēng',
+  '单': 'shàn',
+  '解': 'xiè',
+  '仇': 'qiú',
+  '区': 'ōu',
+  '查': 'zhā',
+  '朴': 'piáo',
+  '盖': 'gě',
+  '葛': 'gě',
+  '翟': 'zhái',
+  '乐': 'yuè',
+  '缪': 'miào',
+  '覃': 'qín',
+  '种': 'chóng',
+  '重': 'chóng',
+  '华': 'huà',
+  '燕': 'yān',
+  '宁': 'nìng',
+  '薄': 'bó',
+  '褚': 'chǔ',
+  '蒙': 'méng',
+  '那': 'nā',
+  '於': 'yū',
+  '能': 'nài',
+  '訾': 'zǐ',
+  '秘': 'bì',
+  '召': 'shào',
+  '折': 'shé',
+  '祭': 'zhài',
+  '纪': 'jǐ',
+  '繁': 'pó',
+  '黑': 'hè',
+  '阚': 'kàn',
+  '句': 'gōu',
+  '过': 'guō',
+  '朝': 'cháo',
+  '藏': 'zàng',
+  '长': 'cháng',
+  '行': 'xíng',
+  '都': 'dū',
+  '率': 'shuài',
+  '宿': 'sù',
+  '莘': 'shēn',
+  '角': 'jué',
+  '员': 'yùn',
+  '诸葛': 'zhū gě',
+  '尉迟': 'yù chí',
+  '万俟': 'mò qí',
+  '长孙': 'zhǎng sūn',
+  '澹台': 'tán tái',
+  '令狐': 'líng hú',
+  '单于': 'chán yú'
+};
+
+module.exports = {
+  PINYIN_DICT,
+  SURNAME_PINYIN
+};
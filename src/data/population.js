@@ -0,0 +1,138 @@
+/**
+ * 人口数据
+ * 来源：第七次全国人口普查（2020年），数值取整，仅用于按人口比例生成测试数据
+ */
+
+// 各省级行政区常住人口（万人），键为省级编码前2位
+const PROVINCE_POPULATION = {
+  '11': 2189, // 北京市
+  '12': 1387, // 天津市
+  '13': 7461, // 河北省
+  '14': 3492, // 山西省
+  '15': 2405, // 内蒙古自治区
+  '21': 4259, // 辽宁省
+  '22': 2407, // 吉林省
+  '23': 3185, // 黑龙江省
+  '31': 2487, // 上海市
+  '32': 8475, // 江苏省
+  '33': 6457, // 浙江省
+  '34': 6103, // 安徽省
+  '35': 4154, // 福建省
+  '36': 4519, // 江西省
+  '37': 10153, // 山东省
+  '41': 9937, // 河南省
+  '42': 5775, // 湖北省
+  '43': 6644, // 湖南省
+  '44': 12601, // 广东省
+  '45': 5013, // 广西壮族自治区
+  '46': 1008, // 海南省
+  '50': 3205, // 重庆市
+  '51': 8367, // 四川省
+  '52': 3856, // 贵州省
+  '53': 4721, // 云南省
+  '54': 365, // 西藏自治区
+  '61': 3953, // 陕西省
+  '62': 2502, // 甘肃省
+  '63': 592, // 青海省
+  '64': 720, // 宁夏回族自治区
+  '65': 2585 // 新疆维吾尔自治区
+};
+
+// 主要城市常住人口（万人），键为市级编码前4位
+// 未列出的城市平分所在省份的剩余人口
+const CITY_POPULATION = {
+  '1301': 1124, // 石家庄市
+  '1302': 772, // 唐山市
+  '1304': 941, // 邯郸市
+  '1305': 711, // 邢台市
+  '1306': 1154, // 保定市
+  '1309': 730, // 沧州市
+  '1401': 530, // 太原市
+  '1501': 345, // 呼和浩特市
+  '1502': 271, // 包头市
+  '2101': 907, // 沈阳市
+  '2102': 745, // 大连市
+  '2201': 907, // 长春市
+  '2301': 1001, // 哈尔滨市
+  '3201': 931, // 南京市
+  '3202': 746, // 无锡市
+  '3203': 908, // 徐州市
+  '3205': 1275, // 苏州市
+  '3206': 773, // 南通市
+  '3301': 1194, // 杭州市
+  '3302': 940, // 宁波市
+  '3303': 957, // 温州市
+  '3307': 705, // 金华市
+  '3401': 937, // 合肥市
+  '3412': 820, // 阜阳市
+  '3501': 829, // 福州市
+  '3502': 516, // 厦门市
+  '3505': 878, // 泉州市
+  '3601': 626, // 南昌市
+  '3607': 898, // 赣州市
+  '3701': 920, // 济南市
+  '3702': 1007, // 青岛市
+  '3706': 710, // 烟台市
+  '3707': 939, // 潍坊市
+  '3708': 836, // 济宁市
+  '3713': 1102, // 临沂市
+  '3715': 595, // 聊城市
+  '3717': 880, // 菏泽市
+  '4101': 1260, // 郑州市
+  '4103': 706, // 洛阳市
+  '4113': 971, // 南阳市
+  '4114': 782, // 商丘市
+  '4116': 903, // 周口市
+  '4117': 701, // 驻马店市
+  '4201': 1232, // 武汉市
+  '4206': 526, // 襄阳市
+  '4301': 1005, // 长沙市
+  '4305': 656, // 邵阳市
+  '4401': 1868, // 广州市
+  '4403': 1756, // 深圳市
+  '4405': 550, // 汕头市
+  '4406': 950, // 佛山市
+  '4408': 698, // 湛江市
+  '4409': 618, // 茂名市
+  '4413': 604, // 惠州市
+  '4452': 558, // 揭阳市
+  '4501': 874, // 南宁市
+  '4601': 287, // 海口市
+  '5101': 2094, // 成都市
+  '5201': 599, // 贵阳市
+  '5301': 846, // 昆明市
+  '5401': 87, // 拉萨市
+  '6101': 1296, // 西安市
+  '6201': 436, // 兰州市
+  '6301': 247, // 西宁市
+  '6401': 286, // 银川市
+  '6501': 405 // 乌鲁木齐市
+};
+
+// 年龄金字塔：各年龄段人口占比（%），最后一段为85-100岁
+const AGE_PYRAMID = [
+  { minAge: 0, maxAge: 4, weight: 5.59 },
+  { minAge: 5, maxAge: 9, weight: 6.31 },
+  { minAge: 10, maxAge: 14, weight: 6.03 },
+  { minAge: 15, maxAge: 19, weight: 5.21 },
+  { minAge: 20, maxAge: 24, weight: 5.32 },
+  { minAge: 25, maxAge: 29, weight: 6.63 },
+  { minAge: 30, maxAge: 34, weight: 8.80 },
+  { minAge: 35, maxAge: 39, weight: 6.99 },
+  { minAge: 40, maxAge: 44, weight: 6.60 },
+  { minAge: 45, maxAge: 49, weight: 8.06 },
+  { minAge: 50, maxAge: 54, weight: 8.52 },
+  { minAge: 55, maxAge: 59, weight: 7.08 },
+  { minAge: 60, maxAge: 64, weight: 5.12 },
+  { minAge: 65, maxAge: 69, weight: 5.16 },
+  { minAge: 70, maxAge: 74, weight: 3.54 },
+  { minAge: 75, maxAge: 79, weight: 2.31 },
+  { minAge: 80, maxAge: 84, weight: 1.49 },
+  { minAge: 85, maxAge: 100, weight: 1.24 }
+];
+
+module.exports = {
+  PROVINCE_POPULATION,
+  CITY_POPULATION,
+  AGE_PYRAMID
+};
@@ -0,0 +1,517 @@
+/**
+ * 邮政编码数据
+ * 城市邮编为市政府所在地的邮编，区县邮编为区县政府所在地的邮编，未列出的区县使用所在城市的邮编
+ * 局限：区县邮编只收录了直辖市及部分主要城市的131个区县（约占全部区县的4%），
+ * 其余区县（尤其是县、县级市）回退到城市邮编，与实际邮编可能不同
+ */
+
+// 各城市的邮编，键为地区编码前缀：直辖市为省级编码前2位，省直辖县级行政区为6位编码，其余为市级编码前4位
+const CITY_POSTCODES = {
+  '11': '100000', // 北京市
+  '12': '300000', // 天津市
+  '1301': '050000', // 石家庄市
+  '1302': '063000', // 唐山市
+  '1303': '066000', // 秦皇岛市
+  '1304': '056000', // 邯郸市
+  '1305': '054000', // 邢台市
+  '1306': '071000', // 保定市
+  '1307': '075000', // 张家口市
+  '1308': '067000', // 承德市
+  '1309': '061000', // 沧州市
+  '1310': '065000', // 廊坊市
+  '1311': '053000', // 衡水市
+  '1401': '030000', // 太原市
+  '1402': '037000', // 大同市
+  '1403': '045000', // 阳泉市
+  '1404': '046000', // 长治市
+  '1405': '048000', // 晋城市
+  '1406': '036000', // 朔州市
+  '1407': '030600', // 晋中市
+  '1408': '044000', // 运城市
+  '1409': '034000', // 忻州市
+  '1410': '041000', // 临汾市
+  '1411': '033000', // 吕梁市
+  '1501': '010000', // 呼和浩特市
+  '1502': '014000', // 包头市
+  '1503': '016000', // 乌海市
+  '1504': '024000', // 赤峰市
+  '1505': '028000', // 通辽市
+  '1506': '017000', // 鄂尔多斯市
+  '1507': '021000', // 呼伦贝尔市
+  '1508': '015000', // 巴彦淖尔市
+  '1509': '012000', // 乌兰察布市
+  '1522': '137400', // 兴安盟
+  '1525': '026000', // 锡林郭勒盟
+  '1529': '750300', // 阿拉善盟
+  '2101': '110000', // 沈阳市
+  '2102': '116000', // 大连市
+  '2103': '114000', // 鞍山市
+  '2104': '113000', // 抚顺市
+  '2105': '117000', // 本溪市
+  '2106': '118000', // 丹东市
+  '2107': '121000', // 锦州市
+  '2108': '115000', // 营口市
+  '2109': '123000', // 阜新市
+  '2110': '111000', // 辽阳市
+  '2111': '124000', // 盘锦市
+  '2112': '112000', // 铁岭市
+  '2113': '122000', // 朝阳市
+  '2114': '125000', // 葫芦岛市
+  '2201': '130000', // 长春市
+  '2202': '132000', // 吉林市
+  '2203': '136000', // 四平市
+  '2204': '136200', // 辽源市
+  '2205': '134000', // 通化市
+  '2206': '134300', // 白山市
+  '2207': '138000', // 松原市
+  '2208': '137000', // 白城市
+  '2224': '133000', // 延边朝鲜族自治州
+  '2301': '150000', // 哈尔滨市
+  '2302': '161000', // 齐齐哈尔市
+  '2303': '158100', // 鸡西市
+  '2304': '154100', // 鹤岗市
+  '2305': '155100', // 双鸭山市
+  '2306': '163000', // 大庆市
+  '2307': '153000', // 伊春市
+  '2308': '154000', // 佳木斯市
+  '2309': '154600', // 七台河市
+  '2310': '157000', // 牡丹江市
+  '2311': '164300', // 黑河市
+  '2312': '152000', // 绥化市
+  '2327': '165000', // 大兴安岭地区
+  '31': '200000', // 上海市
+  '3201': '210000', // 南京市
+  '3202': '214000', // 无锡市
+  '3203': '221000', // 徐州市
+  '3204': '213000', // 常州市
+  '3205': '215000', // 苏州市
+  '3206': '226000', // 南通市
+  '3207': '222000', // 连云港市
+  '3208': '223000', // 淮安市
+  '3209': '224000', // 盐城市
+  '3210': '225000', // 扬州市
+  '3211': '212000', // 镇江市
+  '3212': '225300', // 泰州市
+  '3213': '223800', // 宿迁市
+  '3301': '310000', // 杭州市
+  '3302': '315000', // 宁波市
+  '3303': '325000', // 温州市
+  '3304': '314000', // 嘉兴市
+  '3305': '313000', // 湖州市
+  '3306': '312000', // 绍兴市
+  '3307': '321000', // 金华市
+  '3308': '324000', // 衢州市
+  '3309': '316000', // 舟山市
+  '3310': '318000', // 台州市
+  '3311': '323000', // 丽水市
+  '3401': '230000', // 合肥市
+  '3402': '241000', // 芜湖市
+  '3403': '233000', // 蚌埠市
+  '3404': '232000', // 淮南市
+  '3405': '243000', // 马鞍山市
+  '3406': '235000', // 淮北市
+  '3407': '244000', // 铜陵市
+  '3408': '246000', // 安庆市
+  '3410': '245000', // 黄山市
+  '3411': '239000', // 滁州市
+  '3412': '236000', // 阜阳市
+  '3413': '234000', // 宿州市
+  '3415': '237000', // 六安市
+  '3416': '236800', // 亳州市
+  '3417': '247100', // 池州市
+  '3418': '242000', // 宣城市
+  '3501': '350000', // 福州市
+  '3502': '361000', // 厦门市
+  '3503': '351100', // 莆田市
+  '3504': '365000', // 三明市
+  '3505': '362000', // 泉州市
+  '3506': '363000', // 漳州市
+  '3507': '353000', // 南平市
+  '3508': '364000', // 龙岩市
+  '3509': '352100', // 宁德市
+  '3601': '330000', // 南昌市
+  '3602': '333000', // 景德镇市
+  '3603': '337000', // 萍乡市
+  '3604': '332000', // 九江市
+  '3605': '338000', // 新余市
+  '3606': '335000', // 鹰潭市
+  '3607': '341000', // 赣州市
+  '3608': '343000', // 吉安市
+  '3609': '336000', // 宜春市
+  '3610': '344000', // 抚州市
+  '3611': '334000', // 上饶市
+  '3701': '250000', // 济南市
+  '3702': '266000', // 青岛市
+  '3703': '255000', // 淄博市
+  '3704': '277000', // 枣庄市
+  '3705': '257000', // 东营市
+  '3706': '264000', // 烟台市
+  '3707': '261000', // 潍坊市
+  '3708': '272000', // 济宁市
+  '3709': '271000', // 泰安市
+  '3710': '264200', // 威海市
+  '3711': '276800', // 日照市
+  '3713': '276000', // 临沂市
+  '3714': '253000', // 德州市
+  '3715': '252000', // 聊城市
+  '3716': '256600', // 滨州市
+  '3717': '274000', // 菏泽市
+  '4101': '450000', // 郑州市
+  '4102': '475000', // 开封市
+  '4103': '471000', // 洛阳市
+  '4104': '467000', // 平顶山市
+  '4105': '455000', // 安阳市
+  '4106': '458000', // 鹤壁市
+  '4107': '453000', // 新乡市
+  '4108': '454000', // 焦作市
+  '4109': '457000', // 濮阳市
+  '4110': '461000', // 许昌市
+  '4111': '462000', // 漯河市
+  '4112': '472000', // 三门峡市
+  '4113': '473000', // 南阳市
+  '4114': '476000', // 商丘市
+  '4115': '464000', // 信阳市
+  '4116': '466000', // 周口市
+  '4117': '463000', // 驻马店市
+  '419001': '454650', // 济源市
+  '4201': '430000', // 武汉市
+  '4202': '435000', // 黄石市
+  '4203': '442000', // 十堰市
+  '4205': '443000', // 宜昌市
+  '4206': '441000', // 襄阳市
+  '4207': '436000', // 鄂州市
+  '4208': '448000', // 荆门市
+  '4209': '432000', // 孝感市
+  '4210': '434000', // 荆州市
+  '4211': '438000', // 黄冈市
+  '4212': '437000', // 咸宁市
+  '4213': '441300', // 随州市
+  '4228': '445000', // 恩施土家族苗族自治州
+  '429004': '433000', // 仙桃市
+  '429005': '433100', // 潜江市
+  '429006': '431700', // 天门市
+  '429021': '442400', // 神农架林区
+  '4301': '410000', // 长沙市
+  '4302': '412000', // 株洲市
+  '4303': '411100', // 湘潭市
+  '4304': '421000', // 衡阳市
+  '4305': '422000', // 邵阳市
+  '4306': '414000', // 岳阳市
+  '4307': '415000', // 常德市
+  '4308': '427000', // 张家界市
+  '4309': '413000', // 益阳市
+  '4310': '423000', // 郴州市
+  '4311': '425000', // 永州市
+  '4312': '418000', // 怀化市
+  '4313': '417000', // 娄底市
+  '4331': '416000', // 湘西土家族苗族自治州
+  '4401': '510000', // 广州市
+  '4402': '512000', // 韶关市
+  '4403': '518000', // 深圳市
+  '4404': '519000', // 珠海市
+  '4405': '515000', // 汕头市
+  '4406': '528000', // 佛山市
+  '4407': '529000', // 江门市
+  '4408': '524000', // 湛江市
+  '4409': '525000', // 茂名市
+  '4412': '526000', // 肇庆市
+  '4413': '516000', // 惠州市
+  '4414': '514000', // 梅州市
+  '4415': '516600', // 汕尾市
+  '4416': '517000', // 河源市
+  '4417': '529500', // 阳江市
+  '4418': '511500', // 清远市
+  '4419': '523000', // 东莞市
+  '4420': '528400', // 中山市
+  '4451': '521000', // 潮州市
+  '4452': '522000', // 揭阳市
+  '4453': '527300', // 云浮市
+  '4501': '530000', // 南宁市
+  '4502': '545000', // 柳州市
+  '4503': '541000', // 桂林市
+  '4504': '543000', // 梧州市
+  '4505': '536000', // 北海市
+  '4506': '538000', // 防城港市
+  '4507': '535000', // 钦州市
+  '4508': '537100', // 贵港市
+  '4509': '537000', // 玉林市
+  '4510': '533000', // 百色市
+  '4511': '542800', // 贺州市
+  '4512': '547000', // 河池市
+  '4513': '546100', // 来宾市
+  '4514': '532200', // 崇左市
+  '4601': '570000', // 海口市
+  '4602': '572000', // 三亚市
+  '4603': '573100', // 三沙市
+  '469001': '572200', // 五指山市
+  '469002': '571400', // 琼海市
+  '469005': '571300', // 文昌市
+  '469006': '571500', // 万宁市
+  '469007': '572600', // 东方市
+  '469021': '571200', // 定安县
+  '469022': '571600', // 屯昌县
+  '469023': '571900', // 澄迈县
+  '469024': '571800', // 临高县
+  '469025': '572800', // 白沙黎族自治县
+  '469026': '572700', // 昌江黎族自治县
+  '469027': '572500', // 乐东黎族自治县
+  '469028': '572400', // 陵水黎族自治县
+  '469029': '572300', // 保亭黎族苗族自治县
+  '469030': '572900', // 琼中黎族苗族自治县
+  '50': '400000', // 重庆市
+  '5101': '610000', // 成都市
+  '5103': '643000', // 自贡市
+  '5104': '617000', // 攀枝花市
+  '5105': '646000', // 泸州市
+  '5106': '618000', // 德阳市
+  '5107': '621000', // 绵阳市
+  '5108': '628000', // 广元市
+  '5109': '629000', // 遂宁市
+  '5110': '641000', // 内江市
+  '5111': '614000', // 乐山市
+  '5113': '637000', // 南充市
+  '5114': '620000', // 眉山市
+  '5115': '644000', // 宜宾市
+  '5116': '638000', // 广安市
+  '5117': '635000', // 达州市
+  '5118': '625000', // 雅安市
+  '5119': '636000', // 巴中市
+  '5120': '641300', // 资阳市
+  '5132': '624000', // 阿坝藏族羌族自治州
+  '5133': '626000', // 甘孜藏族自治州
+  '5134': '615000', // 凉山彝族自治州
+  '5201': '550000', // 贵阳市
+  '5202': '553000', // 六盘水市
+  '5203': '563000', // 遵义市
+  '5204': '561000', // 安顺市
+  '5205': '551700', // 毕节市
+  '5206': '554300', // 铜仁市
+  '5223': '562400', // 黔西南布依族苗族自治州
+  '5226': '556000', // 黔东南苗族侗族自治州
+  '5227': '558000', // 黔南布依族苗族自治州
+  '5301': '650000', // 昆明市
+  '5303': '655000', // 曲靖市
+  '5304': '653100', // 玉溪市
+  '5305': '678000', // 保山市
+  '5306': '657000', // 昭通市
+  '5307': '674100', // 丽江市
+  '5308': '665000', // 普洱市
+  '5309': '677000', // 临沧市
+  '5323': '675000', // 楚雄彝族自治州
+  '5325': '661100', // 红河哈尼族彝族自治州
+  '5326': '663000', // 文山壮族苗族自治州
+  '5328': '666100', // 西双版纳傣族自治州
+  '5329': '671000', // 大理白族自治州
+  '5331': '678400', // 德宏傣族景颇族自治州
+  '5333': '673100', // 怒江傈僳族自治州
+  '5334': '674400', // 迪庆藏族自治州
+  '5401': '850000', // 拉萨市
+  '5402': '857000', // 日喀则市
+  '5403': '854000', // 昌都市
+  '5404': '860000', // 林芝市
+  '5405': '856000', // 山南市
+  '5406': '852000', // 那曲市
+  '5425': '859000', // 阿里地区
+  '6101': '710000', // 西安市
+  '6102': '727000', // 铜川市
+  '6103': '721000', // 宝鸡市
+  '6104': '712000', // 咸阳市
+  '6105': '714000', // 渭南市
+  '6106': '716000', // 延安市
+  '6107': '723000', // 汉中市
+  '6108': '719000', // 榆林市
+  '6109': '725000', // 安康市
+  '6110': '726000', // 商洛市
+  '6201': '730000', // 兰州市
+  '6202': '735100', // 嘉峪关市
+  '6203': '737100', // 金昌市
+  '6204': '730900', // 白银市
+  '6205': '741000', // 天水市
+  '6206': '733000', // 武威市
+  '6207': '734000', // 张掖市
+  '6208': '744000', // 平凉市
+  '6209': '735000', // 酒泉市
+  '6210': '745000', // 庆阳市
+  '6211': '743000', // 定西市
+  '6212': '746000', // 陇南市
+  '6229': '731100', // 临夏回族自治州
+  '6230': '747000', // 甘南藏族自治州
+  '6301': '810000', // 西宁市
+  '6302': '810600', // 海东市
+  '6322': '812200', // 海北藏族自治州
+  '6323': '811300', // 黄南藏族自治州
+  '6325': '813000', // 海南藏族自治州
+  '6326': '814000', // 果洛藏族自治州
+  '6327': '815000', // 玉树藏族自治州
+  '6328': '817000', // 海西蒙古族藏族自治州
+  '6401': '750000', // 银川市
+  '6402': '753000', // 石嘴山市
+  '6403': '751100', // 吴忠市
+  '6404': '756000', // 固原市
+  '6405': '755000', // 中卫市
+  '6501': '830000', // 乌鲁木齐市
+  '6502': '834000', // 克拉玛依市
+  '6504': '838000', // 吐鲁番市
+  '6505': '839000', // 哈密市
+  '6523': '831100', // 昌吉回族自治州
+  '6527': '833400', // 博尔塔拉蒙古自治州
+  '6528': '841000', // 巴音郭楞蒙古自治州
+  '6529': '843000', // 阿克苏地区
+  '6530': '845350', // 克孜勒苏柯尔克孜自治州
+  '6531': '844000', // 喀什地区
+  '6532': '848000', // 和田地区
+  '6540': '835000', // 伊犁哈萨克自治州
+  '6542': '834700', // 塔城地区
+  '6543': '836500', // 阿勒泰地区
+  '659001': '832000', // 石河子市
+  '659002': '843300', // 阿拉尔市
+  '659003': '843806', // 图木舒克市
+  '659004': '831300', // 五家渠市
+  '659005': '836000', // 北屯市
+  '659006': '841007', // 铁门关市
+  '659007': '833408', // 双河市
+  '659008': '835213', // 可克达拉市
+  '659009': '848116', // 昆玉市
+  '659010': '834034', // 胡杨河市
+  '659011': '839000' // 新星市
+};
+
+// 直辖市及主要城市下属区县的邮编，键为6位地区编码
+const DISTRICT_POSTCODES = {
+  '110101': '100010', // 东城区
+  '110102': '100032', // 西城区
+  '110105': '100020', // 朝阳区
+  '110106': '100071', // 丰台区
+  '110107': '100043', // 石景山区
+  '110108': '100080', // 海淀区
+  '110109': '102300', // 门头沟区
+  '110111': '102488', // 房山区
+  '110112': '101100', // 通州区
+  '110113': '101300', // 顺义区
+  '110114': '102200', // 昌平区
+  '110115': '102600', // 大兴区
+  '110116': '101400', // 怀柔区
+  '110117': '101200', // 平谷区
+  '110118': '101500', // 密云区
+  '110119': '102100', // 延庆区
+  '120101': '300041', // 和平区
+  '120102': '300171', // 河东区
+  '120103': '300202', // 河西区
+  '120104': '300100', // 南开区
+  '120105': '300143', // 河北区
+  '120106': '300131', // 红桥区
+  '120110': '300300', // 东丽区
+  '120111': '300380', // 西青区
+  '120112': '300350', // 津南区
+  '120113': '300400', // 北辰区
+  '120114': '301700', // 武清区
+  '120115': '301800', // 宝坻区
+  '120116': '300450', // 滨海新区
+  '120117': '301500', // 宁河区
+  '120118': '301600', // 静海区
+  '120119': '301900', // 蓟州区
+  '310101': '200001', // 黄浦区
+  '310104': '200030', // 徐汇区
+  '310105': '200050', // 长宁区
+  '310106': '200040', // 静安区
+  '310107': '200333', // 普陀区
+  '310109': '200080', // 虹口区
+  '310110': '200082', // 杨浦区
+  '310112': '201100', // 闵行区
+  '310113': '201900', // 宝山区
+  '310114': '201800', // 嘉定区
+  '310115': '200120', // 浦东新区
+  '310116': '201500', // 金山区
+  '310117': '201600', // 松江区
+  '310118': '201700', // 青浦区
+  '310120': '201400', // 奉贤区
+  '310151': '202150', // 崇明区
+  '320102': '210018', // 玄武区
+  '320104': '210001', // 秦淮区
+  '320105': '210004', // 建邺区
+  '320106': '210009', // 鼓楼区
+  '320111': '211800', // 浦口区
+  '320113': '210046', // 栖霞区
+  '320114': '210012', // 雨花台区
+  '320115': '211100', // 江宁区
+  '320116': '211500', // 六合区
+  '320117': '211200', // 溧水区
+  '320118': '211300', // 高淳区
+  '330102': '310002', // 上城区
+  '330105': '310011', // 拱墅区
+  '330106': '310013', // 西湖区
+  '330108': '310051', // 滨江区
+  '330109': '311200', // 萧山区
+  '330110': '311100', // 余杭区
+  '330111': '311400', // 富阳区
+  '330112': '311300', // 临安区
+  '330122': '311500', // 桐庐县
+  '330127': '311700', // 淳安县
+  '330182': '311600', // 建德市
+  '420102': '430014', // 江岸区
+  '420103': '430021', // 江汉区
+  '420104': '430033', // 硚口区
+  '420105': '430050', // 汉阳区
+  '420106': '430061', // 武昌区
+  '420107': '430080', // 青山区
+  '420111': '430070', // 洪山区
+  '420112': '430040', // 东西湖区
+  '420113': '430090', // 汉南区
+  '420114': '430100', // 蔡甸区
+  '420115': '430200', // 江夏区
+  '420116': '430300', // 黄陂区
+  '420117': '430400', // 新洲区
+  '440103': '510140', // 荔湾区
+  '440104': '510030', // 越秀区
+  '440105': '510220', // 海珠区
+  '440106': '510630', // 天河区
+  '440111': '510080', // 白云区
+  '440112': '510700', // 黄埔区
+  '440113': '511400', // 番禺区
+  '440114': '510800', // 花都区
+  '440115': '511458', // 南沙区
+  '440117': '510900', // 从化区
+  '440118': '511300', // 增城区
+  '440303': '518001', // 罗湖区
+  '440304': '518033', // 福田区
+  '440305': '518052', // 南山区
+  '440306': '518101', // 宝安区
+  '440307': '518172', // 龙岗区
+  '440308': '518081', // 盐田区
+  '440309': '518110', // 龙华区
+  '440310': '518118', // 坪山区
+  '440311': '518107', // 光明区
+  '500101': '404000', // 万州区
+  '500102': '408000', // 涪陵区
+  '500103': '400010', // 渝中区
+  '500104': '400080', // 大渡口区
+  '500105': '400020', // 江北区
+  '500106': '400030', // 沙坪坝区
+  '500107': '400050', // 九龙坡区
+  '500108': '400060', // 南岸区
+  '500109': '400700', // 北碚区
+  '500112': '401120', // 渝北区
+  '500113': '401320', // 巴南区
+  '500114': '409000', // 黔江区
+  '500115': '401220', // 长寿区
+  '500116': '402260', // 江津区
+  '500117': '401520', // 合川区
+  '500118': '402160', // 永川区
+  '500119': '408400', // 南川区
+  '510104': '610021', // 锦江区
+  '510105': '610031', // 青羊区
+  '510106': '610036', // 金牛区
+  '510107': '610041', // 武侯区
+  '510108': '610066', // 成华区
+  '510112': '610100', // 龙泉驿区
+  '510113': '610300', // 青白江区
+  '510114': '610500', // 新都区
+  '510115': '611130', // 温江区
+  '510116': '610200', // 双流区
+  '510117': '611730' // 郫都区
+};
+
+module.exports = {
+  CITY_POSTCODES,
+  DISTRICT_POSTCODES
+};
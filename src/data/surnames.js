@@ -0,0 +1,93 @@
+/**
+ * 姓氏频率数据
+ * 前100个单姓的权重为人口占比（%），参考全国姓氏人口统计，数值取两位小数
+ * 第101名起的单姓只有排名没有逐姓的人口占比，权重为估计值，见OTHER_SURNAMES；
+ * 复姓缺少权威的全国统计，权重为按公开资料估计的量级
+ */
+
+// 前100个单姓及人口占比（%）
+const TOP_SURNAMES = [
+  { surname: '李', weight: 7.94 }, { surname: '王', weight: 7.41 }, { surname: '张', weight: 7.07 }, { surname: '刘', weight: 5.38 }, { surname: '陈', weight: 4.53 },
+  { surname: '杨', weight: 3.08 }, { surname: '赵', weight: 2.29 }, { surname: '黄', weight: 2.23 }, { surname: '周', weight: 2.12 }, { surname: '吴', weight: 2.05 },
+  { surname: '徐', weight: 1.67 }, { surname: '孙', weight: 1.54 }, { surname: '胡', weight: 1.31 }, { surname: '朱', weight: 1.26 }, { surname: '高', weight: 1.21 },
+  { surname: '林', weight: 1.18 }, { surname: '何', weight: 1.17 }, { surname: '郭', weight: 1.15 }, { surname: '马', weight: 1.05 }, { surname: '罗', weight: 0.86 },
+  { surname: '梁', weight: 0.84 }, { surname: '宋', weight: 0.81 }, { surname: '郑', weight: 0.78 }, { surname: '谢', weight: 0.72 }, { surname: '韩', weight: 0.68 },
+  { surname: '唐', weight: 0.65 }, { surname: '冯', weight: 0.64 }, { surname: '于', weight: 0.62 }, { surname: '董', weight: 0.61 }, { surname: '肖', weight: 0.60 },
+  { surname: '程', weight: 0.59 }, { surname: '曹', weight: 0.58 }, { surname: '袁', weight: 0.54 }, { surname: '邓', weight: 0.54 }, { surname: '许', weight: 0.54 },
+  { surname: '傅', weight: 0.51 }, { surname: '沈', weight: 0.50 }, { surname: '曾', weight: 0.50 }, { surname: '彭', weight: 0.50 }, { surname: '吕', weight: 0.47 },
+  { surname: '苏', weight: 0.46 }, { surname: '卢', weight: 0.46 }, { surname: '蒋', weight: 0.46 }, { surname: '蔡', weight: 0.44 }, { surname: '贾', weight: 0.41 },
+  { surname: '丁', weight: 0.41 }, { surname: '魏', weight: 0.40 }, { surname: '薛', weight: 0.40 }, { surname: '叶', weight: 0.39 }, { surname: '阎', weight: 0.39 },
+  { surname: '余', weight: 0.39 }, { surname: '潘', weight: 0.38 }, { surname: '杜', weight: 0.38 }, { surname: '戴', weight: 0.36 }, { surname: '夏', weight: 0.36 },
+  { surname: '钟', weight: 0.35 }, { surname: '汪', weight: 0.35 }, { surname: '田', weight: 0.34 }, { surname: '任', weight: 0.34 }, { surname: '姜', weight: 0.33 },
+  { surname: '范', weight: 0.33 }, { surname: '方', weight: 0.33 }, { surname: '石', weight: 0.32 }, { surname: '姚', weight: 0.31 }, { surname: '谭', weight: 0.31 },
+  { surname: '廖', weight: 0.30 }, { surname: '邹', weight: 0.30 }, { surname: '熊', weight: 0.29 }, { surname: '金', weight: 0.29 }, { surname: '陆', weight: 0.28 },
+  { surname: '郝', weight: 0.28 }, { surname: '孔', weight: 0.28 }, { surname: '白', weight: 0.27 }, { surname: '崔', weight: 0.27 }, { surname: '康', weight: 0.27 },
+  { surname: '毛', weight: 0.26 }, { surname: '邱', weight: 0.26 }, { surname: '秦', weight: 0.26 }, { surname: '江', weight: 0.26 }, { surname: '史', weight: 0.25 },
+  { surname: '顾', weight: 0.25 }, { surname: '侯', weight: 0.25 }, { surname: '邵', weight: 0.24 }, { surname: '孟', weight: 0.24 }, { surname: '龙', weight: 0.24 },
+  { surname: '万', weight: 0.24 }, { surname: '段', weight: 0.23 }, { surname: '雷', weight: 0.23 }, { surname: '钱', weight: 0.23 }, { surname: '汤', weight: 0.22 },
+  { surname: '尹', weight: 0.22 }, { surname: '黎', weight: 0.21 }, { surname: '易', weight: 0.21 }, { surname: '常', weight: 0.21 }, { surname: '武', weight: 0.21 },
+  { surname: '乔', weight: 0.20 }, { surname: '贺', weight: 0.20 }, { surname: '赖', weight: 0.20 }, { surname: '龚', weight: 0.20 }, { surname: '文', weight: 0.20 }
+];
+
+// 第101名起的单姓，按频率降序排列
+// 权重为估计值：从略低于第100名的0.19%起按排名的2.5次幂递减，合计约11.6%，
+// 与前100个单姓合计约86.7%、其余数千个姓氏合计不足2%的总体分布相符
+const OTHER_SURNAMES = (
+  '付闫庞樊兰殷施陶洪翟安颜倪严牛温芦季俞章鲁葛伍韦申尤毕聂丛焦向柳邢路岳齐梅莫庄辛'
+  + '管祝左涂谷祁时舒耿牟卜詹关苗凌费纪靳盛童欧甄项曲成游阳裴席卫查屈鲍位覃霍翁隋植甘'
+  + '景薄单包司柏宁柯阮桂闵解强柴华车冉房边辜吉饶刁瞿戚丘古米池滕晋苑邬臧畅宫来苟全褚'
+  + '廉简娄盖符奚木穆党燕郎邸冀谈姬屠连郜晏栾郁商蒙计喻揭窦迟宇敖糜鄢冷卓花仇艾蓝都巩'
+  + '稽井练仲乐虞卞封竺冼原官衣楚佟栗匡宗应台巫鞠桑荆谌银扬明沙伏岑习胥保和蔺水云昌凤'
+  + '酆皮元平萨那过嵇鄂储滑索贝戈麻铁蔚法逯佘门阙山荣支年尚幸庾於满弓缪荀羊惠甫钮别雍'
+  + '秋寇仝郦冒邝权盘农韶蒲厉戎祖裘禹芮綦逄郗毋钦庹漆萧佴危相晁喜仉靖东由丰慕占亓战鹿'
+  + '鄞冶化种暴帅智闻达国但利初海佀礼阚矫伊勾虎展寿香鲜红弋粟历宿员苍锁秘卿劳归缑麦斯'
+  + '扈伦德湛竹帖蹇公暨宓昝骆宣桓阴牧隗双郏能邰须宦充訾'
+).split('');
+
+// 复姓及估计的人口占比（%）
+const COMPOUND_SURNAMES = [
+  { surname: '欧阳', weight: 0.04 },
+  { surname: '上官', weight: 0.003 },
+  { surname: '司马', weight: 0.003 },
+  { surname: '诸葛', weight: 0.002 },
+  { surname: '皇甫', weight: 0.002 },
+  { surname: '司徒', weight: 0.002 },
+  { surname: '东方', weight: 0.001 },
+  { surname: '令狐', weight: 0.001 },
+  { surname: '夏侯', weight: 0.001 },
+  { surname: '尉迟', weight: 0.0005 },
+  { surname: '公孙', weight: 0.0005 },
+  { surname: '慕容', weight: 0.0005 },
+  { surname: '宇文', weight: 0.0005 },
+  { surname: '端木', weight: 0.0005 },
+  { surname: '南宫', weight: 0.0005 },
+  { surname: '呼延', weight: 0.0005 },
+  { surname: '长孙', weight: 0.0003 },
+  { surname: '轩辕', weight: 0.0003 },
+  { surname: '西门', weight: 0.0003 },
+  { surname: '司空', weight: 0.0003 },
+  { surname: '钟离', weight: 0.0003 },
+  { surname: '申屠', weight: 0.0003 },
+  { surname: '独孤', weight: 0.0002 },
+  { surname: '澹台', weight: 0.0002 },
+  { surname: '闻人', weight: 0.0002 },
+  { surname: '赫连', weight: 0.0002 },
+  { surname: '万俟', weight: 0.0001 },
+  { surname: '太史', weight: 0.0001 },
+  { surname: '第五', weight: 0.0001 }
+];
+
+// 全部姓氏及权重，按权重降序排列
+const SURNAMES = [
+  ...TOP_SURNAMES,
+  ...OTHER_SURNAMES.map((surname, index) => ({
+    surname,
+    weight: Number((0.19 * Math.pow(101 / (101 + index), 2.5)).toFixed(4))
+  })),
+  ...COMPOUND_SURNAMES
+].sort((a, b) => b.weight - a.weight);
+
+module.exports = {
+  SURNAMES,
+  COMPOUND_SURNAMES
+};
@@ -0,0 +1,46 @@
+/**
+ * 错误类型
+ */
+
+/**
+ * 插件错误
+ * strict模式下插件抛出异常或返回无效结果时抛出
+ */
+class PluginError extends Error {
+  /**
+   * @param {string} message 错误信息
+   * @param {string} plugin 插件类型（如phoneGenerator）或自定义字段名
+   * @param {Error} cause 插件抛出的原始错误，返回无效结果时为null
+   */
+  constructor(message, plugin, cause = null) {
+    super(message);
+    this.name = 'PluginError';
+    this.plugin = plugin;
+    this.cause = cause;
+  }
+}
+
+/**
+ * 地区解析错误
+ * strict模式下地区名称无法识别，或onAmbiguous为throw时名称匹配到多个地区时抛出
+ */
+class AreaResolutionError extends Error {
+  /**
+   * @param {string} message 错误信息
+   * @param {string} areaName 要解析的地区名称
+   * @param {string} reason 原因：notFound（未找到）或ambiguous（匹配到多个地区）
+   * @param {Array<Object>} candidates 候选地区[{ code, path }]，未找到时为相近的地区，可能为空
+   */
+  constructor(message, areaName, reason, candidates = []) {
+    super(message);
+    this.name = 'AreaResolutionError';
+    this.areaName = areaName;
+    this.reason = reason;
+    this.candidates = candidates;
+  }
+}
+
+module.exports = {
+  PluginError,
+  AreaResolutionError
+};
@@ -1,7 +1,21 @@
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { Worker } = require('worker_threads');
 const Mock = require('mockjs');
 const IdValidator = require('id-validator');
 const pinyinUtils = require('./utils/pinyin');
 const addressUtils = require('./utils/address');
+const { createRandom } = require('./utils/random');
+const { PluginError, AreaResolutionError } = require('./errors');
+const { PROVINCE_POPULATION, CITY_POPULATION, AGE_PYRAMID } = require('./data/population');
+const { SURNAMES } = require('./data/surnames');
+const { GIVEN_NAMES, FIRST_DECADE, LAST_DECADE } = require('./data/givenNames');
+const { CARRIERS } = require('./data/phone');
+const { DIALING_CODES, EIGHT_DIGIT_CODES } = require('./data/landline');
+const { CITY_POSTCODES, DISTRICT_POSTCODES } = require('./data/postcode');
+const { REGION_DICTIONARIES } = require('./data/addresses');
+const { PROVINCE_ABBREVIATIONS, AREA_SUFFIXES, ETHNIC_GROUPS, PLACE_PINYIN } = require('./data/areaAliases');
 const { province, city, area, town } = require('province-city-china/data');
 
 /**
@@ -16,17 +30,41 @@ class ChineseIdGenerator {
    * @param {boolean} options.enableCache 是否启用缓存，默认为true
    * @param {boolean} options.precomputeFuzzyMatch 是否预计算模糊匹配，默认为false
    * @param {Object} options.nameOptions 姓名生成选项
-   * @param {Array<string>} options.nameOptions.surnames 指定姓氏列表
+   * @param {Array<string|Object>} options.nameOptions.surnames 指定姓氏列表，元素可以是姓氏字符串（权重为1）或{ surname, weight }
    * @param {Array<number>} options.nameOptions.nameLengths 指定名字长度列表，如[1, 2]
+   * @param {string} options.nameOptions.pinyinTone 姓名拼音的声调格式：none（默认）、mark（声调符号）、number（数字声调）
    * @param {Object} options.addressOptions 地址生成选项
    * @param {number} options.addressOptions.communityRatio 小区住宅比例，默认0.6
    * @param {number} options.addressOptions.streetRatio 普通街道比例，默认0.3
    * @param {number} options.addressOptions.buildingRatio 商业建筑比例，默认0.1
+   * @param {Object} options.addressOptions.dictionaries 自定义地区词典，键为地区编码（如"31"、"4403"、"310104"或"310000"），
+   *   值为{ roads, hutongs, communities, communitySuffixes, buildings, villages, villageSuffixes, streetStyle }，覆盖同级的内置词典
+   * @param {Object} options.addressOptions.rural 乡、镇地址的生成比例，上述三种比例只用于街道
+   * @param {number} options.addressOptions.rural.villageRatio 村组门牌（如王家庄村3组12号）比例，默认0.8
+   * @param {number} options.addressOptions.rural.committeeRatio 村委会比例，默认0.05
+   * @param {number} options.addressOptions.rural.streetRatio 集镇街道比例，默认0.15
+   * @param {string} options.addressFormat 地址格式：string（地址字符串，默认）或object（结构化地址，
+   *   { province, city, district, town, townCode, detail, postcode, full }）
+   * @param {Object} options.phoneOptions 手机号生成选项
+   * @param {boolean} options.phoneOptions.matchArea 手机号归属地是否与身份证地区所在城市一致，默认false；
+   *   开启后个人信息才包含phoneLocation（模拟的归属地），否则为null
+   * @param {number|string} options.seed 随机种子，相同种子和选项生成相同结果
+   * @param {Function} options.random 自定义随机源，返回[0, 1)之间的数，优先级高于seed
+   * @param {string} options.distribution 随机地区的分布：uniform（各区县等概率，默认）或population（按人口比例）
+   * @param {string|Array<Object>} options.ageDistribution 未指定年龄时的年龄分布：uniform（1950-2005年均匀，默认）、
+   *   pyramid（按人口年龄金字塔）或自定义年龄段数组[{ minAge, maxAge, weight }]
+   * @param {boolean} options.strict 严格模式，插件出错或返回无效结果时抛出PluginError，地区名称无法识别时抛出AreaResolutionError，
+   *   而不是警告并回退到默认值，默认为false
+   * @param {string} options.onAmbiguous 地区名称匹配到多个地区时的处理方式：first（警告并使用排序最靠前的地区）、
+   *   random（随机选择一个）或throw（抛出AreaResolutionError），默认strict模式为throw，否则为first
    */
   constructor(options = {}) {
     this.idValidator = new IdValidator();
     this.initialized = false;
     
+    // 随机数生成器，所有随机行为都经由此生成器
+    this.rng = createRandom(options.seed, options.random);
+    
     // 配置选项
     this.options = {
       lazyLoad: options.lazyLoad || false,
@@ -34,14 +72,45 @@ class ChineseIdGenerator {
       precomputeFuzzyMatch: options.precomputeFuzzyMatch || false,
       nameOptions: {
         surnames: options.nameOptions?.surnames || null,
-        nameLengths: options.nameOptions?.nameLengths || null
+        nameLengths: options.nameOptions?.nameLengths || null,
+        pinyinTone: options.nameOptions?.pinyinTone || 'none'
       },
       addressOptions: {
         communityRatio: options.addressOptions?.communityRatio || 0.6,
         streetRatio: options.addressOptions?.streetRatio || 0.3,
-        buildingRatio: options.addressOptions?.buildingRatio || 0.1
-      }
+        buildingRatio: options.addressOptions?.buildingRatio || 0.1,
+        dictionaries: options.addressOptions?.dictionaries || null,
+        rural: {
+          villageRatio: options.addressOptions?.rural?.villageRatio ?? 0.8,
+          committeeRatio: options.addressOptions?.rural?.committeeRatio ?? 0.05,
+          streetRatio: options.addressOptions?.rural?.streetRatio ?? 0.15
+        }
+      },
+      addressFormat: options.addressFormat || 'string',
+      phoneOptions: {
+        matchArea: options.phoneOptions?.matchArea || false
+      },
+      distribution: options.distribution || 'uniform',
+      ageDistribution: options.ageDistribution || 'uniform',
+      strict: options.strict || false,
+      onAmbiguous: options.onAmbiguous || (options.strict ? 'throw' : 'first')
     };
+    this._validateDistributionOptions();
+    
+    if (!['none', 'mark', 'number'].includes(this.options.nameOptions.pinyinTone)) {
+      throw new Error(`不支持的拼音声调格式: ${this.options.nameOptions.pinyinTone}，可选值：none, mark, number`);
+    }
+    
+    if (!['string', 'object'].includes(this.options.addressFormat)) {
+      throw new Error(`不支持的地址格式: ${this.options.addressFormat}，可选值：string, object`);
+    }
+    this._addressDictionaries = this._normalizeAddressDictionaries(this.options.addressOptions.dictionaries);
+    this._validateAmbiguityPolicy(this.options.onAmbiguous);
+    
+    const ruralRatios = Object.values(this.options.addressOptions.rural);
+    if (ruralRatios.some(ratio => typeof ratio !== 'number' || !(ratio >= 0)) || ruralRatios.every(ratio => ratio === 0)) {
+      throw new Error('addressOptions.rural的比例必须是非负数，且至少有一个大于0');
+    }
     
     // 使用Map结构存储数据关系，提高查询效率
     this.provinceMap = new Map();
@@ -54,7 +123,14 @@ class ChineseIdGenerator {
       areaCodeByName: new Map(),
       nameByAreaCode: new Map(),
       randomAreaCodes: null,
-      fuzzyAreaNameMap: null
+      cityPopulations: null,
+      populationAreaWeights: null,
+      hCodeTable: null,
+      surnameTable: null,
+      ageDistribution: null,
+      fuzzyAreaNameMap: null,
+      areaIndex: {},
+      addressDictionaries: new Map()
     };
     
     // 插件系统
@@ -66,6 +142,10 @@ class ChineseIdGenerator {
       idCardGenerator: null
     };
     
+    // 自定义字段插件，生成时按依赖关系排序
+    this._fieldPlugins = new Map();
+    this._fieldOrder = null;
+    
     // 常用城市映射
     this.commonCities = {
       '北京': '110000',
@@ -81,20 +161,61 @@ class ChineseIdGenerator {
       '成都': '510100'
     };
     
+    // 自治地方名称末尾的民族名称，如"土家族苗族"；多字民族名称在新疆的地名中常省略"族"字
+    this.ETHNIC_NAME_PATTERN = new RegExp(
+      `(?:(?:${ETHNIC_GROUPS.filter(group => group.length > 1).join('|')})族?|(?:${ETHNIC_GROUPS.filter(group => group.length === 1).join('|')})族)$`
+    );
+    
     // 常量定义
     this.ID_WEIGHTS = [7, 9, 10, 5, 8, 4, 2, 1, 6, 3, 7, 9, 10, 5, 8, 4, 2];
     this.ID_CHECK_CODES = ['1', '0', 'X', '9', '8', '7', '6', '5', '4', '3', '2'];
     this.EMAIL_DOMAINS = ['qq.com', '163.com', 'gmail.com', '126.com', 'outlook.com', 'sina.com', 'sohu.com'];
     this.DIRECT_CITIES = ['11', '12', '31', '50']; // 北京、天津、上海、重庆
+    this.MAX_UNIQUE_ATTEMPTS = 100; // 唯一模式下每条记录的最大重试次数
+    this.DAY_MS = 24 * 60 * 60 * 1000;
+    this.AREA_LEVELS = ['province', 'city', 'district', 'town']; // 地区级别，由高到低
+    
+    // 无效身份证号的缺陷类型及其违反的校验规则（与parseIdCard的rule对应）
+    this.INVALID_ID_REASONS = {
+      checksum: { rule: 'checkCode', description: '校验码错误' },
+      nonexistentArea: { rule: 'area', description: '地区编码不存在' },
+      impossibleDate: { rule: 'date', description: '出生日期不是有效的日历日期' },
+      futureBirth: { rule: 'future', description: '出生日期晚于当前日期' },
+      wrongLength: { rule: 'length', description: '长度错误' },
+      illegalChar: { rule: 'charset', description: '包含非法字符' },
+      lowercaseX: { rule: 'charset', description: '校验码为小写x' },
+      allZeroSequence: { rule: 'sequence', description: '顺序码为000' }
+    };
     
-    // 常用姓氏
-    this.COMMON_SURNAMES = [
-      '李', '王', '张', '刘', '陈', '杨', '赵', '黄', '周', '吴',
-      '徐', '孙', '胡', '朱', '高', '林', '何', '郭', '马', '罗',
-      '梁', '宋', '郑', '谢', '韩', '唐', '冯', '于', '董', '萧',
-      '程', '曹', '袁', '邓', '许', '傅', '沈', '曾', '彭', '吕'
+    // 个人信息的内置字段，自定义字段不能与之重名，可以作为自定义字段的依赖
+    this.PERSON_FIELDS = [
+      'name', 'surname', 'pinyin', 'gender', 'age', 'birthDate', 'idCard', 'phone', 'carrier',
+      'phoneLocation', 'landline', 'email', 'address', 'postcode', 'areaName'
     ];
     
+    // generatePersonInfoByAreaAndAge在自定义字段生成后附加的字段，不能重名也不能作为依赖（地区信息见上下文的area）
+    this.AREA_RESULT_FIELDS = ['areaCode', 'areaPath'];
+    
+    // 年龄段预设
+    this.AGE_GROUPS = {
+      adult: { minAge: 18 },
+      minor: { maxAge: 17 }
+    };
+    
+    // 手机号段到运营商的映射及按用户占比选择运营商的累积权重
+    this.PHONE_SEGMENTS = new Map();
+    this.CARRIER_WEIGHTS = [];
+    CARRIERS.reduce((total, carrier) => {
+      carrier.segments.forEach(segment => this.PHONE_SEGMENTS.set(segment, carrier.name));
+      this.CARRIER_WEIGHTS.push(total + carrier.weight);
+      return total + carrier.weight;
+    }, 0);
+    this.H_CODE_COUNT = 10000; // 每个号段的H码（第4-7位）数量
+    this.EIGHT_DIGIT_DIALING_CODES = new Set(EIGHT_DIGIT_CODES); // 本地号码为8位的区号
+    
+    // 常用姓氏（按频率降序，含复姓），权重见data/surnames.js
+    this.COMMON_SURNAMES = SURNAMES.map(item => item.surname);
+    
     // 如果不是延迟加载，立即初始化数据
     if (!this.options.lazyLoad) {
       this._initData();
@@ -106,6 +227,16 @@ class ChineseIdGenerator {
     }
   }
 
+  /**
+   * 重新设置随机种子
+   * @param {number|string|Function} seed 新的种子，或返回[0, 1)之间数的随机源函数；不传则恢复为Math.random
+   * @returns {ChineseIdGenerator} 当前实例，支持链式调用
+   */
+  reseed(seed) {
+    this.rng = typeof seed === 'function' ? createRandom(undefined, seed) : createRandom(seed);
+    return this;
+  }
+
   /**
    * 注册插件
    * @param {string} type 插件类型，可选值：nameGenerator, phoneGenerator, emailGenerator, addressGenerator, idCardGenerator
@@ -137,6 +268,170 @@ class ChineseIdGenerator {
     return this;
   }
 
+  /**
+   * 注册自定义字段插件
+   * 字段插件在内置字段生成后按依赖顺序执行，返回值作为个人信息的新字段
+   * @param {string} name 字段名，如employeeNo，不能与内置字段重名
+   * @param {Function} generate 生成函数，参数为上下文{ person, gender, birthDate, area, name, surname, rng }：
+   *   person为已生成的字段（内置字段及所依赖的自定义字段），gender为1（男）或0（女），birthDate为{ year, month, day }，
+   *   area为{ code, province, city, district }（各级为{ code, name }或null），rng为当前记录的随机数生成器
+   * @param {Object} options 选项
+   * @param {Array<string>} options.dependsOn 依赖的其他自定义字段，这些字段会先生成
+   * @param {Function} options.validate 校验函数，参数为(value, context)，返回false表示结果无效
+   * @returns {ChineseIdGenerator} 当前实例，支持链式调用
+   */
+  registerField(name, generate, options = {}) {
+    if (typeof name !== 'string' || !name) {
+      throw new Error('字段名必须是非空字符串');
+    }
+    if (this.PERSON_FIELDS.includes(name) || this.AREA_RESULT_FIELDS.includes(name)) {
+      throw new Error(`字段名${name}与内置字段重名，内置字段请使用registerPlugin自定义`);
+    }
+    if (typeof generate !== 'function') {
+      throw new Error('插件必须是函数');
+    }
+    
+    const dependsOn = options.dependsOn || [];
+    if (!Array.isArray(dependsOn) || dependsOn.some(field => typeof field !== 'string')) {
+      throw new Error('dependsOn必须是字段名数组');
+    }
+    if (options.validate !== undefined && typeof options.validate !== 'function') {
+      throw new Error('validate必须是函数');
+    }
+    
+    this._fieldPlugins.set(name, { generate, dependsOn, validate: options.validate || null });
+    this._fieldOrder = null;
+    return this;
+  }
+
+  /**
+   * 移除自定义字段插件
+   * @param {string} name 字段名
+   * @returns {ChineseIdGenerator} 当前实例，支持链式调用
+   */
+  removeField(name) {
+    this._fieldPlugins.delete(name);
+    this._fieldOrder = null;
+    return this;
+  }
+
+  /**
+   * 获取自定义字段的生成顺序
+   * 按依赖关系拓扑排序，依赖内置字段无需排序
+   * @returns {Array<string>} 字段名列表
+   * @private
+   */
+  _getFieldOrder() {
+    if (this._fieldOrder) {
+      return this._fieldOrder;
+    }
+    
+    const order = [];
+    const visited = new Set();
+    const visiting = [];
+    const visit = name => {
+      if (visited.has(name)) {
+        return;
+      }
+      if (visiting.includes(name)) {
+        throw new Error(`自定义字段存在循环依赖: ${visiting.slice(visiting.indexOf(name)).concat(name).join(' -> ')}`);
+      }
+      
+      visiting.push(name);
+      this._fieldPlugins.get(name).dependsOn.forEach(dependency => {
+        if (this.PERSON_FIELDS.includes(dependency)) {
+          return;
+        }
+        if (!this._fieldPlugins.has(dependency)) {
+          throw new Error(`字段${name}依赖的字段${dependency}不存在`);
+        }
+        visit(dependency);
+      });
+      visiting.pop();
+      
+      visited.add(name);
+      order.push(name);
+    };
+    this._fieldPlugins.forEach((plugin, name) => visit(name));
+    
+    this._fieldOrder = order;
+    return order;
+  }
+
+  /**
+   * 执行自定义字段插件，将结果添加到个人信息
+   * @param {Object} person 内置字段已生成的个人信息
+   * @param {Object} base 生成上下文{ gender, birthYear, birthMonth, birthDay, areaCode, name, surname }
+   * @returns {Object} 添加了自定义字段的个人信息
+   * @private
+   */
+  _applyFieldPlugins(person, base) {
+    if (this._fieldPlugins.size === 0) {
+      return person;
+    }
+    
+    const { province, city, district } = this._getAreaHierarchyInfo(base.areaCode);
+    const context = {
+      person,
+      gender: base.gender,
+      birthDate: { year: base.birthYear, month: base.birthMonth, day: base.birthDay },
+      area: { code: base.areaCode, province, city, district },
+      name: base.name,
+      surname: base.surname,
+      rng: this.rng
+    };
+    
+    this._getFieldOrder().forEach(field => {
+      const { generate, validate } = this._fieldPlugins.get(field);
+      let value = null;
+      try {
+        const result = generate(context);
+        if (result !== undefined && (!validate || validate(result, context))) {
+          value = result;
+        } else if (this.options.strict) {
+          throw new PluginError(`字段${field}的插件返回了无效结果: ${result}`, field);
+        } else {
+          console.warn(`字段${field}的插件返回了无效结果:`, result);
+        }
+      } catch (error) {
+        this._handlePluginError(field, `字段${field}的插件出错`, error);
+      }
+      person[field] = value;
+    });
+    
+    return person;
+  }
+
+  /**
+   * 严格模式下拒绝插件的无效结果
+   * 非严格模式下无效结果直接回退到默认生成
+   * @param {string} plugin 插件类型
+   * @param {*} result 插件返回值
+   * @private
+   */
+  _rejectPluginResult(plugin, result) {
+    if (this.options.strict) {
+      throw new PluginError(`${plugin}插件返回了无效结果: ${result}`, plugin);
+    }
+  }
+
+  /**
+   * 处理插件错误：严格模式下抛出PluginError，否则警告并回退
+   * @param {string} plugin 插件类型或字段名
+   * @param {string} message 错误信息
+   * @param {Error} error 插件抛出的错误
+   * @private
+   */
+  _handlePluginError(plugin, message, error) {
+    if (error instanceof PluginError) {
+      throw error;
+    }
+    if (this.options.strict) {
+      throw new PluginError(`${message}: ${error && error.message}`, plugin, error);
+    }
+    console.warn(`${message}:`, error);
+  }
+
   /**
    * 初始化地区数据
    * @private
@@ -300,6 +595,13 @@ class ChineseIdGenerator {
    * @param {string} options.areaCode 地区编码，如：110101 (北京市东城区)
    * @param {string} options.birthday 出生日期，格式：YYYYMMDD
    * @param {number} options.gender 性别，1为男，0为女
+   * @param {number} options.age 年龄，未提供birthday时根据年龄随机生成出生日期
+   * @param {number} options.minAge 最小年龄（含）
+   * @param {number} options.maxAge 最大年龄（含）
+   * @param {string} options.birthDateFrom 最早出生日期，格式：YYYYMMDD
+   * @param {string} options.birthDateTo 最晚出生日期，格式：YYYYMMDD
+   * @param {string} options.ageGroup 年龄段预设：adult（成年，18岁及以上）、minor（未成年，17岁及以下）
+   * @param {number} options.format 身份证格式，18（默认）或15（第一代身份证，出生年份须在1900-1999之间）
    * @returns {string} 有效的身份证号码
    */
   generateIdCard(options = {}) {
@@ -311,11 +613,12 @@ class ChineseIdGenerator {
     // 如果没有提供地区编码，随机选择一个有效的地区编码
     const areaCode = options.areaCode || this._getRandomAreaCode();
     
-    // 如果没有提供出生日期，生成一个随机的出生日期（1950-2005年）
-    const birthday = options.birthday || this._getRandomBirthday();
+    // 如果没有提供出生日期，在指定的年龄或日期范围内随机生成（默认1950-2005年，15位身份证为1950-1999年）
+    const isLegacy = options.format === 15;
+    const birthday = this._resolveBirthday(options);
     
     // 如果没有提供性别，随机生成性别
-    const gender = options.gender !== undefined ? options.gender : Math.round(Math.random());
+    const gender = options.gender !== undefined ? options.gender : this.rng.integer(0, 1);
     
     // 生成符合性别要求的顺序码
     const sequenceCode = this._generateSequenceCode(gender);
@@ -325,250 +628,993 @@ class ChineseIdGenerator {
     
     // 计算校验码
     const checkCode = this._calculateCheckCode(idCardBase);
+    const idCard = idCardBase + checkCode;
     
-    return idCardBase + checkCode;
+    return isLegacy ? this.convertTo15(idCard) : idCard;
   }
 
   /**
-   * 验证身份证生成选项
+   * 生成故意无效的身份证号，用于负面测试
+   * 每个号码只违反一条校验规则，其余部分（地区、日期、校验码等）均保持有效
    * @param {Object} options 选项
-   * @private
+   * @param {string} options.reason 缺陷类型：checksum、nonexistentArea、impossibleDate、futureBirth、
+   *   wrongLength、illegalChar、lowercaseX、allZeroSequence，不传则随机选择
+   * @param {string} options.areaCode 地区编码（nonexistentArea时忽略）
+   * @param {string} options.birthday 出生日期（impossibleDate、futureBirth时忽略）
+   * @param {number} options.gender 性别，1为男，0为女（allZeroSequence时忽略）
+   * @returns {string} 无效的身份证号
    */
-  _validateIdCardOptions(options) {
-    if (options.areaCode && !/^\d{6}$/.test(options.areaCode)) {
-      throw new Error('地区编码必须是6位数字');
-    }
+  generateInvalidIdCard(options = {}) {
+    this._ensureInitialized();
     
-    if (options.birthday && !/^\d{8}$/.test(options.birthday)) {
-      throw new Error('出生日期必须是8位数字，格式为YYYYMMDD');
-    }
+    const reason = options.reason || this.rng.pick(Object.keys(this.INVALID_ID_REASONS));
+    this._validateInvalidReason(reason);
     
-    if (options.gender !== undefined && ![0, 1].includes(options.gender)) {
-      throw new Error('性别必须是0(女)或1(男)');
+    const baseOptions = {
+      areaCode: options.areaCode,
+      birthday: options.birthday,
+      gender: options.gender
+    };
+    
+    switch (reason) {
+      case 'checksum': {
+        const idCard = this.generateIdCard(baseOptions);
+        const wrongCodes = this.ID_CHECK_CODES.filter(code => code !== idCard.charAt(17));
+        return idCard.substring(0, 17) + this.rng.pick(wrongCodes);
+      }
+      
+      case 'nonexistentArea':
+        return this._withCheckCode(this.generateIdCard({ ...baseOptions, areaCode: this._getNonexistentAreaCode() }));
+      
+      case 'impossibleDate':
+        return this._withCheckCode(this.generateIdCard({ ...baseOptions, birthday: this._getImpossibleBirthday() }));
+      
+      case 'futureBirth': {
+        const today = new Date();
+        const tomorrow = Date.UTC(today.getFullYear(), today.getMonth(), today.getDate()) + this.DAY_MS;
+        const birthday = this._getRandomDateBetween(tomorrow, this._shiftYears(today, 10));
+        return this.generateIdCard({ ...baseOptions, birthday });
+      }
+      
+      case 'wrongLength': {
+        const idCard = this.generateIdCard(baseOptions);
+        // 删去校验码，或在数字结尾的号码后追加一位数字
+        if (idCard.endsWith('X') || this.rng.random() < 0.5) {
+          return idCard.substring(0, 17);
+        }
+        return idCard + this.rng.integer(0, 9);
+      }
+      
+      case 'illegalChar': {
+        // 替换顺序码或校验码中的一位，不影响地区和出生日期的解析
+        const idCard = this.generateIdCard(baseOptions);
+        const position = this.rng.integer(14, 17);
+        const illegalChars = 'ABCDEFGHIJKLMNOPQRSTUVWYZ#*?-';
+        return idCard.substring(0, position) + this.rng.pick(illegalChars.split('')) + idCard.substring(position + 1);
+      }
+      
+      case 'lowercaseX':
+        return this._generateIdCardWithCheckCodeX(baseOptions).replace(/X$/, 'x');
+      
+      case 'allZeroSequence':
+      default: {
+        const idCard = this.generateIdCard(baseOptions);
+        return this._withCheckCode(`${idCard.substring(0, 14)}000`);
+      }
     }
   }
 
   /**
-   * 生成符合性别要求的顺序码
-   * @param {number} gender 性别，1为男，0为女
-   * @returns {string} 3位顺序码
-   * @private
+   * 批量生成无效身份证号，每条记录标注其缺陷
+   * 缺陷类型按顺序轮流使用，保证各类型数量均衡
+   * @param {number} count 生成数量
+   * @param {Object} options 选项，除reasons外与generateInvalidIdCard相同
+   * @param {Array<string>} options.reasons 使用的缺陷类型，默认全部
+   * @returns {Array<Object>} 记录数组，每项包含idCard、reason、rule、description
    */
-  _generateSequenceCode(gender) {
-    // 生成1-999之间的随机数
-    let num = Math.floor(Math.random() * 999) + 1;
+  generateInvalidBatch(count, options = {}) {
+    if (!Number.isInteger(count) || count <= 0) {
+      throw new Error('生成数量必须是正整数');
+    }
     
-    // 确保性别正确：男性为奇数，女性为偶数
-    const isOdd = num % 2 === 1;
+    const reasons = options.reasons !== undefined ? options.reasons : Object.keys(this.INVALID_ID_REASONS);
+    if (!Array.isArray(reasons) || reasons.length === 0) {
+      throw new Error(`不支持的缺陷类型: reasons必须是非空数组，可选值：${Object.keys(this.INVALID_ID_REASONS).join(', ')}`);
+    }
+    reasons.forEach(reason => this._validateInvalidReason(reason));
     
-    if ((gender === 1 && !isOdd) || (gender === 0 && isOdd)) {
-      num = num + (gender === 1 ? 1 : -1);
-      // 处理边界情况
-      if (num > 999) num = 999;
-      if (num < 1) num = 2;
+    const result = [];
+    
+    for (let i = 0; i < count; i++) {
+      const reason = reasons[i % reasons.length];
+      const idCard = this.generateInvalidIdCard({ ...options, reason });
+      const { rule, description } = this.INVALID_ID_REASONS[reason];
+      result.push({ idCard, reason, rule, description });
     }
     
-    return this._pad(num, 3);
+    return result;
   }
 
   /**
-   * 生成完整的中国人信息
-   * @param {Object} options 选项
-   * @returns {Object} 包含姓名、性别、年龄、身份证、手机号、邮箱等信息的对象
+   * 校验无效身份证号的缺陷类型
+   * @param {string} reason 缺陷类型
+   * @private
    */
-  generatePersonInfo(options = {}) {
-    this._ensureInitialized();
-    
-    // 确定性别
-    const gender = options.gender !== undefined ? options.gender : Math.round(Math.random());
-    
-    // 生成身份证
-    const idCard = this._generateIdCardWithPlugin({
-      areaCode: options.areaCode,
-      birthday: options.birthday,
-      gender: gender
-    });
-    
-    // 从身份证号提取信息
-    const { birthYear, birthMonth, birthDay, age, formattedBirthDate } = this._extractInfoFromIdCard(idCard);
-    
-    // 生成姓名（根据性别）
-    const name = this._generateNameWithPlugin(gender);
-    
-    // 生成手机号
-    const phone = this._generatePhoneWithPlugin();
-    
-    // 生成邮箱
-    const email = this._generateEmailWithPlugin(name);
-    
-    // 获取地区信息
-    const areaCode = idCard.substring(0, 6);
-    const areaName = this._getAreaNameByCode(areaCode) || '未知地区';
-    
-    // 生成地址
-    const address = this._generateAddressWithPlugin(areaCode);
-    
-    return {
-      name,
-      gender: gender === 1 ? '男' : '女',
-      age,
-      birthDate: formattedBirthDate,
-      idCard,
-      phone,
-      email,
-      address,
-      areaName
-    };
+  _validateInvalidReason(reason) {
+    if (!Object.prototype.hasOwnProperty.call(this.INVALID_ID_REASONS, reason)) {
+      const reasons = Object.keys(this.INVALID_ID_REASONS);
+      throw new Error(`不支持的缺陷类型: ${reason}，可选值：${reasons.join(', ')}`);
+    }
   }
 
   /**
-   * 使用插件生成姓名
-   * @param {number} gender 性别，1为男，0为女
-   * @returns {string} 姓名
+   * 用正确的校验码替换身份证号的最后一位
+   * @param {string} idCard 身份证号（前17位有效）
+   * @returns {string} 带正确校验码的18位身份证号
    * @private
    */
-  _generateNameWithPlugin(gender) {
-    // 如果有自定义插件，使用插件生成
-    if (this._plugins.nameGenerator) {
-      try {
-        const result = this._plugins.nameGenerator(gender);
-        if (result && typeof result === 'string') {
-          return result;
-        }
-      } catch (error) {
-        console.warn('姓名生成插件出错:', error);
-      }
-    }
-    
-    // 使用自定义姓名生成
-    return this._generateCustomName(gender);
+  _withCheckCode(idCard) {
+    const idCardBase = idCard.substring(0, 17);
+    return idCardBase + this._calculateCheckCode(idCardBase);
   }
 
   /**
-   * 生成自定义姓名
-   * @param {number} gender 性别，1为男，0为女
-   * @returns {string} 姓名
+   * 随机生成一个不存在的区县编码
+   * 使用真实的省级编码，但市、区县部分在地区数据中不存在
+   * @returns {string} 6位地区编码
    * @private
    */
-  _generateCustomName(gender) {
-    const { surnames, nameLengths } = this.options.nameOptions;
-    
-    // 如果配置了自定义姓氏，从中随机选择一个
-    let surname;
-    if (surnames && surnames.length > 0) {
-      surname = surnames[Math.floor(Math.random() * surnames.length)];
-    } else {
-      // 否则从常用姓氏中选择
-      surname = this.COMMON_SURNAMES[Math.floor(Math.random() * this.COMMON_SURNAMES.length)];
-    }
-    
-    // 如果配置了名字长度，根据配置生成
-    let nameLength;
-    if (nameLengths && nameLengths.length > 0) {
-      nameLength = nameLengths[Math.floor(Math.random() * nameLengths.length)];
-    } else {
-      // 否则随机1-2个字
-      nameLength = Math.random() < 0.6 ? 1 : 2;
-    }
-    
-    // 使用Mock.js生成名字部分
-    const genderStr = gender === 1 ? 'male' : 'female';
-    
-    // 直接使用Mock.js的cname，但需要处理姓氏部分
-    const fullName = Mock.Random.cname(genderStr);
-    
-    // 提取名字部分（去掉姓氏）
-    const originalSurname = fullName.charAt(0);
-    const originalName = fullName.substring(1);
+  _getNonexistentAreaCode() {
+    const provinceCodes = Array.from(this.provinceMap.keys());
     
-    // 如果名字长度不符合要求，重新生成
-    if (originalName.length !== nameLength) {
-      // 简单处理：如果需要1个字但生成了2个，取第一个；如果需要2个字但生成了1个，加一个随机字
-      let name;
-      if (nameLength === 1 && originalName.length > 1) {
-        name = originalName.charAt(0);
-      } else if (nameLength === 2 && originalName.length < 2) {
-        name = originalName + Mock.Random.cword(1);
-      } else {
-        name = Mock.Random.cword(nameLength);
+    for (let attempt = 0; attempt < this.MAX_UNIQUE_ATTEMPTS; attempt++) {
+      const areaCode = `${this.rng.pick(provinceCodes)}${this._pad(this.rng.integer(1, 99), 2)}${this._pad(this.rng.integer(1, 99), 2)}`;
+      if (!this._getAreaHierarchyInfo(areaCode).district) {
+        return areaCode;
       }
-      return surname + name;
     }
     
-    // 替换姓氏
-    return surname + originalName;
+    // 00开头的省级编码不存在
+    return `00${this._pad(this.rng.integer(1, 9999), 4)}`;
   }
 
   /**
-   * 使用插件生成手机号
-   * @returns {string} 手机号
+   * 随机生成一个日历上不存在的出生日期，如2月30日、4月31日、13月
+   * @returns {string} 格式为YYYYMMDD的日期
    * @private
    */
-  _generatePhoneWithPlugin() {
-    // 如果有自定义插件，使用插件生成
-    if (this._plugins.phoneGenerator) {
-      try {
-        const result = this._plugins.phoneGenerator();
-        if (result && typeof result === 'string' && /^1[3-9]\d{9}$/.test(result)) {
-          return result;
+  _getImpossibleBirthday() {
+    let year = this.rng.integer(1950, 2005);
+    let month;
+    let day;
+    
+    switch (this.rng.integer(0, 4)) {
+      case 0:
+        // 2月30日或31日
+        month = 2;
+        day = this.rng.integer(30, 31);
+        break;
+      case 1:
+        // 小月的31日
+        month = this.rng.pick([4, 6, 9, 11]);
+        day = 31;
+        break;
+      case 2:
+        // 平年的2月29日
+        while (this._isLeapYear(year)) {
+          year++;
         }
-      } catch (error) {
-        console.warn('手机号生成插件出错:', error);
-      }
+        month = 2;
+        day = 29;
+        break;
+      case 3:
+        // 不存在的月份
+        month = this.rng.pick([0, 13]);
+        day = this.rng.integer(1, 28);
+        break;
+      default:
+        // 0日
+        month = this.rng.integer(1, 12);
+        day = 0;
     }
     
-    // 默认生成逻辑
-    return Mock.mock(/^1[3-9]\d{9}$/);
+    return `${year}${this._pad(month, 2)}${this._pad(day, 2)}`;
   }
 
   /**
-   * 使用插件生成邮箱
-   * @param {string} name 姓名
-   * @returns {string} 邮箱地址
+   * 生成校验码为X的有效身份证号
+   * @param {Object} options 选项，与generateIdCard相同
+   * @returns {string} 以X结尾的身份证号
    * @private
    */
-  _generateEmailWithPlugin(name) {
-    // 如果有自定义插件，使用插件生成
-    if (this._plugins.emailGenerator) {
-      try {
-        const result = this._plugins.emailGenerator(name);
-        if (result && typeof result === 'string' && result.includes('@')) {
-          return result;
-        }
-      } catch (error) {
-        console.warn('邮箱生成插件出错:', error);
+  _generateIdCardWithCheckCodeX(options) {
+    const idCard = this.generateIdCard(options);
+    const gender = parseInt(idCard.charAt(16)) % 2;
+    const start = parseInt(idCard.substring(14, 17));
+    
+    // 依次尝试同性别的其他顺序码，直到校验码为X
+    for (let offset = 0; offset < 1000; offset += 2) {
+      const num = (start + offset - 1) % 998 + 1;
+      const sequence = num % 2 === gender ? num : num + 1;
+      const candidate = this._withCheckCode(`${idCard.substring(0, 14)}${this._pad(sequence, 3)}`);
+      if (candidate.endsWith('X')) {
+        return candidate;
       }
     }
     
-    // 默认生成逻辑
-    return this._generateEmail(name);
+    throw new Error('无法生成校验码为X的身份证号');
   }
 
   /**
-   * 使用插件生成地址
-   * @param {string} areaCode 地区编码
-   * @returns {string} 地址
+   * 根据选项确定出生日期
+   * 优先使用birthday，其次根据age生成，再次在年龄或日期范围内生成，否则随机生成
+   * @param {Object} options 选项
+   * @returns {string} 格式为YYYYMMDD的出生日期
    * @private
    */
-  _generateAddressWithPlugin(areaCode) {
-    // 如果有自定义插件，使用插件生成
-    if (this._plugins.addressGenerator) {
-      try {
-        const result = this._plugins.addressGenerator(areaCode, this._getAreaNameByCode(areaCode));
-        if (result && typeof result === 'string') {
-          return result;
-        }
-      } catch (error) {
-        console.warn('地址生成插件出错:', error);
-      }
+  _resolveBirthday(options) {
+    if (options.birthday) {
+      return options.birthday;
+    }
+    if (options.age !== undefined) {
+      return this._getBirthdayFromAge(options.age);
     }
     
-    // 默认生成逻辑
-    return this._generateAddressByAreaCode(areaCode);
+    const range = this._getBirthDateRange(options);
+    if (range) {
+      return this._getRandomDateBetween(range.from, range.to);
+    }
+    if (options.format === 15) {
+      return this._getRandomBirthday(1950, 1999);
+    }
+    return this.options.ageDistribution === 'uniform' ? this._getRandomBirthday() : this._getBirthdayFromAgeDistribution();
   }
 
   /**
-   * 使用插件生成身份证号
+   * 按年龄分布随机生成出生日期
+   * 先按权重选择年龄段，再在该年龄段内均匀选取出生日期
+   * @returns {string} 格式为YYYYMMDD的出生日期
+   * @private
+   */
+  _getBirthdayFromAgeDistribution() {
+    if (!this._cache.ageDistribution) {
+      const groups = this.options.ageDistribution === 'pyramid' ? AGE_PYRAMID : this.options.ageDistribution;
+      let total = 0;
+      this._cache.ageDistribution = {
+        groups,
+        cumulative: groups.map(group => (total += group.weight))
+      };
+    }
+    
+    const { groups, cumulative } = this._cache.ageDistribution;
+    const group = groups[this.rng.weightedIndex(cumulative)];
+    const today = new Date();
+    
+    return this._getRandomDateBetween(
+      this._shiftYears(today, -(group.maxAge + 1)) + this.DAY_MS,
+      this._shiftYears(today, -group.minAge)
+    );
+  }
+
+  /**
+   * 验证地区分布和年龄分布选项
+   * @private
+   */
+  _validateDistributionOptions() {
+    const { distribution, ageDistribution } = this.options;
+    
+    if (!['uniform', 'population'].includes(distribution)) {
+      throw new Error(`不支持的地区分布: ${distribution}，可选值：uniform, population`);
+    }
+    
+    if (typeof ageDistribution === 'string') {
+      if (!['uniform', 'pyramid'].includes(ageDistribution)) {
+        throw new Error(`不支持的年龄分布: ${ageDistribution}，可选值：uniform, pyramid或年龄段数组`);
+      }
+      return;
+    }
+    
+    if (!Array.isArray(ageDistribution) || ageDistribution.length === 0) {
+      throw new Error('自定义年龄分布必须是非空数组');
+    }
+    ageDistribution.forEach(group => {
+      if (!group || !Number.isInteger(group.minAge) || !Number.isInteger(group.maxAge) ||
+        group.minAge < 0 || group.maxAge > 120 || group.minAge > group.maxAge) {
+        throw new Error('年龄段的minAge、maxAge必须是0-120之间的整数，且minAge不大于maxAge');
+      }
+      if (typeof group.weight !== 'number' || !(group.weight >= 0)) {
+        throw new Error('年龄段的weight必须是非负数');
+      }
+    });
+    if (!ageDistribution.some(group => group.weight > 0)) {
+      throw new Error('自定义年龄分布至少需要一个权重大于0的年龄段');
+    }
+  }
+
+  /**
+   * 根据minAge、maxAge、birthDateFrom、birthDateTo、ageGroup计算出生日期范围
+   * 未限定的下限默认为1950年1月1日，未限定的上限默认为今天
+   * @param {Object} options 选项
+   * @returns {Object|null} { from, to } UTC零点时间戳，未指定任何范围时返回null
+   * @private
+   */
+  _getBirthDateRange(options) {
+    const preset = options.ageGroup ? this.AGE_GROUPS[options.ageGroup] : {};
+    const minAge = options.minAge !== undefined ? options.minAge : preset.minAge;
+    const maxAge = options.maxAge !== undefined ? options.maxAge : preset.maxAge;
+    
+    if (minAge === undefined && maxAge === undefined && !options.birthDateFrom && !options.birthDateTo) {
+      return null;
+    }
+    
+    const today = new Date();
+    const todayMs = Date.UTC(today.getFullYear(), today.getMonth(), today.getDate());
+    
+    // 出生日期不能晚于今天；15位身份证出生年份限定在1900-1999年
+    let from = options.format === 15 ? Date.UTC(1900, 0, 1) : -Infinity;
+    let to = options.format === 15 ? Math.min(Date.UTC(1999, 11, 31), todayMs) : todayMs;
+    
+    if (maxAge !== undefined) {
+      from = Math.max(from, this._shiftYears(today, -(maxAge + 1)) + this.DAY_MS);
+    }
+    if (minAge !== undefined) {
+      to = Math.min(to, this._shiftYears(today, -minAge));
+    }
+    if (options.birthDateFrom) {
+      from = Math.max(from, this._parseDateToUTC(options.birthDateFrom));
+    }
+    if (options.birthDateTo) {
+      to = Math.min(to, this._parseDateToUTC(options.birthDateTo));
+    }
+    
+    // 未限定最早出生日期时默认从1950年起，若与上限冲突则放宽到120岁
+    if (from === -Infinity) {
+      const defaultFrom = Date.UTC(1950, 0, 1);
+      from = defaultFrom <= to ? defaultFrom : this._shiftYears(today, -121) + this.DAY_MS;
+    }
+    
+    if (from > to) {
+      throw new Error('出生日期范围为空：请检查minAge、maxAge、birthDateFrom、birthDateTo、ageGroup是否冲突');
+    }
+    
+    return { from, to };
+  }
+
+  /**
+   * 将YYYYMMDD格式的日期转换为UTC零点时间戳
+   * @param {string} dateStr 格式为YYYYMMDD的日期
+   * @returns {number} UTC零点时间戳
+   * @private
+   */
+  _parseDateToUTC(dateStr) {
+    return Date.UTC(parseInt(dateStr.substring(0, 4)), parseInt(dateStr.substring(4, 6)) - 1, parseInt(dateStr.substring(6, 8)));
+  }
+
+  /**
+   * 将15位身份证号转换为18位
+   * 在出生年份前补充"19"，并按ID_WEIGHTS计算校验码
+   * @param {string} idCard15 15位身份证号
+   * @returns {string} 18位身份证号
+   */
+  convertTo18(idCard15) {
+    if (typeof idCard15 !== 'string' || !/^\d{15}$/.test(idCard15)) {
+      throw new Error('15位身份证号必须是15位数字');
+    }
+    
+    const birthday = `19${idCard15.substring(6, 12)}`;
+    if (!this._isValidDate(parseInt(birthday.substring(0, 4)), parseInt(birthday.substring(4, 6)), parseInt(birthday.substring(6, 8)))) {
+      throw new Error(`出生日期${birthday}不是有效的日历日期`);
+    }
+    
+    const idCardBase = `${idCard15.substring(0, 6)}${birthday}${idCard15.substring(12, 15)}`;
+    return idCardBase + this._calculateCheckCode(idCardBase);
+  }
+
+  /**
+   * 将18位身份证号转换为15位
+   * 仅出生年份在1900-1999之间且校验码正确的身份证号可以转换
+   * @param {string} idCard18 18位身份证号
+   * @returns {string} 15位身份证号
+   */
+  convertTo15(idCard18) {
+    if (typeof idCard18 !== 'string' || !/^\d{17}[\dX]$/.test(idCard18)) {
+      throw new Error('18位身份证号必须是17位数字加1位数字或大写X');
+    }
+    
+    if (this._calculateCheckCode(idCard18.substring(0, 17)) !== idCard18.charAt(17)) {
+      throw new Error('18位身份证号校验码错误，无法转换');
+    }
+    
+    const birthYear = parseInt(idCard18.substring(6, 10));
+    if (birthYear < 1900 || birthYear > 1999) {
+      throw new Error(`出生年份${birthYear}不在1900-1999之间，无法转换为15位身份证号`);
+    }
+    
+    return `${idCard18.substring(0, 6)}${idCard18.substring(8, 14)}${idCard18.substring(14, 17)}`;
+  }
+
+  /**
+   * 校验身份证生成选项，不符合要求时抛出错误
+   * 与generateIdCard相比更严格：birthday必须是有效的日历日期且不晚于今天，年龄和日期范围不能冲突
+   * @param {Object} options 选项，同generateIdCard
+   * @returns {boolean} 校验通过时返回true
+   */
+  validateIdCardOptions(options = {}) {
+    this._validateIdCardOptions(options);
+    
+    if (options.birthday) {
+      const { birthday } = options;
+      if (!this._isValidDate(parseInt(birthday.substring(0, 4)), parseInt(birthday.substring(4, 6)), parseInt(birthday.substring(6, 8)))) {
+        throw new Error(`出生日期${birthday}不是有效的日历日期`);
+      }
+      
+      const today = new Date();
+      if (this._parseDateToUTC(birthday) > Date.UTC(today.getFullYear(), today.getMonth(), today.getDate())) {
+        throw new Error(`出生日期${birthday}不能晚于今天`);
+      }
+    }
+    
+    this._getBirthDateRange(options);
+    return true;
+  }
+
+  /**
+   * 验证身份证生成选项
+   * @param {Object} options 选项
+   * @private
+   */
+  _validateIdCardOptions(options) {
+    if (options.areaCode && !/^\d{6}$/.test(options.areaCode)) {
+      throw new Error('地区编码必须是6位数字');
+    }
+    
+    if (options.birthday && !/^\d{8}$/.test(options.birthday)) {
+      throw new Error('出生日期必须是8位数字，格式为YYYYMMDD');
+    }
+    
+    if (options.gender !== undefined && ![0, 1].includes(options.gender)) {
+      throw new Error('性别必须是0(女)或1(男)');
+    }
+    
+    if (options.age !== undefined && (!Number.isInteger(options.age) || options.age < 0 || options.age > 120)) {
+      throw new Error('年龄必须是0-120之间的整数');
+    }
+    
+    ['minAge', 'maxAge'].forEach(key => {
+      if (options[key] !== undefined && (!Number.isInteger(options[key]) || options[key] < 0 || options[key] > 120)) {
+        throw new Error(`${key}必须是0-120之间的整数`);
+      }
+    });
+    
+    if (options.minAge !== undefined && options.maxAge !== undefined && options.minAge > options.maxAge) {
+      throw new Error('minAge不能大于maxAge');
+    }
+    
+    ['birthDateFrom', 'birthDateTo'].forEach(key => {
+      const value = options[key];
+      if (value !== undefined && (!/^\d{8}$/.test(value) ||
+        !this._isValidDate(parseInt(value.substring(0, 4)), parseInt(value.substring(4, 6)), parseInt(value.substring(6, 8))))) {
+        throw new Error(`${key}必须是有效的日期，格式为YYYYMMDD`);
+      }
+    });
+    
+    if (options.birthDateFrom && options.birthDateTo && options.birthDateFrom > options.birthDateTo) {
+      throw new Error('birthDateFrom不能晚于birthDateTo');
+    }
+    
+    if (options.ageGroup !== undefined && !this.AGE_GROUPS[options.ageGroup]) {
+      throw new Error(`不支持的年龄段: ${options.ageGroup}，可选值：${Object.keys(this.AGE_GROUPS).join(', ')}`);
+    }
+    
+    if (options.format !== undefined && ![15, 18].includes(options.format)) {
+      throw new Error('身份证格式必须是15或18');
+    }
+    
+    if (options.format === 15 && options.birthday && !/^19/.test(options.birthday)) {
+      throw new Error('15位身份证号的出生年份必须在1900-1999之间');
+    }
+  }
+
+  /**
+   * 生成符合性别要求的顺序码
+   * @param {number} gender 性别，1为男，0为女
+   * @returns {string} 3位顺序码
+   * @private
+   */
+  _generateSequenceCode(gender) {
+    // 生成1-999之间的随机数
+    let num = this.rng.integer(1, 999);
+    
+    // 确保性别正确：男性为奇数，女性为偶数
+    const isOdd = num % 2 === 1;
+    
+    if ((gender === 1 && !isOdd) || (gender === 0 && isOdd)) {
+      num = num + (gender === 1 ? 1 : -1);
+      // 处理边界情况
+      if (num > 999) num = 999;
+      if (num < 1) num = 2;
+    }
+    
+    return this._pad(num, 3);
+  }
+
+  /**
+   * 生成完整的中国人信息
+   * @param {Object} options 选项
+   * @param {string} options.areaCode 地区编码
+   * @param {string} options.birthday 出生日期，格式：YYYYMMDD
+   * @param {number} options.age 年龄，未提供birthday时根据年龄随机生成出生日期
+   * @param {number} options.minAge 最小年龄（含）
+   * @param {number} options.maxAge 最大年龄（含）
+   * @param {string} options.birthDateFrom 最早出生日期，格式：YYYYMMDD
+   * @param {string} options.birthDateTo 最晚出生日期，格式：YYYYMMDD
+   * @param {string} options.ageGroup 年龄段预设：adult或minor
+   * @param {number} options.gender 性别，1为男，0为女
+   * @returns {Object} 包含姓名、性别、年龄、身份证、手机号（及运营商、模拟的归属地）、固定电话、邮箱、地址、邮编等信息的对象
+   */
+  generatePersonInfo(options = {}) {
+    this._ensureInitialized();
+    
+    // 确定性别
+    const gender = options.gender !== undefined ? options.gender : this.rng.integer(0, 1);
+    
+    // 生成身份证
+    const idCard = this._generateIdCardWithPlugin({
+      areaCode: options.areaCode,
+      birthday: options.birthday,
+      age: options.age,
+      minAge: options.minAge,
+      maxAge: options.maxAge,
+      birthDateFrom: options.birthDateFrom,
+      birthDateTo: options.birthDateTo,
+      ageGroup: options.ageGroup,
+      gender: gender
+    });
+    
+    // 从身份证号提取信息
+    const { birthYear, birthMonth, birthDay, age, formattedBirthDate } = this._extractInfoFromIdCard(idCard);
+    
+    // 生成姓名（根据性别和出生年份）
+    const { name, surname } = this._generateNameWithPlugin(gender, birthYear);
+    const pinyin = pinyinUtils.nameToPinyin(name, { surname, tone: this.options.nameOptions.pinyinTone });
+    
+    // 获取地区信息
+    const areaCode = idCard.substring(0, 6);
+    const areaName = this._getAreaNameByCode(areaCode) || '未知地区';
+    
+    // 生成手机号及其运营商、归属地
+    const phone = this._generatePhoneWithPlugin(areaCode);
+    const phoneInfo = this.getPhoneInfo(phone);
+    
+    // 生成固定电话
+    const landline = this._generateLandlineByAreaCode(areaCode);
+    
+    // 生成邮箱
+    const email = this._generateEmailWithPlugin(name, surname);
+    
+    // 生成地址
+    const address = this._generateAddressWithPlugin(areaCode);
+    const postcode = this.getPostcode(areaCode);
+    
+    const person = {
+      name,
+      surname,
+      pinyin,
+      gender: gender === 1 ? '男' : '女',
+      age,
+      birthDate: formattedBirthDate,
+      idCard,
+      phone,
+      carrier: phoneInfo ? phoneInfo.carrier : null,
+      phoneLocation: this._getPhoneLocation(phone),
+      landline,
+      email,
+      address,
+      postcode,
+      areaName
+    };
+    
+    // 生成自定义字段
+    return this._applyFieldPlugins(person, { gender, birthYear, birthMonth, birthDay, areaCode, name, surname });
+  }
+
+  /**
+   * 使用插件生成姓名
+   * @param {number} gender 性别，1为男，0为女
+   * @param {number} birthYear 出生年份，用于选择符合年代的名字
+   * @returns {Object} { name, surname } 姓名及姓氏
+   * @private
+   */
+  _generateNameWithPlugin(gender, birthYear = null) {
+    // 如果有自定义插件，使用插件生成
+    if (this._plugins.nameGenerator) {
+      try {
+        const result = this._plugins.nameGenerator(gender, birthYear);
+        if (result && typeof result === 'string') {
+          return { name: result, surname: this._extractSurname(result) };
+        }
+        this._rejectPluginResult('nameGenerator', result);
+      } catch (error) {
+        this._handlePluginError('nameGenerator', '姓名生成插件出错', error);
+      }
+    }
+    
+    // 使用自定义姓名生成
+    const surname = this._pickSurname();
+    return { name: this._generateCustomName(gender, surname, birthYear), surname };
+  }
+
+  /**
+   * 按频率权重随机选择姓氏
+   * 配置了nameOptions.surnames时从中选择，否则使用内置姓氏频率表
+   * @returns {string} 姓氏
+   * @private
+   */
+  _pickSurname() {
+    const { surnames, cumulative } = this._getSurnameTable();
+    return surnames[this.rng.weightedIndex(cumulative)];
+  }
+
+  /**
+   * 获取姓氏及累积权重
+   * @returns {Object} { surnames, cumulative }
+   * @private
+   */
+  _getSurnameTable() {
+    if (this._cache.surnameTable) {
+      return this._cache.surnameTable;
+    }
+    
+    const custom = this.options.nameOptions.surnames;
+    const entries = custom && custom.length > 0
+      ? custom.map(item => (typeof item === 'string' ? { surname: item, weight: 1 } : item))
+      : SURNAMES;
+    
+    entries.forEach(item => {
+      if (!item || typeof item.surname !== 'string' || !item.surname || typeof item.weight !== 'number' || !(item.weight >= 0)) {
+        throw new Error('姓氏配置必须是字符串或{ surname, weight }，且weight为非负数');
+      }
+    });
+    
+    let total = 0;
+    const table = {
+      surnames: entries.map(item => item.surname),
+      cumulative: entries.map(item => (total += item.weight))
+    };
+    if (total <= 0) {
+      throw new Error('姓氏配置中至少需要一个权重大于0的姓氏');
+    }
+    
+    this._cache.surnameTable = table;
+    return table;
+  }
+
+  /**
+   * 从姓名中识别姓氏
+   * 优先匹配复姓（内置复姓及自定义姓氏中的多字姓），否则取第一个字
+   * @param {string} name 姓名
+   * @returns {string} 姓氏
+   * @private
+   */
+  _extractSurname(name) {
+    const multiCharSurnames = this._getSurnameTable().surnames
+      .concat(this.COMMON_SURNAMES)
+      .filter(surname => surname.length > 1);
+    
+    const matched = multiCharSurnames
+      .filter(surname => name.length > surname.length && name.startsWith(surname))
+      .sort((a, b) => b.length - a.length)[0];
+    
+    return matched || name.charAt(0);
+  }
+
+  /**
+   * 生成自定义姓名
+   * 名字从出生年代和性别对应的常见名字中选取，如1950年代的建国、秀英，2010年代的梓轩、子涵
+   * @param {number} gender 性别，1为男，0为女
+   * @param {string} surname 姓氏，不传时按频率权重随机选择
+   * @param {number} birthYear 出生年份，不传时随机选择年代
+   * @returns {string} 姓名
+   * @private
+   */
+  _generateCustomName(gender, surname = this._pickSurname(), birthYear = null) {
+    const { nameLengths } = this.options.nameOptions;
+    
+    // 确定出生年代，超出收录范围时取最近的年代
+    const decade = birthYear
+      ? Math.min(Math.max(Math.floor(birthYear / 10) * 10, FIRST_DECADE), LAST_DECADE)
+      : this.rng.pick(Object.keys(GIVEN_NAMES));
+    const era = GIVEN_NAMES[decade];
+    const pool = gender === 1 ? era.male : era.female;
+    
+    // 如果配置了名字长度，根据配置生成；否则按该年代单字名的比例选择
+    let nameLength;
+    if (nameLengths && nameLengths.length > 0) {
+      nameLength = this.rng.pick(nameLengths);
+    } else {
+      nameLength = this.rng.random() < era.singleRatio ? 1 : 2;
+    }
+    
+    if (nameLength === 1) {
+      return surname + this.rng.pick(pool.single);
+    }
+    
+    // 双字名直接取常见名字，更长的名字在其后补充单字
+    let givenName = this.rng.pick(pool.double);
+    while (givenName.length < nameLength) {
+      givenName += this.rng.pick(pool.single);
+    }
+    return surname + givenName;
+  }
+
+  /**
+   * 使用插件生成手机号
+   * @param {string} areaCode 身份证地区编码，开启phoneOptions.matchArea时用于确定归属地
+   * @returns {string} 手机号
+   * @private
+   */
+  _generatePhoneWithPlugin(areaCode = null) {
+    // 如果有自定义插件，使用插件生成
+    if (this._plugins.phoneGenerator) {
+      try {
+        const result = this._plugins.phoneGenerator(areaCode);
+        if (result && typeof result === 'string' && /^1[3-9]\d{9}$/.test(result)) {
+          return result;
+        }
+        this._rejectPluginResult('phoneGenerator', result);
+      } catch (error) {
+        this._handlePluginError('phoneGenerator', '手机号生成插件出错', error);
+      }
+    }
+    
+    // 默认生成逻辑
+    return this._generatePhone(areaCode);
+  }
+
+  /**
+   * 生成手机号
+   * 按用户占比选择运营商及其号段，H码（第4-7位）在开启matchArea时取自地区所在城市的号码段
+   * @param {string} areaCode 身份证地区编码
+   * @returns {string} 11位手机号
+   * @private
+   */
+  _generatePhone(areaCode = null) {
+    const carrier = CARRIERS[this.rng.weightedIndex(this.CARRIER_WEIGHTS)];
+    const segment = this.rng.pick(carrier.segments);
+    
+    const range = this.options.phoneOptions.matchArea && areaCode ? this._getHCodeRange(areaCode) : null;
+    const hCode = range
+      ? this.rng.integer(range.start, range.end)
+      : this.rng.integer(0, this.H_CODE_COUNT - 1);
+    
+    return `${segment}${this._pad(hCode, 4)}${this._pad(this.rng.integer(0, 9999), 4)}`;
+  }
+
+  /**
+   * 查询手机号的运营商
+   * 运营商依据真实号段；归属地由生成器内部模拟，不通过公开方法提供，以免被当作真实号码的归属地
+   * @param {string} phone 11位手机号
+   * @returns {Object|null} { carrier }，号段不属于已知运营商时返回null
+   */
+  getPhoneInfo(phone) {
+    if (typeof phone !== 'string' || !/^1\d{10}$/.test(phone)) {
+      return null;
+    }
+    
+    const carrier = this.PHONE_SEGMENTS.get(phone.substring(0, 3));
+    return carrier ? { carrier } : null;
+  }
+
+  /**
+   * 获取个人信息中的手机号归属地
+   * 归属地依据本生成器模拟的H码分配（各城市按人口比例分得H码区间），与真实的号码归属地数据库不一致，
+   * 只有在开启matchArea、与身份证地区对应时才有意义，否则返回null
+   * @param {string} phone 11位手机号
+   * @returns {Object|null} { province, city }
+   * @private
+   */
+  _getPhoneLocation(phone) {
+    if (!this.options.phoneOptions.matchArea || !this.getPhoneInfo(phone)) {
+      return null;
+    }
+    
+    const { starts, locations } = this._getHCodeTable();
+    const hCode = parseInt(phone.substring(3, 7), 10);
+    
+    // 二分查找H码所在的城市区间
+    let low = 0;
+    let high = starts.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (starts[mid] <= hCode) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+    
+    return { ...locations[low] };
+  }
+
+  /**
+   * 获取地区所在城市的H码区间
+   * @param {string} areaCode 地区编码
+   * @returns {Object|null} { start, end }，地区不在H码分配表中时返回null
+   * @private
+   */
+  _getHCodeRange(areaCode) {
+    return this._getHCodeTable().ranges.get(this._getPhoneAreaKey(areaCode)) || null;
+  }
+
+  /**
+   * 获取手机号归属地的分配单位
+   * 直辖市整体为一个归属地，省直辖县级行政区各自为一个归属地，其余按地级市
+   * @param {string} areaCode 地区编码
+   * @returns {string} 直辖市为2位省级编码，省直辖县级行政区为6位编码，其余为4位市级编码
+   * @private
+   */
+  _getPhoneAreaKey(areaCode) {
+    const provincePrefix = areaCode.substring(0, 2);
+    if (this.DIRECT_CITIES.includes(provincePrefix)) {
+      return provincePrefix;
+    }
+    return areaCode.substring(2, 4) === '90' ? areaCode.substring(0, 6) : areaCode.substring(0, 4);
+  }
+
+  /**
+   * 获取模拟的H码分配表
+   * 各归属地按人口比例分得连续的H码区间（至少1个），所有号段共用同一分配
+   * @returns {Object} { starts, locations, ranges } 区间起点、对应的归属地{ province, city }及归属地到区间的映射
+   * @private
+   */
+  _getHCodeTable() {
+    if (this._cache.hCodeTable) {
+      return this._cache.hCodeTable;
+    }
+    
+    // 汇总各归属地的人口
+    const populationByKey = new Map();
+    this._getCityPopulations().forEach(({ codes, population }) => {
+      codes.forEach(code => {
+        const key = this._getPhoneAreaKey(code);
+        populationByKey.set(key, (populationByKey.get(key) || 0) + population / codes.length);
+      });
+    });
+    
+    const keys = Array.from(populationByKey.keys()).sort();
+    const total = keys.reduce((sum, key) => sum + populationByKey.get(key), 0);
+    const spare = this.H_CODE_COUNT - keys.length;
+    
+    const starts = [];
+    const locations = [];
+    let cumulative = 0;
+    keys.forEach((key, i) => {
+      starts.push(i + Math.floor(cumulative / total * spare));
+      cumulative += populationByKey.get(key);
+      
+      const { province, city, district } = this._getAreaHierarchyInfo(key.padEnd(6, '0').replace(/^(\d{2})0000$/, '$10100'));
+      locations.push({
+        province: province ? province.name : null,
+        city: key.length === 6 ? district.name : (city ? city.name : null)
+      });
+    });
+    
+    const ranges = new Map();
+    keys.forEach((key, i) => {
+      ranges.set(key, { start: starts[i], end: i + 1 < keys.length ? starts[i + 1] - 1 : this.H_CODE_COUNT - 1 });
+    });
+    
+    this._cache.hCodeTable = { starts, locations, ranges };
+    return this._cache.hCodeTable;
+  }
+
+  /**
+   * 生成固定电话号码
+   * @param {string} areaCode 地区编码，区号与该地区所在城市一致；不传时随机选择地区
+   * @returns {string} 固定电话号码，格式为"区号-本地号码"，如"010-62345678"、"0755-23456789"
+   */
+  generateLandline(areaCode) {
+    this._ensureInitialized();
+    
+    const code = areaCode !== undefined ? areaCode : this._getRandomAreaCode();
+    if (!/^\d{6}$/.test(code)) {
+      throw new Error('地区编码必须是6位数字');
+    }
+    
+    const landline = this._generateLandlineByAreaCode(code);
+    if (!landline) {
+      throw new Error(`未找到地区${code}的长途区号`);
+    }
+    return landline;
+  }
+
+  /**
+   * 根据地区编码生成固定电话号码
+   * @param {string} areaCode 6位地区编码
+   * @returns {string|null} 固定电话号码，地区没有对应的区号时返回null
+   * @private
+   */
+  _generateLandlineByAreaCode(areaCode) {
+    const dialingCode = this._getDialingCode(areaCode);
+    if (!dialingCode) {
+      return null;
+    }
+    
+    // 本地号码首位为2-8，0、1、9用于长途、特服等号码
+    const length = this.EIGHT_DIGIT_DIALING_CODES.has(dialingCode) ? 8 : 7;
+    const first = this.rng.integer(2, 8);
+    const rest = this._pad(this.rng.integer(0, 10 ** (length - 1) - 1), length - 1);
+    return `${dialingCode}-${first}${rest}`;
+  }
+
+  /**
+   * 获取地区的长途区号
+   * 依次按6位编码（省直辖县级行政区）、市级编码、省级编码（直辖市和海南省）查找
+   * @param {string} areaCode 6位地区编码
+   * @returns {string|null} 长途区号，如"010"、"0755"
+   * @private
+   */
+  _getDialingCode(areaCode) {
+    return DIALING_CODES[areaCode] || DIALING_CODES[areaCode.substring(0, 4)] || DIALING_CODES[areaCode.substring(0, 2)] || null;
+  }
+
+  /**
+   * 使用插件生成邮箱
+   * @param {string} name 姓名
+   * @param {string} surname 姓氏，用于按姓氏读音生成拼音
+   * @returns {string} 邮箱地址
+   * @private
+   */
+  _generateEmailWithPlugin(name, surname = '') {
+    // 如果有自定义插件，使用插件生成
+    if (this._plugins.emailGenerator) {
+      try {
+        const result = this._plugins.emailGenerator(name);
+        if (result && typeof result === 'string' && result.includes('@')) {
+          return result;
+        }
+        this._rejectPluginResult('emailGenerator', result);
+      } catch (error) {
+        this._handlePluginError('emailGenerator', '邮箱生成插件出错', error);
+      }
+    }
+    
+    // 默认生成逻辑
+    return this._generateEmail(name, surname);
+  }
+
+  /**
+   * 使用插件生成地址
+   * @param {string} areaCode 地区编码
+   * @returns {string|Object} 地址，addressFormat为object时返回结构化地址
+   * @private
+   */
+  _generateAddressWithPlugin(areaCode) {
+    const asObject = this.options.addressFormat === 'object';
+    
+    // 如果有自定义插件，使用插件生成
+    if (this._plugins.addressGenerator) {
+      try {
+        const result = this._plugins.addressGenerator(areaCode, this._getAreaNameByCode(areaCode));
+        if (result && typeof result === 'string') {
+          // 插件只返回字符串，结构化地址仅包含地区层级
+          return asObject
+            ? { ...this._getAddressComponents(areaCode, false), detail: null, postcode: this.getPostcode(areaCode), full: result }
+            : result;
+        }
+        this._rejectPluginResult('addressGenerator', result);
+      } catch (error) {
+        this._handlePluginError('addressGenerator', '地址生成插件出错', error);
+      }
+    }
+    
+    // 默认生成逻辑
+    const address = this._generateAddressObject(areaCode);
+    return asObject ? address : address.full;
+  }
+
+  /**
+   * 使用插件生成身份证号
    * @param {Object} options 选项
    * @returns {string} 身份证号
    * @private
@@ -581,91 +1627,616 @@ class ChineseIdGenerator {
         if (result && typeof result === 'string' && this.idValidator.isValid(result)) {
           return result;
         }
+        this._rejectPluginResult('idCardGenerator', result);
       } catch (error) {
-        console.warn('身份证生成插件出错:', error);
+        this._handlePluginError('idCardGenerator', '身份证生成插件出错', error);
+      }
+    }
+    
+    // 默认生成逻辑
+    return this.generateIdCard(options);
+  }
+
+  /**
+   * 根据地区编码获取地区名称
+   * @param {string} areaCode 地区编码
+   * @returns {string|null} 地区名称
+   * @private
+   */
+  _getAreaNameByCode(areaCode) {
+    this._ensureInitialized();
+    return this._cache.nameByAreaCode.get(areaCode) || null;
+  }
+
+  /**
+   * 解析并校验身份证号
+   * 逐条检查长度、字符、地区、出生日期、校验码等规则，并返回失败的规则列表
+   * 15位第一代身份证按19YY年解析，不校验校验码
+   * @param {string} idCard 身份证号
+   * @returns {Object} 解析结果，包含地区层级、出生日期、年龄、性别、校验码及errors列表
+   */
+  parseIdCard(idCard) {
+    this._ensureInitialized();
+    
+    const id = typeof idCard === 'string' ? idCard.trim() : '';
+    const errors = [];
+    const addError = (rule, message) => errors.push({ rule, message });
+    
+    // 15位身份证补全世纪后按18位的位置解析
+    const isLegacy = /^\d{15}$/.test(id);
+    const normalized = isLegacy ? `${id.substring(0, 6)}19${id.substring(6)}` : id;
+    
+    const result = {
+      idCard: id,
+      format: isLegacy ? 15 : 18,
+      valid: false,
+      areaCode: null,
+      province: null,
+      city: null,
+      district: null,
+      birthDate: null,
+      age: null,
+      gender: null,
+      sequenceCode: null,
+      checkCode: null,
+      expectedCheckCode: null,
+      errors
+    };
+    
+    // 1. 长度
+    if (id.length !== 18 && !isLegacy) {
+      addError('length', `身份证号长度应为18位，实际为${id.length}位`);
+    }
+    
+    // 2. 字符集：只能包含数字，最后一位可以是大写X
+    if (!isLegacy && !/^\d*X?$/.test(id)) {
+      addError('charset', '身份证号只能包含数字，最后一位可以是大写X');
+    }
+    
+    // 3. 地区编码
+    const areaCode = id.substring(0, 6);
+    if (/^\d{6}$/.test(areaCode)) {
+      result.areaCode = areaCode;
+      Object.assign(result, this._getAreaHierarchyInfo(areaCode));
+      if (!result.district) {
+        addError('area', `地区编码${areaCode}不存在`);
+      }
+    } else {
+      addError('area', '地区编码必须是6位数字');
+    }
+    
+    // 4. 出生日期
+    const birthday = normalized.substring(6, 14);
+    if (/^\d{8}$/.test(birthday)) {
+      const year = parseInt(birthday.substring(0, 4));
+      const month = parseInt(birthday.substring(4, 6));
+      const day = parseInt(birthday.substring(6, 8));
+      
+      if (this._isValidDate(year, month, day)) {
+        result.birthDate = `${year}-${this._pad(month, 2)}-${this._pad(day, 2)}`;
+        result.age = this._calculateAge(year, month, day);
+        if (this._isFutureDate(year, month, day)) {
+          addError('future', `出生日期${result.birthDate}晚于当前日期`);
+        }
+      } else {
+        addError('date', `出生日期${birthday}不是有效的日历日期`);
+      }
+    } else {
+      addError('date', '出生日期必须是8位数字，格式为YYYYMMDD');
+    }
+    
+    // 5. 顺序码与性别
+    const sequenceCode = normalized.substring(14, 17);
+    if (/^\d{3}$/.test(sequenceCode)) {
+      result.sequenceCode = sequenceCode;
+      result.gender = parseInt(sequenceCode.charAt(2)) % 2 === 1 ? '男' : '女';
+      if (sequenceCode === '000') {
+        addError('sequence', '顺序码不能为000');
+      }
+    }
+    
+    // 6. 校验码（15位身份证没有校验码；长度或字符不合法时已单独报告，不再重复校验）
+    if (id.length >= 18) {
+      result.checkCode = id.charAt(17);
+    }
+    if (!isLegacy && /^\d{17}/.test(id)) {
+      result.expectedCheckCode = this._calculateCheckCode(id.substring(0, 17));
+      if (/^\d{17}[\dX]$/.test(id) && result.checkCode !== result.expectedCheckCode) {
+        addError('checkCode', `校验码应为${result.expectedCheckCode}，实际为${result.checkCode}`);
+      }
+    }
+    
+    result.valid = errors.length === 0;
+    return result;
+  }
+
+  /**
+   * 根据地区编码获取省、市、区县三级信息
+   * @param {string} areaCode 6位地区编码
+   * @returns {Object} 包含province、city、district的对象，每项为{code, name}或null
+   * @private
+   */
+  _getAreaHierarchyInfo(areaCode) {
+    this._ensureInitialized();
+    
+    const provinceCode = areaCode.substring(0, 2);
+    const cityCode = areaCode.substring(2, 4);
+    const districtCode = areaCode.substring(4, 6);
+    
+    const provinceInfo = this.provinceMap.get(provinceCode);
+    const province = provinceInfo ? { code: provinceInfo.code, name: provinceInfo.name } : null;
+    
+    // 直辖市没有市级数据，使用省级名称代替
+    const cityInfo = this._getCityInfo(provinceCode, cityCode);
+    let city = null;
+    if (cityInfo) {
+      city = { code: cityInfo.code, name: cityInfo.name };
+    } else if (province && this.DIRECT_CITIES.includes(provinceCode)) {
+      city = { code: `${provinceCode}${cityCode}00`, name: province.name };
+    }
+    
+    const cities = this.areaMap.get(provinceCode);
+    const districts = cities && cities.get(cityCode);
+    const districtInfo = districts && districts.get(districtCode);
+    const district = districtInfo ? { code: districtInfo.code, name: districtInfo.name } : null;
+    
+    return { province, city, district };
+  }
+
+  /**
+   * 判断年月日是否构成有效的日历日期
+   * @param {number} year 年
+   * @param {number} month 月
+   * @param {number} day 日
+   * @returns {boolean} 是否有效
+   * @private
+   */
+  _isValidDate(year, month, day) {
+    if (month < 1 || month > 12 || day < 1) {
+      return false;
+    }
+    return day <= this._getDaysInMonth(year, month);
+  }
+
+  /**
+   * 获取指定月份的天数
+   * @param {number} year 年
+   * @param {number} month 月
+   * @returns {number} 天数
+   * @private
+   */
+  _getDaysInMonth(year, month) {
+    if ([4, 6, 9, 11].includes(month)) {
+      return 30;
+    }
+    if (month === 2) {
+      return this._isLeapYear(year) ? 29 : 28;
+    }
+    return 31;
+  }
+
+  /**
+   * 判断日期是否晚于今天
+   * @param {number} year 年
+   * @param {number} month 月
+   * @param {number} day 日
+   * @returns {boolean} 是否为未来日期
+   * @private
+   */
+  _isFutureDate(year, month, day) {
+    const today = new Date();
+    const todayValue = today.getFullYear() * 10000 + (today.getMonth() + 1) * 100 + today.getDate();
+    return year * 10000 + month * 100 + day > todayValue;
+  }
+
+  /**
+   * 根据出生日期计算周岁年龄
+   * @param {number} birthYear 出生年
+   * @param {number} birthMonth 出生月
+   * @param {number} birthDay 出生日
+   * @returns {number} 年龄
+   * @private
+   */
+  _calculateAge(birthYear, birthMonth, birthDay) {
+    const today = new Date();
+    let age = today.getFullYear() - birthYear;
+    if (today.getMonth() + 1 < birthMonth || 
+        (today.getMonth() + 1 === birthMonth && today.getDate() < birthDay)) {
+      age--;
+    }
+    return age;
+  }
+
+  /**
+   * 从身份证号提取信息
+   * @param {string} idCard 身份证号
+   * @returns {Object} 包含出生年月日、年龄等信息的对象
+   * @private
+   */
+  _extractInfoFromIdCard(idCard) {
+    // 提取出生日期（第7-14位）
+    const birthYear = parseInt(idCard.substring(6, 10));
+    const birthMonth = parseInt(idCard.substring(10, 12));
+    const birthDay = parseInt(idCard.substring(12, 14));
+    
+    // 计算年龄
+    const age = this._calculateAge(birthYear, birthMonth, birthDay);
+    
+    // 格式化出生日期
+    const formattedBirthDate = `${birthYear}-${this._pad(birthMonth, 2)}-${this._pad(birthDay, 2)}`;
+    
+    return { birthYear, birthMonth, birthDay, age, formattedBirthDate };
+  }
+
+  /**
+   * 通过地区名称和年龄生成个人信息
+   * 地区名称无法识别时，strict模式下抛出AreaResolutionError，否则警告并使用北京市东城区（110101）
+   * @param {string} areaName 地区名称，如：武汉、上海、北京等
+   * @param {number} age 年龄
+   * @param {Object} options 其他选项
+   * @returns {Object} 包含姓名、性别、年龄、身份证、手机号、邮箱等信息的对象，
+   *   另含实际使用的区县编码areaCode和完整路径areaPath（如：湖北省武汉市江岸区）
+   */
+  generatePersonInfoByAreaAndAge(areaName, age, options = {}) {
+    this._ensureInitialized();
+    
+    // 参数验证
+    if (!areaName) {
+      throw new Error('地区名称不能为空');
+    }
+    
+    if (age === undefined || age < 0 || age > 120) {
+      throw new Error('年龄必须在0-120之间');
+    }
+    
+    // 查找地区编码（市级编码会随机选择下属区县）
+    let areaCode = this.resolveAreaCode(areaName);
+    if (!areaCode) {
+      if (this.options.strict) {
+        // 逐步缩短名称查找相近的地区，如"武汉x"提示武汉市
+        const name = String(areaName);
+        let candidates = [];
+        for (let length = name.length; length >= 2 && candidates.length === 0; length--) {
+          candidates = this.searchAreas(name.substring(0, length), { limit: 5 }).map(({ code, path }) => ({ code, path }));
+        }
+        const suggestion = candidates.length > 0 ? `，相近的地区: ${this._formatAreaCandidates(candidates)}` : '';
+        throw new AreaResolutionError(`未找到地区"${areaName}"${suggestion}`, areaName, 'notFound', candidates);
+      }
+      
+      // 增加容错机制，尝试使用默认地区编码
+      console.warn(`未找到地区"${areaName}"的编码，将使用默认地区编码`);
+      areaCode = '110101'; // 默认使用北京市东城区
+    }
+    
+    // 根据年龄计算出生日期
+    const birthday = this._getBirthdayFromAge(age);
+    
+    // 生成个人信息
+    const person = this.generatePersonInfo({
+      ...options,
+      areaCode,
+      birthday
+    });
+    
+    return { ...person, areaCode, areaPath: this._getAreaPath(areaCode) };
+  }
+
+  /**
+   * 将地区名称或编码解析为区县级地区编码
+   * 省级、市级编码会随机选择一个下属区县
+   * @param {string} areaName 地区名称（如：武汉、朝阳区）或6位地区编码
+   * @param {Object} options 选项
+   * @param {string} options.onAmbiguous 名称匹配到多个地区时的处理方式：first、random或throw，默认使用构造函数的onAmbiguous
+   * @param {boolean} options.pickDistrict 是否为省级、市级编码随机选择区县，默认true；为false时返回匹配到的编码
+   * @returns {string|null} 地区编码，未找到时返回null
+   */
+  resolveAreaCode(areaName, options = {}) {
+    this._ensureInitialized();
+    
+    const onAmbiguous = options.onAmbiguous || this.options.onAmbiguous;
+    this._validateAmbiguityPolicy(onAmbiguous);
+    
+    if (!areaName) {
+      return null;
+    }
+    
+    const areaCode = /^\d{6}$/.test(areaName) ? areaName : this._getAreaCodeByName(areaName, onAmbiguous);
+    if (!areaCode) {
+      return null;
+    }
+    return options.pickDistrict === false ? areaCode : this._resolveDistrictCode(areaCode);
+  }
+
+  /**
+   * 校验地区名称歧义的处理方式
+   * @param {string} onAmbiguous 处理方式
+   * @private
+   */
+  _validateAmbiguityPolicy(onAmbiguous) {
+    if (!['first', 'random', 'throw'].includes(onAmbiguous)) {
+      throw new Error(`不支持的歧义处理方式: ${onAmbiguous}，可选值：first, random, throw`);
+    }
+  }
+
+  /**
+   * 获取所有省级行政区
+   * @returns {Array<Object>} 省份列表，每项包含code、name、level、path
+   */
+  listProvinces() {
+    this._ensureInitialized();
+    return Array.from(this.provinceMap.values()).map(item => this._toAreaItem(item.code, item.name, 'province'));
+  }
+
+  /**
+   * 获取省份下的城市
+   * 直辖市返回以省级名称命名的市级编码（如110100北京市），省直辖县级行政区返回"省直辖县级行政区划"等
+   * @param {string} provinceCode 2位或6位省份编码，如：42、420000
+   * @returns {Array<Object>} 城市列表，每项包含code、name、level、path，省份不存在时返回空数组
+   */
+  listCities(provinceCode) {
+    this._ensureInitialized();
+    
+    if (!/^\d{2}(\d{4})?$/.test(provinceCode || '')) {
+      throw new Error('省份编码必须是2位或6位数字');
+    }
+    const code = provinceCode.substring(0, 2);
+    
+    // 直辖市没有市级数据，按区县所属的市级编码列出
+    if (this.DIRECT_CITIES.includes(code)) {
+      const cities = this.areaMap.get(code);
+      return cities
+        ? Array.from(cities.keys()).sort().map(city => this._toAreaItem(`${code}${city}00`, this._getProvinceName(code), 'city'))
+        : [];
+    }
+    
+    const cities = this.cityMap.get(code);
+    return cities
+      ? Array.from(cities.values()).map(item => this._toAreaItem(item.code, item.name.replace(/^.+-/, ''), 'city'))
+      : [];
+  }
+
+  /**
+   * 获取城市下的区县，不包含"市辖区"
+   * @param {string} cityCode 4位或6位城市编码，如：4201、420100；直辖市也可以传省级编码，如110000
+   * @returns {Array<Object>} 区县列表，每项包含code、name、level、path，城市不存在时返回空数组
+   */
+  listDistricts(cityCode) {
+    this._ensureInitialized();
+    
+    if (!/^\d{4}(\d{2})?$/.test(cityCode || '')) {
+      throw new Error('城市编码必须是4位或6位数字');
+    }
+    const provinceCode = cityCode.substring(0, 2);
+    const code = cityCode.substring(2, 4);
+    
+    const cities = this.areaMap.get(provinceCode);
+    if (!cities) {
+      return [];
+    }
+    
+    const cityCodes = this.DIRECT_CITIES.includes(provinceCode) && code === '00' ? Array.from(cities.keys()).sort() : [code];
+    const result = [];
+    cityCodes.forEach(city => {
+      const districts = cities.get(city);
+      if (districts) {
+        districts.forEach(item => {
+          if (item.name !== '市辖区') {
+            result.push(this._toAreaItem(item.code, item.name, 'district'));
+          }
+        });
       }
+    });
+    
+    return result;
+  }
+
+  /**
+   * 获取区县下的乡镇街道
+   * @param {string} districtCode 6位区县编码
+   * @returns {Array<Object>} 乡镇街道列表，每项包含code（9位乡镇级编码）、name、level、path，区县不存在时返回空数组
+   */
+  listTowns(districtCode) {
+    this._ensureInitialized();
+    
+    if (!/^\d{6}$/.test(districtCode || '')) {
+      throw new Error('区县编码必须是6位数字');
+    }
+    
+    return this._getTownsByAreaCode(districtCode)
+      .map(item => this._toAreaItem(`${item.code}${item.town.substring(0, 3)}`, item.name, 'town'));
+  }
+
+  /**
+   * 按名称搜索地区，结果按匹配得分从高到低排列
+   * 得分：名称或完整路径完全匹配为100；简称、去后缀名称、全拼或拼音首字母完全匹配为90；名称前缀匹配为60-90；
+   * 拼音前缀匹配为50-80；完整路径包含关键字为40-70；关键字各字按顺序出现在完整路径中（如"长春朝阳"）为10-40。
+   * 同类匹配中关键字占名称的比例越高得分越高；乡镇街道只按名称和路径匹配
+   * @param {string} query 关键字，如：朝阳、北京朝阳、吉林省长春市朝阳区、鄂、wuhan、bj
+   * @param {Object} options 选项
+   * @param {number} options.limit 最多返回的数量，默认20
+   * @param {string|Array<string>} options.level 搜索的级别：province、city、district、town，默认搜索省、市、区县三级
+   * @returns {Array<Object>} 匹配的地区列表，每项包含code、name、level、path、score，得分相同时上级地区在前
+   */
+  searchAreas(query, options = {}) {
+    this._ensureInitialized();
+    
+    const limit = options.limit || 20;
+    const levels = this._normalizeAreaLevels(options.level);
+    const keyword = typeof query === 'string' ? query.trim() : '';
+    if (!keyword) {
+      return [];
+    }
+    
+    if (!this._cache.fuzzyAreaNameMap) {
+      this._buildFuzzyAreaNameCache();
     }
     
-    // 默认生成逻辑
-    return this.generateIdCard(options);
+    const matches = [];
+    levels.forEach(level => {
+      this._getAreaIndex(level).forEach(item => {
+        const score = this._scoreAreaMatch(item, keyword);
+        if (score > 0) {
+          matches.push({ ...item, score });
+        }
+      });
+    });
+    
+    matches.sort((a, b) => b.score - a.score
+      || this.AREA_LEVELS.indexOf(a.level) - this.AREA_LEVELS.indexOf(b.level)
+      || a.code.localeCompare(b.code));
+    
+    return matches.slice(0, limit);
   }
 
   /**
-   * 根据地区编码获取地区名称
-   * @param {string} areaCode 地区编码
-   * @returns {string|null} 地区名称
+   * 校验并规范化地区级别
+   * @param {string|Array<string>} level 地区级别
+   * @returns {Array<string>} 级别列表，未指定时为省、市、区县三级
    * @private
    */
-  _getAreaNameByCode(areaCode) {
-    this._ensureInitialized();
-    return this._cache.nameByAreaCode.get(areaCode) || null;
+  _normalizeAreaLevels(level) {
+    if (level === undefined || level === null) {
+      return ['province', 'city', 'district'];
+    }
+    
+    const levels = Array.isArray(level) ? level : [level];
+    const invalid = levels.find(item => !this.AREA_LEVELS.includes(item));
+    if (invalid !== undefined || levels.length === 0) {
+      throw new Error(`不支持的地区级别: ${invalid}，可选值：${this.AREA_LEVELS.join(', ')}`);
+    }
+    
+    return levels;
   }
 
   /**
-   * 从身份证号提取信息
-   * @param {string} idCard 身份证号
-   * @returns {Object} 包含出生年月日、年龄等信息的对象
+   * 获取某一级别的全部地区，用于搜索
+   * @param {string} level 地区级别
+   * @returns {Array<Object>} 地区列表，每项包含code、name、level、path
    * @private
    */
-  _extractInfoFromIdCard(idCard) {
-    // 提取出生日期（第7-14位）
-    const birthYear = parseInt(idCard.substring(6, 10));
-    const birthMonth = parseInt(idCard.substring(10, 12));
-    const birthDay = parseInt(idCard.substring(12, 14));
-    
-    // 计算年龄
-    const today = new Date();
-    let age = today.getFullYear() - birthYear;
-    if (today.getMonth() + 1 < birthMonth || 
-        (today.getMonth() + 1 === birthMonth && today.getDate() < birthDay)) {
-      age--;
+  _getAreaIndex(level) {
+    if (!this._cache.areaIndex[level]) {
+      let items;
+      if (level === 'province') {
+        items = this.listProvinces();
+      } else if (level === 'city') {
+        items = this._getAreaIndex('province').flatMap(item => this.listCities(item.code));
+      } else if (level === 'district') {
+        items = this._getAreaIndex('city').flatMap(item => this.listDistricts(item.code));
+      } else {
+        items = this._getAreaIndex('district').flatMap(item => this.listTowns(item.code));
+      }
+      this._cache.areaIndex[level] = items;
     }
     
-    // 格式化出生日期
-    const formattedBirthDate = `${birthYear}-${this._pad(birthMonth, 2)}-${this._pad(birthDay, 2)}`;
-    
-    return { birthYear, birthMonth, birthDay, age, formattedBirthDate };
+    return this._cache.areaIndex[level];
   }
 
   /**
-   * 通过地区名称和年龄生成个人信息
-   * @param {string} areaName 地区名称，如：武汉、上海、北京等
-   * @param {number} age 年龄
-   * @param {Object} options 其他选项
-   * @returns {Object} 包含姓名、性别、年龄、身份证、手机号、邮箱等信息的对象
+   * 计算地区与关键字的匹配得分，规则见searchAreas
+   * @param {Object} item 地区，包含name和path
+   * @param {string} keyword 关键字
+   * @returns {number} 得分，不匹配时为0
+   * @private
    */
-  generatePersonInfoByAreaAndAge(areaName, age, options = {}) {
-    this._ensureInitialized();
+  _scoreAreaMatch({ code, name, path }, keyword) {
+    if (name === keyword || path === keyword) {
+      return 100;
+    }
     
-    // 参数验证
-    if (!areaName) {
-      throw new Error('地区名称不能为空');
+    const aliases = this._cache.fuzzyAreaNameMap.aliasesByCode.get(code);
+    const aliasKeyword = this._normalizeAreaAlias(keyword);
+    if (aliases && aliases.has(aliasKeyword)) {
+      return 90;
+    }
+    if (name.startsWith(keyword)) {
+      return 60 + Math.round(30 * keyword.length / name.length);
     }
     
-    if (age === undefined || age < 0 || age > 120) {
-      throw new Error('年龄必须在0-120之间');
+    // 拼音前缀匹配，如wuha匹配武汉市
+    if (aliases && /^[a-z]{2,}$/.test(aliasKeyword)) {
+      const lengths = Array.from(aliases)
+        .filter(item => item.startsWith(aliasKeyword) && /^[a-z]+$/.test(item))
+        .map(item => item.length);
+      if (lengths.length > 0) {
+        return 50 + Math.round(30 * aliasKeyword.length / Math.min(...lengths));
+      }
+    }
+    if (path.includes(keyword)) {
+      return 40 + Math.round(30 * keyword.length / path.length);
     }
     
-    // 查找地区编码
-    let areaCode = this._getAreaCodeByName(areaName);
-    if (!areaCode) {
-      // 增加容错机制，尝试使用默认地区编码
-      console.warn(`未找到地区"${areaName}"的编码，将使用默认地区编码`);
-      areaCode = '110101'; // 默认使用北京市东城区
+    // 关键字各字按顺序出现在完整路径中
+    let matched = 0;
+    for (const char of path) {
+      if (char === keyword[matched] && ++matched === keyword.length) {
+        return 10 + Math.round(30 * keyword.length / path.length);
+      }
     }
     
-    // 处理市级编码，随机选择下属区县
-    areaCode = this._resolveDistrictCode(areaCode);
+    return 0;
+  }
+
+  /**
+   * 构造地区列表项
+   * @param {string} code 6位地区编码或9位乡镇级编码
+   * @param {string} name 地区名称
+   * @param {string} level 地区级别
+   * @returns {Object} { code, name, level, path }
+   * @private
+   */
+  _toAreaItem(code, name, level) {
+    return { code, name, level, path: this._getAreaPath(code) };
+  }
+
+  /**
+   * 获取地区编码对应的级别
+   * @param {string} areaCode 6位地区编码或9位乡镇级编码
+   * @returns {string} province、city、district或town
+   * @private
+   */
+  _getAreaLevel(areaCode) {
+    if (areaCode.length === 9) {
+      return 'town';
+    }
+    if (areaCode.endsWith('0000')) {
+      return 'province';
+    }
+    return areaCode.endsWith('00') ? 'city' : 'district';
+  }
+
+  /**
+   * 获取地区的完整路径名称，如：湖北省武汉市江岸区
+   * 省直辖县级行政区的路径不包含"省直辖县级行政区划"，如：河南省济源市
+   * @param {string} areaCode 6位地区编码或9位乡镇级编码
+   * @returns {string} 完整路径名称
+   * @private
+   */
+  _getAreaPath(areaCode) {
+    const districtCode = areaCode.substring(0, 6);
+    const { province, city, district } = this._getAreaHierarchyInfo(districtCode);
+    const level = this._getAreaLevel(areaCode);
+    const parts = [];
     
-    // 根据年龄计算出生日期
-    const birthday = this._getBirthdayFromAge(age);
+    if (province) {
+      parts.push(province.name);
+    }
+    if (level === 'city' && city && city.name.includes('直辖县级')) {
+      parts.push(city.name.replace(/^.+-/, ''));
+    } else if (level !== 'province' && city && (!province || city.name !== province.name) && !city.name.includes('直辖县级')) {
+      parts.push(city.name);
+    }
+    if ((level === 'district' || level === 'town') && district && district.name !== '市辖区') {
+      parts.push(district.name);
+    }
+    if (level === 'town') {
+      const town = this._getTownsByAreaCode(districtCode).find(item => item.town.startsWith(areaCode.substring(6)));
+      if (town) {
+        parts.push(town.name);
+      }
+    }
     
-    // 生成个人信息
-    return this.generatePersonInfo({
-      ...options,
-      areaCode,
-      birthday
-    });
+    return parts.join('');
   }
 
   /**
@@ -685,8 +2256,8 @@ class ChineseIdGenerator {
       
       // 查找区县
       let districts;
-      if (isDirectCity) {
-        // 直辖市：只需要省级编码匹配
+      if (isDirectCity || cityCode === '00') {
+        // 直辖市或省级编码：只需要省级编码匹配
         districts = area.filter(a => 
           a.province === provinceCode && 
           a.name !== '市辖区'
@@ -702,7 +2273,7 @@ class ChineseIdGenerator {
       
       if (districts && districts.length > 0) {
         // 随机选择一个区县
-        const randomDistrict = districts[Math.floor(Math.random() * districts.length)];
+        const randomDistrict = this.rng.pick(districts);
         return randomDistrict.code;
       }
     }
@@ -714,6 +2285,16 @@ class ChineseIdGenerator {
    * 批量生成中国人信息
    * @param {number} count 生成数量
    * @param {Object} options 选项
+   * @param {string} options.areaCode 地区编码，省级、市级编码每条记录随机选择下属区县
+   * @param {string} options.birthday 出生日期，格式：YYYYMMDD
+   * @param {number} options.age 年龄，未提供birthday时每条记录根据年龄随机生成出生日期
+   * @param {number} options.minAge 最小年龄（含）
+   * @param {number} options.maxAge 最大年龄（含）
+   * @param {string} options.birthDateFrom 最早出生日期，格式：YYYYMMDD
+   * @param {string} options.birthDateTo 最晚出生日期，格式：YYYYMMDD
+   * @param {string} options.ageGroup 年龄段预设：adult或minor
+   * @param {number} options.gender 性别，1为男，0为女
+   * @param {boolean|Object} options.unique 是否保证批次内身份证号唯一；传入对象{ phone, email }时同时保证手机号、邮箱唯一
    * @param {Function} progressCallback 进度回调函数，参数为当前进度(0-1)
    * @returns {Array} 人员信息数组
    */
@@ -727,6 +2308,13 @@ class ChineseIdGenerator {
     // 优化：预先计算和缓存可能需要的数据
     this._prepareBatchGeneration(options);
     
+    // 唯一模式：记录已发放的身份证号、手机号、邮箱
+    const tracker = options.unique ? this._createUniqueTracker(options.unique) : null;
+    if (tracker) {
+      this._assertUniqueCapacity(count, options);
+    }
+    
+    const cursor = this._createBatchCursor();
     const result = [];
     const batchSize = Math.min(count, 1000); // 每批最多处理1000条
     const batches = Math.ceil(count / batchSize);
@@ -737,7 +2325,7 @@ class ChineseIdGenerator {
         (count - batchIndex * batchSize) : batchSize;
       
       // 当前批次的数据
-      const batchResult = this._generateBatchInternal(currentBatchSize, options);
+      const batchResult = this._generateBatchInternal(currentBatchSize, options, tracker, cursor);
       result.push(...batchResult);
       
       // 报告进度
@@ -747,91 +2335,499 @@ class ChineseIdGenerator {
       }
     }
     
-    return result;
+    return result;
+  }
+
+  /**
+   * 以异步迭代器的方式逐条生成人员信息，适合生成海量数据
+   * 每生成一块数据后让出事件循环，由调用方按需拉取（天然支持背压）
+   * @param {number} count 生成数量
+   * @param {Object} options 选项，与generateBatch相同
+   * @param {Object} streamOptions 流选项
+   * @param {number} streamOptions.chunkSize 每块生成的数量，默认1000
+   * @param {AbortSignal} streamOptions.signal 用于取消生成的信号
+   * @returns {AsyncGenerator<Object>} 人员信息异步迭代器
+   */
+  async *generateIterator(count, options = {}, streamOptions = {}) {
+    this._ensureInitialized();
+    
+    if (!Number.isInteger(count) || count <= 0) {
+      throw new Error('生成数量必须是正整数');
+    }
+    
+    const { signal } = streamOptions;
+    const chunkSize = streamOptions.chunkSize || 1000;
+    
+    this._prepareBatchGeneration(options);
+    
+    const tracker = options.unique ? this._createUniqueTracker(options.unique) : null;
+    if (tracker) {
+      this._assertUniqueCapacity(count, options);
+    }
+    
+    const cursor = this._createBatchCursor();
+    for (let generated = 0; generated < count; generated += chunkSize) {
+      this._throwIfAborted(signal);
+      
+      const chunk = this._generateBatchInternal(Math.min(chunkSize, count - generated), options, tracker, cursor);
+      for (const person of chunk) {
+        // 调用方可能在消费块内数据时取消，逐条检查以便立即停止
+        this._throwIfAborted(signal);
+        yield person;
+      }
+      
+      // 让出事件循环，避免长时间阻塞
+      await new Promise(resolve => setImmediate(resolve));
+    }
+  }
+
+  /**
+   * 生成人员信息的可读流（对象模式）
+   * 可直接pipe到文件或数据库写入流，遵循背压，不会一次性占用大量内存
+   * @param {number} count 生成数量
+   * @param {Object} options 选项，与generateBatch相同
+   * @param {Object} streamOptions 流选项
+   * @param {number} streamOptions.chunkSize 每块生成的数量，默认1000
+   * @param {number} streamOptions.highWaterMark 流缓冲的对象数量，默认与chunkSize相同
+   * @param {AbortSignal} streamOptions.signal 用于取消生成的信号，取消后流以AbortError销毁
+   * @returns {Readable} 对象模式的可读流
+   */
+  generateStream(count, options = {}, streamOptions = {}) {
+    // 与generateBatch一致，数量无效时同步抛出错误，而不是在读取时才以流错误出现
+    if (!Number.isInteger(count) || count <= 0) {
+      throw new Error('生成数量必须是正整数');
+    }
+    
+    const { signal } = streamOptions;
+    const stream = Readable.from(this.generateIterator(count, options, streamOptions), {
+      objectMode: true,
+      highWaterMark: streamOptions.highWaterMark || streamOptions.chunkSize || 1000
+    });
+    
+    if (signal) {
+      const onAbort = () => stream.destroy(this._createAbortError());
+      if (signal.aborted) {
+        process.nextTick(onAbort);
+      } else {
+        signal.addEventListener('abort', onAbort, { once: true });
+        stream.once('close', () => signal.removeEventListener('abort', onAbort));
+      }
+    }
+    
+    return stream;
+  }
+
+  /**
+   * 使用worker_threads并行批量生成人员信息
+   * 按区间把任务分配给工作线程，结果按原顺序合并；设置种子时与generateBatch结果一致
+   * 注意：注册的插件和自定义随机源无法传递到工作线程，且不支持unique选项
+   * @param {number} count 生成数量
+   * @param {Object} options 选项，与generateBatch相同（unique除外）
+   * @param {Object} parallelOptions 并行选项
+   * @param {number} parallelOptions.workers 工作线程数，默认为CPU核数
+   * @param {number} parallelOptions.chunkSize 每个任务生成的数量，默认1000
+   * @param {Function} progressCallback 进度回调函数，参数为当前进度(0-1)
+   * @returns {Promise<Array>} 人员信息数组
+   */
+  async generateBatchParallel(count, options = {}, parallelOptions = {}, progressCallback = null) {
+    this._ensureInitialized();
+    
+    if (!Number.isInteger(count) || count <= 0) {
+      throw new Error('生成数量必须是正整数');
+    }
+    
+    if (options.unique) {
+      throw new Error('generateBatchParallel不支持unique选项，请使用generateBatch');
+    }
+    
+    if (Object.values(this._plugins).some(plugin => plugin) || this._fieldPlugins.size > 0) {
+      throw new Error('generateBatchParallel不支持插件，插件函数无法传递到工作线程');
+    }
+    
+    if (this._usesCustomRandom()) {
+      throw new Error('generateBatchParallel不支持自定义随机源，随机源函数无法传递到工作线程');
+    }
+    
+    const chunkSize = parallelOptions.chunkSize || 1000;
+    const taskCount = Math.ceil(count / chunkSize);
+    const workerCount = Math.max(1, Math.min(parallelOptions.workers || os.cpus().length, taskCount));
+    
+    // 与generateBatch相同地抽取批次种子，保证两者结果一致
+    const { seed } = this._createBatchCursor();
+    const workerData = {
+      generatorOptions: {
+        nameOptions: this.options.nameOptions,
+        addressOptions: this.options.addressOptions,
+        addressFormat: this.options.addressFormat,
+        phoneOptions: this.options.phoneOptions,
+        distribution: this.options.distribution,
+        ageDistribution: this.options.ageDistribution,
+        strict: this.options.strict
+      },
+      options,
+      seed
+    };
+    
+    const results = new Array(taskCount);
+    const workers = [];
+    let nextTask = 0;
+    let completed = 0;
+    
+    try {
+      await new Promise((resolve, reject) => {
+        const dispatch = worker => {
+          if (nextTask >= taskCount) {
+            return;
+          }
+          const taskIndex = nextTask++;
+          const start = taskIndex * chunkSize;
+          worker.postMessage({ taskIndex, start, count: Math.min(chunkSize, count - start) });
+        };
+        
+        for (let i = 0; i < workerCount; i++) {
+          const worker = new Worker(path.join(__dirname, 'worker.js'), { workerData });
+          workers.push(worker);
+          
+          worker.on('message', message => {
+            if (message.error) {
+              reject(new Error(`工作线程生成失败: ${message.error}`));
+              return;
+            }
+            
+            results[message.taskIndex] = message.records;
+            completed += message.records.length;
+            
+            // 报告进度
+            if (progressCallback && typeof progressCallback === 'function') {
+              progressCallback(completed / count);
+            }
+            
+            if (completed === count) {
+              resolve();
+            } else {
+              dispatch(worker);
+            }
+          });
+          worker.on('error', reject);
+          worker.on('exit', code => {
+            if (code !== 0 && completed < count) {
+              reject(new Error(`工作线程异常退出，退出码: ${code}`));
+            }
+          });
+          
+          dispatch(worker);
+        }
+      });
+    } finally {
+      await Promise.all(workers.map(worker => worker.terminate()));
+    }
+    
+    return [].concat(...results);
+  }
+
+  /**
+   * 如果信号已取消则抛出AbortError
+   * @param {AbortSignal} signal 取消信号
+   * @private
+   */
+  _throwIfAborted(signal) {
+    if (signal && signal.aborted) {
+      throw this._createAbortError();
+    }
+  }
+
+  /**
+   * 创建取消错误
+   * @returns {Error} name为AbortError的错误
+   * @private
+   */
+  _createAbortError() {
+    const error = new Error('生成已取消');
+    error.name = 'AbortError';
+    error.code = 'ABORT_ERR';
+    return error;
+  }
+
+  /**
+   * 内部批量生成方法
+   * @param {number} count 生成数量
+   * @param {Object} options 选项
+   * @param {Object|null} tracker 唯一性跟踪器，为null时不保证唯一
+   * @param {Object|null} cursor 批次游标{ seed, index }，由_createBatchCursor创建
+   * @returns {Array} 人员信息数组
+   * @private
+   */
+  _generateBatchInternal(count, options, tracker = null, cursor = null) {
+    const result = [];
+    
+    // 如果指定了出生日期，预先解析
+    let birthInfo = null;
+    if (options.birthday) {
+      const birthYear = parseInt(options.birthday.substring(0, 4));
+      const birthMonth = parseInt(options.birthday.substring(4, 6));
+      const birthDay = parseInt(options.birthday.substring(6, 8));
+      const formattedBirthDate = `${birthYear}-${this._pad(birthMonth, 2)}-${this._pad(birthDay, 2)}`;
+      
+      // 计算年龄
+      const age = this._calculateAge(birthYear, birthMonth, birthDay);
+      
+      birthInfo = { birthYear, birthMonth, birthDay, age, formattedBirthDate };
+    }
+    
+    const mainRng = this.rng;
+    for (let i = 0; i < count; i++) {
+      // 设置种子时每条记录使用由批次种子和序号派生的独立随机序列，
+      // 使分块、流式、多线程生成的结果与单线程一致；自定义随机源时直接使用该随机源
+      if (cursor && cursor.seed !== null) {
+        this.rng = createRandom(`${cursor.seed}:${cursor.index}`);
+      }
+      if (cursor) {
+        cursor.index++;
+      }
+      
+      try {
+        let gender;
+        let idCard;
+        if (tracker) {
+          // 唯一模式：不放回地抽取顺序码，性别由身份证号决定
+          idCard = this._generateUniqueIdCard(options, tracker);
+          gender = parseInt(idCard.charAt(16)) % 2;
+        } else {
+          // 确定性别
+          gender = options.gender !== undefined ? options.gender : this.rng.integer(0, 1);
+        
+          // 生成身份证，省级、市级编码每条记录随机选择下属区县
+          idCard = this.generateIdCard({
+            areaCode: options.areaCode ? this._resolveDistrictCode(options.areaCode) : undefined,
+            birthday: options.birthday,
+            age: options.age,
+            minAge: options.minAge,
+            maxAge: options.maxAge,
+            birthDateFrom: options.birthDateFrom,
+            birthDateTo: options.birthDateTo,
+            ageGroup: options.ageGroup,
+            gender: gender
+          });
+        }
+        
+        // 从身份证号提取信息
+        const birthInfoFromId = birthInfo || this._extractInfoFromIdCard(idCard);
+        
+        // 生成姓名（根据性别和出生年份）
+        const { name, surname } = this._generateNameWithPlugin(gender, birthInfoFromId.birthYear);
+        const pinyin = pinyinUtils.nameToPinyin(name, { surname, tone: this.options.nameOptions.pinyinTone });
+        
+        // 获取地区信息
+        const areaCode = idCard.substring(0, 6);
+        const areaName = this._getAreaNameByCode(areaCode) || '未知地区';
+        
+        // 生成手机号及其运营商、归属地
+        const phone = tracker && tracker.phones
+          ? this._generateUniqueValue(() => this._generatePhoneWithPlugin(areaCode), tracker.phones, '手机号')
+          : this._generatePhoneWithPlugin(areaCode);
+        const phoneInfo = this.getPhoneInfo(phone);
+        
+        // 生成固定电话
+        const landline = this._generateLandlineByAreaCode(areaCode);
+        
+        // 生成邮箱
+        const email = tracker && tracker.emails
+          ? this._generateUniqueValue(() => this._generateEmailWithPlugin(name, surname), tracker.emails, '邮箱')
+          : this._generateEmailWithPlugin(name, surname);
+        
+        // 生成地址
+        const address = this._generateAddressWithPlugin(areaCode);
+        const postcode = this.getPostcode(areaCode);
+        
+        const person = {
+          name,
+          surname,
+          pinyin,
+          gender: gender === 1 ? '男' : '女',
+          age: birthInfoFromId.age,
+          birthDate: birthInfoFromId.formattedBirthDate,
+          idCard,
+          phone,
+          carrier: phoneInfo ? phoneInfo.carrier : null,
+          phoneLocation: this._getPhoneLocation(phone),
+          landline,
+          email,
+          address,
+          postcode,
+          areaName
+        };
+        
+        // 生成自定义字段
+        const { birthYear, birthMonth, birthDay } = birthInfoFromId;
+        result.push(this._applyFieldPlugins(person, { gender, birthYear, birthMonth, birthDay, areaCode, name, surname }));
+      } finally {
+        this.rng = mainRng;
+      }
+    }
+    
+    return result;
+  }
+
+  /**
+   * 创建批次游标
+   * 设置种子时从主随机序列抽取一个批次种子，批次内每条记录据此派生独立的随机序列
+   * @returns {Object} 游标{ seed, index }，未设置种子或使用自定义随机源时seed为null
+   * @private
+   */
+  _createBatchCursor() {
+    return {
+      seed: this.rng.seed !== null ? this.rng.integer(0, 0xFFFFFFFF) : null,
+      index: 0
+    };
+  }
+
+  /**
+   * 是否使用自定义随机源
+   * @returns {boolean} 通过random选项或setSeed传入随机源函数时为true
+   * @private
+   */
+  _usesCustomRandom() {
+    return this.rng.seeded && this.rng.seed === null;
+  }
+
+  /**
+   * 创建唯一性跟踪器
+   * @param {boolean|Object} unique 唯一选项，对象形式可指定phone、email
+   * @returns {Object} 跟踪器
+   * @private
+   */
+  _createUniqueTracker(unique) {
+    const fields = typeof unique === 'object' ? unique : {};
+    return {
+      idCards: new Set(),
+      sequences: new Map(), // 地区码+出生日期+性别 -> 已使用的顺序码
+      phones: fields.phone ? new Set() : null,
+      emails: fields.email ? new Set() : null
+    };
+  }
+
+  /**
+   * 检查唯一模式下剩余的组合数是否足够
+   * 仅当地区编码和出生日期都固定时组合数有限，此时提前抛出错误
+   * @param {number} count 生成数量
+   * @param {Object} options 选项
+   * @private
+   */
+  _assertUniqueCapacity(count, options) {
+    // 省级、市级编码会分散到多个区县，只检查单个区县的容量
+    if (!options.areaCode || !options.birthday || /00$/.test(options.areaCode)) {
+      return;
+    }
+    
+    const capacity = options.gender !== undefined
+      ? this._getSequenceCapacity(options.gender)
+      : this._getSequenceCapacity(0) + this._getSequenceCapacity(1);
+    
+    if (count > capacity) {
+      throw new Error(
+        `无法生成${count}个唯一身份证号：地区${options.areaCode}、出生日期${options.birthday}` +
+        `${options.gender !== undefined ? `、性别${options.gender === 1 ? '男' : '女'}` : ''}下最多只有${capacity}种组合`
+      );
+    }
+  }
+
+  /**
+   * 获取指定性别可用的顺序码数量
+   * 男性为001-999中的奇数（500个），女性为002-998中的偶数（499个）
+   * @param {number} gender 性别，1为男，0为女
+   * @returns {number} 顺序码数量
+   * @private
+   */
+  _getSequenceCapacity(gender) {
+    return gender === 1 ? 500 : 499;
+  }
+
+  /**
+   * 在唯一模式下生成身份证号
+   * 同一地区、出生日期、性别下的顺序码不放回抽取
+   * @param {Object} options 选项
+   * @param {Object} tracker 唯一性跟踪器
+   * @returns {string} 未发放过的身份证号
+   * @private
+   */
+  _generateUniqueIdCard(options, tracker) {
+    this._validateIdCardOptions(options);
+    
+    for (let attempt = 0; attempt < this.MAX_UNIQUE_ATTEMPTS; attempt++) {
+      const areaCode = options.areaCode ? this._resolveDistrictCode(options.areaCode) : this._getRandomAreaCode();
+      const birthday = this._resolveBirthday(options);
+      const gender = options.gender !== undefined ? options.gender : this.rng.integer(0, 1);
+      
+      const sequenceCode = this._drawUniqueSequenceCode(tracker, `${areaCode}${birthday}${gender}`, gender);
+      if (sequenceCode === null) {
+        continue;
+      }
+      
+      const idCardBase = `${areaCode}${birthday}${sequenceCode}`;
+      const idCard = idCardBase + this._calculateCheckCode(idCardBase);
+      tracker.idCards.add(idCard);
+      return idCard;
+    }
+    
+    throw new Error(`唯一身份证号已耗尽：已生成${tracker.idCards.size}个，无法在当前条件下继续生成不重复的身份证号`);
+  }
+
+  /**
+   * 不放回地抽取顺序码
+   * @param {Object} tracker 唯一性跟踪器
+   * @param {string} key 地区码+出生日期+性别组成的键
+   * @param {number} gender 性别，1为男，0为女
+   * @returns {string|null} 3位顺序码，已耗尽时返回null
+   * @private
+   */
+  _drawUniqueSequenceCode(tracker, key, gender) {
+    if (!tracker.sequences.has(key)) {
+      tracker.sequences.set(key, new Set());
+    }
+    const used = tracker.sequences.get(key);
+    const capacity = this._getSequenceCapacity(gender);
+    if (used.size >= capacity) {
+      return null;
+    }
+    
+    // 男性第i个顺序码为2i+1，女性为2i+2
+    const toSequence = index => (gender === 1 ? index * 2 + 1 : index * 2 + 2);
+    
+    // 在剩余的顺序码中均匀抽取第n个
+    let remainingIndex = this.rng.integer(0, capacity - used.size - 1);
+    for (let index = 0; index < capacity; index++) {
+      const num = toSequence(index);
+      if (used.has(num)) {
+        continue;
+      }
+      if (remainingIndex === 0) {
+        used.add(num);
+        return this._pad(num, 3);
+      }
+      remainingIndex--;
+    }
+    
+    return null;
   }
 
   /**
-   * 内部批量生成方法
-   * @param {number} count 生成数量
-   * @param {Object} options 选项
-   * @returns {Array} 人员信息数组
+   * 重复生成直到得到未使用过的值
+   * @param {Function} generate 生成函数
+   * @param {Set} seen 已使用的值
+   * @param {string} label 字段名称，用于错误信息
+   * @returns {string} 未使用过的值
    * @private
    */
-  _generateBatchInternal(count, options) {
-    const result = [];
-    
-    // 如果指定了地区编码，预先获取地区信息
-    let areaInfo = null;
-    if (options.areaCode) {
-      areaInfo = {
-        code: options.areaCode,
-        name: this._getAreaNameByCode(options.areaCode) || '未知地区'
-      };
-    }
-    
-    // 如果指定了出生日期，预先解析
-    let birthInfo = null;
-    if (options.birthday) {
-      const birthYear = parseInt(options.birthday.substring(0, 4));
-      const birthMonth = parseInt(options.birthday.substring(4, 6));
-      const birthDay = parseInt(options.birthday.substring(6, 8));
-      const formattedBirthDate = `${birthYear}-${this._pad(birthMonth, 2)}-${this._pad(birthDay, 2)}`;
-      
-      // 计算年龄
-      const today = new Date();
-      let age = today.getFullYear() - birthYear;
-      if (today.getMonth() + 1 < birthMonth || 
-          (today.getMonth() + 1 === birthMonth && today.getDate() < birthDay)) {
-        age--;
+  _generateUniqueValue(generate, seen, label) {
+    for (let attempt = 0; attempt < this.MAX_UNIQUE_ATTEMPTS; attempt++) {
+      const value = generate();
+      if (!seen.has(value)) {
+        seen.add(value);
+        return value;
       }
-      
-      birthInfo = { birthYear, birthMonth, birthDay, age, formattedBirthDate };
-    }
-    
-    for (let i = 0; i < count; i++) {
-      // 确定性别
-      const gender = options.gender !== undefined ? options.gender : Math.round(Math.random());
-      
-      // 生成身份证
-      const idCard = this.generateIdCard({
-        areaCode: options.areaCode,
-        birthday: options.birthday,
-        gender: gender
-      });
-      
-      // 从身份证号提取信息
-      const birthInfoFromId = birthInfo || this._extractInfoFromIdCard(idCard);
-      
-      // 生成姓名（根据性别）
-      const name = this._generateNameWithPlugin(gender);
-      
-      // 生成手机号
-      const phone = this._generatePhoneWithPlugin();
-      
-      // 生成邮箱
-      const email = this._generateEmailWithPlugin(name);
-      
-      // 获取地区信息
-      const areaCode = idCard.substring(0, 6);
-      const areaName = areaInfo ? areaInfo.name : (this._getAreaNameByCode(areaCode) || '未知地区');
-      
-      // 生成地址
-      const address = this._generateAddressWithPlugin(areaCode);
-      
-      result.push({
-        name,
-        gender: gender === 1 ? '男' : '女',
-        age: birthInfoFromId.age,
-        birthDate: birthInfoFromId.formattedBirthDate,
-        idCard,
-        phone,
-        email,
-        address,
-        areaName
-      });
     }
     
-    return result;
+    throw new Error(`唯一${label}已耗尽：连续${this.MAX_UNIQUE_ATTEMPTS}次生成的${label}均已存在`);
   }
 
   /**
@@ -840,10 +2836,12 @@ class ChineseIdGenerator {
    * @private
    */
   _prepareBatchGeneration(options) {
-    // 预热缓存
-    if (!this._cache.randomAreaCodes) {
-      this._getRandomAreaCode();
+    // 预热缓存（不消耗随机数，保证设置种子时结果可复现）
+    this._getRandomAreaCodeList();
+    if (this.options.distribution === 'population') {
+      this._getPopulationAreaWeights();
     }
+    this._getHCodeTable();
     
     // 如果需要预计算模糊匹配但尚未计算
     if (this.options.precomputeFuzzyMatch && !this._cache.fuzzyAreaNameMap) {
@@ -857,6 +2855,96 @@ class ChineseIdGenerator {
    * @private
    */
   _getRandomAreaCode() {
+    if (this.options.distribution === 'population') {
+      const { codes, cumulative } = this._getPopulationAreaWeights();
+      return codes[this.rng.weightedIndex(cumulative)];
+    }
+    return this.rng.pick(this._getRandomAreaCodeList());
+  }
+
+  /**
+   * 获取按人口比例选择地区所用的权重
+   * 城市人口平均分配到下属区县
+   * @returns {Object} { codes, cumulative } 区县编码及对应的累积权重
+   * @private
+   */
+  _getPopulationAreaWeights() {
+    if (this._cache.populationAreaWeights) {
+      return this._cache.populationAreaWeights;
+    }
+    
+    const codes = [];
+    const cumulative = [];
+    let total = 0;
+    this._getCityPopulations().forEach(({ codes: cityCodes, population }) => {
+      const weight = population / cityCodes.length;
+      if (weight > 0) {
+        cityCodes.forEach(code => {
+          total += weight;
+          codes.push(code);
+          cumulative.push(total);
+        });
+      }
+    });
+    
+    this._cache.populationAreaWeights = { codes, cumulative };
+    return this._cache.populationAreaWeights;
+  }
+
+  /**
+   * 获取各城市的区县编码及人口
+   * 城市人口优先取CITY_POPULATION，未列出的城市平分所在省份的剩余人口
+   * @returns {Map<string, Object>} 市级编码前4位（直辖市按市辖区、县分组）到{ codes, population }的映射
+   * @private
+   */
+  _getCityPopulations() {
+    if (this._cache.cityPopulations) {
+      return this._cache.cityPopulations;
+    }
+    
+    // 按市级编码前4位分组
+    const codesByCity = new Map();
+    this._getRandomAreaCodeList().forEach(code => {
+      const cityPrefix = code.substring(0, 4);
+      if (!codesByCity.has(cityPrefix)) {
+        codesByCity.set(cityPrefix, []);
+      }
+      codesByCity.get(cityPrefix).push(code);
+    });
+    
+    // 计算各省未列出城市平分的人口
+    const listedByProvince = new Map();
+    const unlistedCountByProvince = new Map();
+    codesByCity.forEach((codes, cityPrefix) => {
+      const provincePrefix = cityPrefix.substring(0, 2);
+      if (CITY_POPULATION[cityPrefix] !== undefined) {
+        listedByProvince.set(provincePrefix, (listedByProvince.get(provincePrefix) || 0) + CITY_POPULATION[cityPrefix]);
+      } else {
+        unlistedCountByProvince.set(provincePrefix, (unlistedCountByProvince.get(provincePrefix) || 0) + 1);
+      }
+    });
+    
+    const cityPopulations = new Map();
+    codesByCity.forEach((codes, cityPrefix) => {
+      const provincePrefix = cityPrefix.substring(0, 2);
+      let population = CITY_POPULATION[cityPrefix];
+      if (population === undefined) {
+        const remaining = (PROVINCE_POPULATION[provincePrefix] || 0) - (listedByProvince.get(provincePrefix) || 0);
+        population = Math.max(remaining, 0) / unlistedCountByProvince.get(provincePrefix);
+      }
+      cityPopulations.set(cityPrefix, { codes, population });
+    });
+    
+    this._cache.cityPopulations = cityPopulations;
+    return this._cache.cityPopulations;
+  }
+
+  /**
+   * 获取可用于随机选择的地区编码列表
+   * @returns {Array<string>} 区县级地区编码列表
+   * @private
+   */
+  _getRandomAreaCodeList() {
     this._ensureInitialized();
     
     // 缓存有效的地区编码列表
@@ -868,48 +2956,100 @@ class ChineseIdGenerator {
         .map(areaItem => areaItem.code);
     }
     
-    const codes = this._cache.randomAreaCodes;
-    return codes[Math.floor(Math.random() * codes.length)];
+    return this._cache.randomAreaCodes;
   }
 
   /**
    * 根据地区名称获取地区编码
-   * @param {string} areaName 地区名称
+   * 名称匹配到多个地区时按onAmbiguous处理：first给出警告并列出候选地区，使用排序最靠前的一个（级别高、人口多的优先）；
+   * random随机选择一个；throw抛出AreaResolutionError
+   * @param {string} areaName 地区名称，支持简称（京、鄂）、去后缀名称（武汉）、全拼（wuhan）和拼音首字母（bj）
+   * @param {string} onAmbiguous 歧义处理方式，默认使用构造函数的onAmbiguous
    * @returns {string|null} 地区编码，如果未找到则返回null
    * @private
    */
-  _getAreaCodeByName(areaName) {
-    this._ensureInitialized();
+  _getAreaCodeByName(areaName, onAmbiguous = this.options.onAmbiguous) {
+    const candidates = this._findAreaCandidates(areaName);
+    if (candidates.length <= 1) {
+      return candidates.length > 0 ? candidates[0] : null;
+    }
+    
+    if (onAmbiguous === 'random') {
+      return this.rng.pick(candidates);
+    }
     
-    // 1. 尝试直接匹配（最快）
-    if (this._cache.areaCodeByName.has(areaName)) {
-      return this._cache.areaCodeByName.get(areaName);
+    const listed = candidates.map(code => ({ code, path: this._getAreaPath(code) }));
+    const summary = `地区名称"${areaName}"匹配到${candidates.length}个地区: ${this._formatAreaCandidates(listed)}`;
+    if (onAmbiguous === 'throw') {
+      throw new AreaResolutionError(summary, areaName, 'ambiguous', listed);
     }
     
-    // 2. 检查常用城市映射（次快）
-    if (this.commonCities[areaName]) {
-      return this.commonCities[areaName];
+    console.warn(`${summary}，使用${listed[0].path}`);
+    return candidates[0];
+  }
+
+  /**
+   * 格式化候选地区，最多列出5个
+   * @param {Array<Object>} candidates 候选地区[{ code, path }]
+   * @returns {string} 如：北京市朝阳区(110105)、吉林省长春市朝阳区(220104)
+   * @private
+   */
+  _formatAreaCandidates(candidates) {
+    const listed = candidates.slice(0, 5).map(({ code, path }) => `${path}(${code})`).join('、');
+    return candidates.length > 5 ? `${listed}等` : listed;
+  }
+
+  /**
+   * 查找与地区名称匹配的全部地区
+   * 依次尝试：名称或完整路径完全匹配、常用城市、简称/去后缀名称/拼音、前缀匹配、单字包含匹配，
+   * 使用第一个有结果的匹配方式
+   * @param {string} areaName 地区名称
+   * @returns {Array<string>} 候选地区编码，按级别（省、市、区县）、人口从多到少排序
+   * @private
+   */
+  _findAreaCandidates(areaName) {
+    this._ensureInitialized();
+    
+    const name = typeof areaName === 'string' ? areaName.trim() : '';
+    if (!name) {
+      return [];
     }
     
-    // 3. 使用缓存进行模糊匹配
     // 如果之前没有构建模糊匹配缓存，则创建
     if (!this._cache.fuzzyAreaNameMap) {
       this._buildFuzzyAreaNameCache();
     }
     
-    // 4. 查找以输入名称开头的地区
-    const prefixMatches = this._cache.fuzzyAreaNameMap.prefix[areaName];
-    if (prefixMatches && prefixMatches.length > 0) {
-      return prefixMatches[0]; // 返回第一个匹配项
-    }
+    const { exact, alias, prefix, include } = this._cache.fuzzyAreaNameMap;
+    const codes = exact.get(name)
+      || (this.commonCities[name] ? [this.commonCities[name]] : null)
+      || alias.get(this._normalizeAreaAlias(name))
+      || prefix[name]
+      || include[name]
+      || [];
     
-    // 5. 查找包含输入名称的地区
-    const includeMatches = this._cache.fuzzyAreaNameMap.include[areaName];
-    if (includeMatches && includeMatches.length > 0) {
-      return includeMatches[0]; // 返回第一个匹配项
-    }
+    return this._rankAreaCandidates(codes);
+  }
+
+  /**
+   * 候选地区排序：级别高的在前，同级别按所在城市（省份）人口从多到少排列
+   * @param {Array<string>} codes 地区编码
+   * @returns {Array<string>} 去重并排序后的地区编码
+   * @private
+   */
+  _rankAreaCandidates(codes) {
+    const cityPopulations = this._getCityPopulations();
+    const population = code => {
+      if (this._getAreaLevel(code) === 'province') {
+        return PROVINCE_POPULATION[code.substring(0, 2)] || 0;
+      }
+      const city = cityPopulations.get(code.substring(0, 4));
+      return city ? city.population : 0;
+    };
     
-    return null;
+    return Array.from(new Set(codes)).sort((a, b) => this.AREA_LEVELS.indexOf(this._getAreaLevel(a)) - this.AREA_LEVELS.indexOf(this._getAreaLevel(b))
+      || population(b) - population(a)
+      || a.localeCompare(b));
   }
 
   /**
@@ -920,7 +3060,10 @@ class ChineseIdGenerator {
     // 初始化模糊匹配缓存
     this._cache.fuzzyAreaNameMap = {
       prefix: {}, // 前缀匹配
-      include: {}  // 包含匹配
+      include: {}, // 包含匹配
+      exact: new Map(), // 名称或完整路径 -> 地区编码列表
+      alias: new Map(), // 简称、去后缀名称、拼音 -> 地区编码列表
+      aliasesByCode: new Map() // 地区编码 -> 别名集合
     };
     
     // 遍历所有地区名称，构建模糊匹配索引
@@ -950,33 +3093,169 @@ class ChineseIdGenerator {
         }
       }
     }
+    
+    // 对省、市、区县构建完全匹配和别名索引，同名地区保留全部编码，以便发现歧义
+    const { exact, alias, aliasesByCode } = this._cache.fuzzyAreaNameMap;
+    const addIndex = (index, key, code) => {
+      if (!index.has(key)) {
+        index.set(key, []);
+      }
+      if (!index.get(key).includes(code)) {
+        index.get(key).push(code);
+      }
+    };
+    
+    ['province', 'city', 'district'].forEach(level => {
+      this._getAreaIndex(level).forEach(item => {
+        // 直辖市的市级编码与省级重复，省直辖县级行政区划不是实际地区
+        if (item.name.includes('直辖县级') || (level === 'city' && this.DIRECT_CITIES.includes(item.code.substring(0, 2)))) {
+          return;
+        }
+        
+        addIndex(exact, item.name, item.code);
+        addIndex(exact, item.path, item.code);
+        
+        const aliases = this._getAreaAliases(item);
+        aliases.forEach(key => addIndex(alias, key, item.code));
+        aliasesByCode.set(item.code, aliases);
+      });
+    });
+  }
+
+  /**
+   * 获取地区的别名：省份简称、去后缀名称（自治州、自治县另有"某某州"、"某某县"），以及名称和去后缀名称的全拼、拼音首字母
+   * @param {Object} item 地区，包含code、name、level
+   * @returns {Set<string>} 别名集合，拼音为小写
+   * @private
+   */
+  _getAreaAliases({ code, name, level }) {
+    const aliases = new Set();
+    
+    if (level === 'province') {
+      (PROVINCE_ABBREVIATIONS[code.substring(0, 2)] || []).forEach(abbreviation => aliases.add(abbreviation));
+    }
+    
+    const shortName = this._getAreaShortName(name);
+    if (shortName) {
+      aliases.add(shortName);
+      
+      // 自治州、自治县常简称为某某州、某某县，如恩施州
+      if (/自治[州县]$/.test(name)) {
+        aliases.add(`${shortName}${name.charAt(name.length - 1)}`);
+      }
+    }
+    
+    [name, shortName].filter(Boolean).forEach(item => {
+      const syllables = this._getAreaPinyin(item);
+      if (syllables) {
+        aliases.add(syllables.join(''));
+        aliases.add(syllables.map(syllable => syllable.charAt(0)).join(''));
+      }
+    });
+    
+    return aliases;
+  }
+
+  /**
+   * 去掉地区名称的行政区划后缀，自治地方同时去掉民族名称
+   * 如：武汉市→武汉、广西壮族自治区→广西、恩施土家族苗族自治州→恩施
+   * @param {string} name 地区名称
+   * @returns {string|null} 去后缀名称，不足两个字或没有后缀时返回null
+   * @private
+   */
+  _getAreaShortName(name) {
+    // 去掉后缀后至少保留两个字，如清新区→清新而不是清
+    const suffix = AREA_SUFFIXES.find(item => name.endsWith(item) && name.length - item.length >= 2);
+    if (!suffix) {
+      return null;
+    }
+    
+    let shortName = name.substring(0, name.length - suffix.length);
+    if (suffix.startsWith('自治') || shortName.endsWith('族')) {
+      let stripped = shortName.replace(this.ETHNIC_NAME_PATTERN, '');
+      while (stripped !== shortName && stripped.length >= 2) {
+        shortName = stripped;
+        stripped = shortName.replace(this.ETHNIC_NAME_PATTERN, '');
+      }
+    }
+    
+    return shortName;
+  }
+
+  /**
+   * 将地区名称转换为拼音音节，地名中的多音字按地名读音转换（如重庆→chong qing）
+   * @param {string} name 地区名称
+   * @returns {Array<string>|null} 无声调的拼音音节，含拼音字典以外的字时返回null
+   * @private
+   */
+  _getAreaPinyin(name) {
+    const syllables = [];
+    let index = 0;
+    
+    while (index < name.length) {
+      const word = Object.keys(PLACE_PINYIN).find(key => name.startsWith(key, index));
+      if (word) {
+        syllables.push(...PLACE_PINYIN[word].split(' '));
+        index += word.length;
+      } else {
+        syllables.push(pinyinUtils.toPinyinArray(name.charAt(index))[0]);
+        index++;
+      }
+    }
+    
+    return syllables.every(syllable => /^[a-z]+$/.test(syllable)) ? syllables : null;
+  }
+
+  /**
+   * 规范化别名查询：转为小写，去掉空格、隔音符号和连字符，如"Bei Jing"→beijing、"xi'an"→xian
+   * @param {string} name 查询名称
+   * @returns {string} 规范化后的名称
+   * @private
+   */
+  _normalizeAreaAlias(name) {
+    return name.toLowerCase().replace(/[\s'’-]/g, '');
   }
 
   /**
    * 根据年龄计算出生日期
+   * 在"今天恰好满age周岁"到"明天满age+1周岁"之间均匀选取，保证周岁年龄与age一致
    * @param {number} age 年龄
    * @returns {string} 格式为YYYYMMDD的出生日期
    * @private
    */
   _getBirthdayFromAge(age) {
     const today = new Date();
-    const birthYear = today.getFullYear() - age;
+    const latest = this._shiftYears(today, -age);
+    const earliest = this._shiftYears(today, -(age + 1)) + this.DAY_MS;
     
-    // 随机生成月份和日期
-    const month = this._pad(Math.floor(Math.random() * 12) + 1, 2);
-    
-    // 根据月份确定天数
-    let maxDay = 31;
-    if (['04', '06', '09', '11'].includes(month)) {
-      maxDay = 30;
-    } else if (month === '02') {
-      // 处理闰年
-      maxDay = this._isLeapYear(birthYear) ? 29 : 28;
-    }
-    
-    const day = this._pad(Math.floor(Math.random() * maxDay) + 1, 2);
-    
-    return `${birthYear}${month}${day}`;
+    return this._getRandomDateBetween(earliest, latest);
+  }
+
+  /**
+   * 将日期平移若干年（2月29日在非闰年取2月28日）
+   * @param {Date} date 日期
+   * @param {number} years 平移的年数，可为负数
+   * @returns {number} UTC零点时间戳
+   * @private
+   */
+  _shiftYears(date, years) {
+    const year = date.getFullYear() + years;
+    const month = date.getMonth() + 1;
+    const day = Math.min(date.getDate(), this._getDaysInMonth(year, month));
+    return Date.UTC(year, month - 1, day);
+  }
+
+  /**
+   * 在两个日期之间（含两端）均匀随机选取一天
+   * @param {number} from 起始日期的UTC零点时间戳
+   * @param {number} to 结束日期的UTC零点时间戳
+   * @returns {string} 格式为YYYYMMDD的日期
+   * @private
+   */
+  _getRandomDateBetween(from, to) {
+    const days = Math.round((to - from) / this.DAY_MS);
+    const date = new Date(from + this.rng.integer(0, days) * this.DAY_MS);
+    return `${date.getUTCFullYear()}${this._pad(date.getUTCMonth() + 1, 2)}${this._pad(date.getUTCDate(), 2)}`;
   }
 
   /**
@@ -991,29 +3270,14 @@ class ChineseIdGenerator {
 
   /**
    * 生成随机出生日期
+   * @param {number} minYear 最小年份，默认1950
+   * @param {number} maxYear 最大年份，默认2005
    * @returns {string} 格式为YYYYMMDD的出生日期
    * @private
    */
-  _getRandomBirthday() {
-    // 生成1950-2005年之间的随机日期
-    const minYear = 1950;
-    const maxYear = 2005;
-    const year = minYear + Math.floor(Math.random() * (maxYear - minYear + 1));
-    
-    // 随机月份
-    const month = this._pad(Math.floor(Math.random() * 12) + 1, 2);
-    
-    // 根据月份确定天数
-    let maxDay = 31;
-    if (['04', '06', '09', '11'].includes(month)) {
-      maxDay = 30;
-    } else if (month === '02') {
-      maxDay = this._isLeapYear(year) ? 29 : 28;
-    }
-    
-    const day = this._pad(Math.floor(Math.random() * maxDay) + 1, 2);
-    
-    return `${year}${month}${day}`;
+  _getRandomBirthday(minYear = 1950, maxYear = 2005) {
+    // 在minYear-maxYear年之间的所有日历日中均匀选取
+    return this._getRandomDateBetween(Date.UTC(minYear, 0, 1), Date.UTC(maxYear, 11, 31));
   }
 
   /**
@@ -1049,27 +3313,64 @@ class ChineseIdGenerator {
    * @private
    */
   _generateAddressByAreaCode(areaCode) {
+    return this._generateAddressObject(areaCode).full;
+  }
+
+  /**
+   * 根据地区编码生成结构化地址
+   * @param {string} areaCode 地区编码
+   * @returns {Object} { province, city, district, town, townCode, detail, postcode, full }，full为完整的地址字符串
+   * @private
+   */
+  _generateAddressObject(areaCode) {
     this._ensureInitialized();
     
-    // 获取地区名称
-    const areaName = this._getAreaNameByCode(areaCode);
-    
     // 如果没有找到地区名称，使用随机地址
-    if (!areaName) {
-      return Mock.mock('@province@city@county@cword(2,5)路@natural(1, 1000)号');
+    if (!this._getAreaNameByCode(areaCode)) {
+      return {
+        province: null,
+        city: null,
+        district: null,
+        town: null,
+        townCode: null,
+        detail: null,
+        postcode: null,
+        full: this.rng.mock(() => Mock.mock('@province@city@county@cword(2,5)路@natural(1, 1000)号'))
+      };
     }
     
-    // 提取省级编码（前2位）
-    const provinceCode = areaCode.substring(0, 2);
-    
     // 获取完整的地址层级
-    const addressParts = this._getAddressHierarchy(areaCode);
+    const components = this._getAddressComponents(areaCode);
     
-    // 生成更详细的地址信息
-    const addressDetail = this._generateDetailedAddress();
+    // 生成更详细的地址信息（使用地区词典），乡、镇使用农村地址
+    const detail = this._isRuralTown(components.town)
+      ? this._generateRuralAddressParts(areaCode)
+      : this._generateDetailedAddressParts(areaCode);
     
-    // 组合地址（去掉中间的空格）
-    return `${addressParts.join('')}${addressDetail}`;
+    return {
+      ...components,
+      detail,
+      postcode: this.getPostcode(areaCode),
+      full: `${this._joinAddressComponents(components)}${detail.text}`
+    };
+  }
+
+  /**
+   * 获取地区的邮政编码
+   * 优先使用区县邮编，区县没有单独的邮编时使用所在城市的邮编
+   * 区县邮编只收录了少数主要城市的区县，多数区县返回的是所在城市的邮编，见data/postcode.js
+   * @param {string} areaCode 地区编码，区县级或市级
+   * @returns {string|null} 6位邮编，未找到时返回null
+   */
+  getPostcode(areaCode) {
+    if (typeof areaCode !== 'string' || !/^\d{6}$/.test(areaCode)) {
+      return null;
+    }
+    return DISTRICT_POSTCODES[areaCode]
+      || CITY_POSTCODES[areaCode]
+      || CITY_POSTCODES[areaCode.substring(0, 4)]
+      || CITY_POSTCODES[areaCode.substring(0, 2)]
+      || null;
   }
 
   /**
@@ -1078,8 +3379,107 @@ class ChineseIdGenerator {
    * @private
    */
   _generateDetailedAddress() {
+    return this._generateDetailedAddressParts().text;
+  }
+
+  /**
+   * 生成详细地址的组成部分
+   * @param {string} areaCode 地区编码，用于选择地区词典；不传时使用通用词典
+   * @returns {Object} 小区为{ type: 'community', community, building, unit, room, text }，
+   *   街道为{ type: 'street', street, number, text }，商业建筑为{ type: 'building', building, floor, room, text }
+   * @private
+   */
+  _generateDetailedAddressParts(areaCode = null) {
     const { communityRatio, streetRatio, buildingRatio } = this.options.addressOptions;
-    return addressUtils.generateDetailedAddress(communityRatio, streetRatio, buildingRatio);
+    const dictionary = areaCode ? this._getAddressDictionary(areaCode) : {};
+    return addressUtils.generateDetailedAddressParts(communityRatio, streetRatio, buildingRatio, this.rng, dictionary);
+  }
+
+  /**
+   * 生成农村详细地址的组成部分
+   * @param {string} areaCode 地区编码，用于选择地区词典
+   * @returns {Object} 村组门牌为{ type: 'village', village, group, number, text }，
+   *   村委会为{ type: 'villageCommittee', village, text }，集镇街道为{ type: 'street', street, number, text }
+   * @private
+   */
+  _generateRuralAddressParts(areaCode) {
+    const { villageRatio, committeeRatio, streetRatio } = this.options.addressOptions.rural;
+    return addressUtils.generateRuralAddressParts(villageRatio, committeeRatio, streetRatio, this.rng, this._getAddressDictionary(areaCode));
+  }
+
+  /**
+   * 判断乡镇街道是否为农村（乡、镇、苏木）
+   * @param {string} town 乡镇街道名称
+   * @returns {boolean} 是否为农村
+   * @private
+   */
+  _isRuralTown(town) {
+    return !!town && /([乡镇]|苏木)$/.test(town);
+  }
+
+  /**
+   * 获取地区的地址词典
+   * 依次合并省级、市级、区县级的内置词典和自定义词典，越具体的词典优先，同级时自定义词典优先
+   * @param {string} areaCode 6位地区编码
+   * @returns {Object} 合并后的地址词典
+   * @private
+   */
+  _getAddressDictionary(areaCode) {
+    const cached = this._cache.addressDictionaries.get(areaCode);
+    if (cached) {
+      return cached;
+    }
+    
+    const dictionary = {};
+    [areaCode.substring(0, 2), areaCode.substring(0, 4), areaCode].forEach(key => {
+      Object.assign(dictionary, REGION_DICTIONARIES[key], this._addressDictionaries[key]);
+    });
+    
+    if (this.options.enableCache) {
+      this._cache.addressDictionaries.set(areaCode, dictionary);
+    }
+    return dictionary;
+  }
+
+  /**
+   * 校验并规范化自定义地区词典
+   * 键"310000"、"440300"规范为"31"、"4403"
+   * @param {Object} dictionaries 自定义地区词典
+   * @returns {Object} 以地区编码前缀为键的词典
+   * @private
+   */
+  _normalizeAddressDictionaries(dictionaries) {
+    if (!dictionaries) {
+      return {};
+    }
+    if (typeof dictionaries !== 'object' || Array.isArray(dictionaries)) {
+      throw new Error('addressOptions.dictionaries必须是以地区编码为键的对象');
+    }
+    
+    const listFields = ['roads', 'hutongs', 'communities', 'communitySuffixes', 'buildings', 'villages', 'villageSuffixes'];
+    const normalized = {};
+    Object.keys(dictionaries).forEach(key => {
+      if (!/^(\d{2}|\d{4}|\d{6})$/.test(key)) {
+        throw new Error(`地区词典的键必须是2、4或6位地区编码: ${key}`);
+      }
+      
+      const dictionary = dictionaries[key];
+      if (!dictionary || typeof dictionary !== 'object') {
+        throw new Error(`地区词典${key}必须是对象`);
+      }
+      listFields.forEach(field => {
+        const list = dictionary[field];
+        if (list !== undefined && (!Array.isArray(list) || list.length === 0 || list.some(item => typeof item !== 'string' || !item))) {
+          throw new Error(`地区词典${key}的${field}必须是非空字符串数组`);
+        }
+      });
+      if (dictionary.streetStyle !== undefined && !['hutong', 'lane', 'road'].includes(dictionary.streetStyle)) {
+        throw new Error(`地区词典${key}的streetStyle不支持: ${dictionary.streetStyle}，可选值：hutong, lane, road`);
+      }
+      
+      normalized[key.length === 6 ? key.replace(/(00)+$/, '') : key] = dictionary;
+    });
+    return normalized;
   }
 
   /**
@@ -1089,73 +3489,75 @@ class ChineseIdGenerator {
    * @private
    */
   _getAddressHierarchy(areaCode) {
+    const { province, city, district, town } = this._getAddressComponents(areaCode);
+    return [province, city !== province ? city : null, district, town].filter(Boolean);
+  }
+
+  /**
+   * 拼接地址层级，直辖市的城市名与省级名称相同，只保留一次
+   * @param {Object} components 地址层级，见_getAddressComponents
+   * @returns {string} 拼接后的地址
+   * @private
+   */
+  _joinAddressComponents({ province, city, district, town }) {
+    return [province, city !== province ? city : null, district, town].filter(Boolean).join('');
+  }
+
+  /**
+   * 获取地址的各级名称
+   * @param {string} areaCode 地区编码
+   * @param {boolean} pickTown 是否随机选择一个乡镇街道，默认为true
+   * @returns {Object} { province, city, district, town, townCode }，直辖市的city与province相同，
+   *   省直辖县级行政区的city为null，townCode为9位乡镇级编码
+   * @private
+   */
+  _getAddressComponents(areaCode, pickTown = true) {
     // 提取各级编码
     const provinceCode = areaCode.substring(0, 2);
     const cityCode = areaCode.substring(0, 4);
     const districtCode = areaCode.substring(0, 6);
     
-    const result = [];
-    
     // 判断是否为直辖市
     const isDirectCity = this.DIRECT_CITIES.includes(provinceCode);
     
-    // 获取省级名称
-    const provinceFullCode = provinceCode + '0000';
-    const provinceName = this._getAreaNameByCode(provinceFullCode);
-    
-    // 获取市级名称
-    const cityFullCode = cityCode + '00';
-    const cityName = this._getAreaNameByCode(cityFullCode);
-    
-    // 获取区县名称
+    // 获取各级名称
+    const provinceName = this._getAreaNameByCode(provinceCode + '0000');
+    const cityName = this._getAreaNameByCode(cityCode + '00');
     const districtName = this._getAreaNameByCode(districtCode);
     
-    // 添加省级名称
-    if (provinceName) {
-      result.push(provinceName);
+    // 直辖市没有市级数据，使用省级名称；省直辖县级行政区（如"海南省-自治区直辖县级行政区划"）没有所属城市
+    let city = null;
+    if (isDirectCity) {
+      city = provinceName;
+    } else if (cityName && !cityName.includes('直辖县级')) {
+      city = cityName;
     }
     
-    // 非直辖市才添加市级名称
-    if (!isDirectCity && cityName) {
-      // 避免重复添加市级名称（如果省级名称已包含）
-      const simpleCityName = cityName.replace(provinceName || '', '');
-      if (simpleCityName) {
-        result.push(simpleCityName);
-      }
+    // 避免重复的区县名称，市辖区及与城市同级的编码（如东莞市）不作为区县
+    let district = districtName;
+    if (district && provinceName) {
+      district = district.replace(provinceName, '');
     }
-    
-    // 添加区县名称
-    if (districtName) {
-      // 避免重复添加区县名称
-      let simpleDistrictName = districtName;
-      
-      if (provinceName) {
-        simpleDistrictName = simpleDistrictName.replace(provinceName, '');
-      }
-      
-      if (cityName) {
-        const simpleCityName = cityName.replace(provinceName || '', '');
-        if (simpleCityName) {
-          simpleDistrictName = simpleDistrictName.replace(simpleCityName, '');
-        }
-      }
-      
-      if (simpleDistrictName && simpleDistrictName !== '市辖区') {
-        result.push(simpleDistrictName);
-      }
+    if (district && city && !isDirectCity) {
+      district = district.replace(city, '');
+    }
+    if (!district || district === '市辖区') {
+      district = null;
     }
     
-    // 添加乡镇街道级别
-    const towns = this._getTownsByAreaCode(districtCode);
-    if (towns && towns.length > 0) {
-      // 随机选择一个乡镇街道
-      const randomTown = towns[Math.floor(Math.random() * towns.length)];
+    // 随机选择一个乡镇街道
+    let town = null;
+    let townCode = null;
+    const towns = pickTown ? this._getTownsByAreaCode(districtCode) : [];
+    if (towns.length > 0) {
+      const randomTown = this.rng.pick(towns);
       if (randomTown && randomTown.name) {
-        result.push(randomTown.name);
+        town = randomTown.name;
+        townCode = `${randomTown.code}${randomTown.town.substring(0, 3)}`;
       }
     }
     
-    return result;
+    return { province: provinceName, city, district, town, townCode };
   }
 
   /**
@@ -1164,7 +3566,7 @@ class ChineseIdGenerator {
    * @private
    */
   _generateCommunityName() {
-    return addressUtils.generateCommunityName();
+    return addressUtils.generateCommunityName(this.rng);
   }
 
   /**
@@ -1173,27 +3575,28 @@ class ChineseIdGenerator {
    * @private
    */
   _generateBuildingName() {
-    return addressUtils.generateBuildingName();
+    return addressUtils.generateBuildingName(this.rng);
   }
 
   /**
    * 生成邮箱地址
    * @param {string} name 姓名
+   * @param {string} surname 姓氏，用于按姓氏读音生成拼音
    * @returns {string} 邮箱地址
    * @private
    */
-  _generateEmail(name) {
+  _generateEmail(name, surname = '') {
     // 使用拼音工具将姓名转换为拼音
-    const prefix = pinyinUtils.nameToEmailPrefix(name);
+    const prefix = pinyinUtils.nameToEmailPrefix(name, surname);
     
     // 如果转换失败，使用随机字符串
-    const emailPrefix = prefix || Mock.Random.word(3, 10);
+    const emailPrefix = prefix || this.rng.mock(() => Mock.Random.word(3, 10));
     
     // 随机选择一个邮箱域名
-    const domain = this.EMAIL_DOMAINS[Math.floor(Math.random() * this.EMAIL_DOMAINS.length)];
+    const domain = this.rng.pick(this.EMAIL_DOMAINS);
     
     // 组合成邮箱地址
-    return `${emailPrefix}${Math.floor(Math.random() * 1000)}@${domain}`;
+    return `${emailPrefix}${this.rng.integer(0, 999)}@${domain}`;
   }
 }
 
@@ -7,6 +7,9 @@
  */
 
 const ChineseIdGenerator = require('./idGenerator');
+const { toCSV, toJSONL, toSQL } = require('./utils/writers');
+const { createServer } = require('./server');
+const { PluginError, AreaResolutionError } = require('./errors');
 
 // 导出主类
 module.exports = ChineseIdGenerator;
@@ -14,4 +17,14 @@ module.exports = ChineseIdGenerator;
 // 兼容CommonJS和ES模块
 if (typeof module !== 'undefined' && module.exports) {
   module.exports.default = ChineseIdGenerator;
-} 
\ No newline at end of file
+}
+
+// 导出工具
+module.exports.toCSV = toCSV;
+module.exports.toJSONL = toJSONL;
+module.exports.toSQL = toSQL;
+module.exports.createServer = createServer;
+
+// 导出错误类型
+module.exports.PluginError = PluginError;
+module.exports.AreaResolutionError = AreaResolutionError; 
\ No newline at end of file
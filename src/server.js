@@ -0,0 +1,221 @@
+/**
+ * HTTP模拟服务
+ * 仅使用Node内置http模块，通过HTTP接口提供身份证号和个人信息等测试数据
+ */
+
+const http = require('http');
+const { URL } = require('url');
+const ChineseIdGenerator = require('./idGenerator');
+const { AreaResolutionError } = require('./errors');
+
+// 单次批量请求的最大数量
+const MAX_BATCH_COUNT = 10000;
+
+/**
+ * 请求参数错误，响应状态码为400
+ */
+class BadRequestError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'BadRequestError';
+    this.statusCode = 400;
+  }
+}
+
+/**
+ * 发送JSON响应
+ * @param {http.ServerResponse} res 响应对象
+ * @param {number} statusCode 状态码
+ * @param {*} body 响应内容
+ */
+function sendJSON(res, statusCode, body) {
+  const payload = JSON.stringify(body);
+  res.writeHead(statusCode, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(payload),
+    'Access-Control-Allow-Origin': '*'
+  });
+  res.end(payload);
+}
+
+/**
+ * 解析整数查询参数
+ * @param {URLSearchParams} query 查询参数
+ * @param {string} name 参数名
+ * @param {number} min 最小值
+ * @param {number} max 最大值
+ * @returns {number|undefined} 整数
+ */
+function parseIntegerParam(query, name, min, max) {
+  if (!query.has(name)) {
+    return undefined;
+  }
+  const value = query.get(name);
+  if (!/^\d+$/.test(value) || parseInt(value, 10) < min || parseInt(value, 10) > max) {
+    throw new BadRequestError(`参数${name}必须是${min}-${max}之间的整数`);
+  }
+  return parseInt(value, 10);
+}
+
+/**
+ * 将查询参数转换为生成选项
+ * 省级、市级地区保持原样，由withDistrict或批量生成为每条记录选择区县
+ * @param {ChineseIdGenerator} generator 生成器
+ * @param {URLSearchParams} query 查询参数
+ * @returns {Object} 生成选项
+ */
+function parseOptions(generator, query) {
+  const options = {};
+
+  if (query.has('area')) {
+    const areaCode = generator.resolveAreaCode(query.get('area'), { pickDistrict: false });
+    if (!areaCode) {
+      throw new BadRequestError(`未找到地区"${query.get('area')}"`);
+    }
+    options.areaCode = areaCode;
+  }
+
+  const age = parseIntegerParam(query, 'age', 0, 120);
+  if (age !== undefined) {
+    options.age = age;
+  }
+
+  const minAge = parseIntegerParam(query, 'minAge', 0, 120);
+  if (minAge !== undefined) {
+    options.minAge = minAge;
+  }
+
+  const maxAge = parseIntegerParam(query, 'maxAge', 0, 120);
+  if (maxAge !== undefined) {
+    options.maxAge = maxAge;
+  }
+
+  ['birthDateFrom', 'birthDateTo', 'ageGroup'].forEach(name => {
+    if (query.has(name)) {
+      options[name] = query.get(name);
+    }
+  });
+
+  if (query.has('birthday')) {
+    if (!/^\d{8}$/.test(query.get('birthday'))) {
+      throw new BadRequestError('参数birthday必须是8位数字，格式为YYYYMMDD');
+    }
+    options.birthday = query.get('birthday');
+  }
+
+  if (query.has('gender')) {
+    const gender = String(query.get('gender')).toLowerCase();
+    if (['male', 'm', '男', '1'].includes(gender)) {
+      options.gender = 1;
+    } else if (['female', 'f', '女', '0'].includes(gender)) {
+      options.gender = 0;
+    } else {
+      throw new BadRequestError('参数gender必须是male、female、男、女、1或0');
+    }
+  }
+
+  // 提前校验选项，无效日期或参数冲突时返回400而不是500
+  try {
+    generator.validateIdCardOptions(options);
+  } catch (error) {
+    throw new BadRequestError(error.message);
+  }
+
+  return options;
+}
+
+/**
+ * 为生成选项中的省级、市级地区编码随机选择区县
+ * @param {ChineseIdGenerator} generator 生成器
+ * @param {Object} options 生成选项
+ * @returns {Object} 生成选项
+ */
+function withDistrict(generator, options) {
+  return options.areaCode ? { ...options, areaCode: generator.resolveAreaCode(options.areaCode) } : options;
+}
+
+/**
+ * 创建HTTP模拟服务（未启动监听）
+ *
+ * 接口：
+ * - GET /id                   生成身份证号，支持area、age、minAge、maxAge、birthday、birthDateFrom、birthDateTo、ageGroup、gender
+ * - GET /person               生成个人信息，参数同/id
+ * - GET /batch?count=         批量生成个人信息，参数同/id，另支持unique
+ * - GET /validate/:id         解析并校验身份证号
+ * - GET /areas?q=             搜索地区，支持limit、level
+ *
+ * @param {Object} options 选项
+ * @param {ChineseIdGenerator} options.generator 使用的生成器实例，默认新建
+ * @param {number|string} options.seed 随机种子（未提供generator时生效）
+ * @returns {http.Server} HTTP服务
+ */
+function createServer(options = {}) {
+  const generator = options.generator || new ChineseIdGenerator(options.seed !== undefined ? { seed: options.seed } : {});
+
+  const routes = {
+    '/id': query => ({ idCard: generator.generateIdCard(withDistrict(generator, parseOptions(generator, query))) }),
+
+    '/person': query => generator.generatePersonInfo(withDistrict(generator, parseOptions(generator, query))),
+
+    '/batch': query => {
+      const count = parseIntegerParam(query, 'count', 1, MAX_BATCH_COUNT) || 10;
+      const batchOptions = parseOptions(generator, query);
+      if (query.get('unique') === 'true' || query.get('unique') === '1') {
+        batchOptions.unique = true;
+      }
+      try {
+        return generator.generateBatch(count, batchOptions);
+      } catch (error) {
+        // 唯一模式下组合数不足属于请求参数问题
+        throw batchOptions.unique ? new BadRequestError(error.message) : error;
+      }
+    },
+
+    '/areas': query => {
+      if (!query.get('q')) {
+        throw new BadRequestError('缺少参数q');
+      }
+      const limit = parseIntegerParam(query, 'limit', 1, 1000);
+      const level = query.get('level') ? query.get('level').split(',') : undefined;
+      if (level && level.some(item => !generator.AREA_LEVELS.includes(item))) {
+        throw new BadRequestError(`参数level无效，可选值：${generator.AREA_LEVELS.join(', ')}`);
+      }
+      return generator.searchAreas(query.get('q'), { limit, level });
+    }
+  };
+
+  return http.createServer((req, res) => {
+    if (req.method !== 'GET') {
+      sendJSON(res, 405, { error: `不支持的请求方法: ${req.method}` });
+      return;
+    }
+
+    const url = new URL(req.url, 'http://localhost');
+
+    try {
+      const validateMatch = /^\/validate\/([^/]+)$/.exec(url.pathname);
+      if (validateMatch) {
+        sendJSON(res, 200, generator.parseIdCard(decodeURIComponent(validateMatch[1])));
+        return;
+      }
+
+      const route = routes[url.pathname];
+      if (!route) {
+        sendJSON(res, 404, { error: `未找到接口: ${url.pathname}` });
+        return;
+      }
+
+      sendJSON(res, 200, route(url.searchParams));
+    } catch (error) {
+      // 地区名称有歧义（onAmbiguous为throw）也属于请求参数问题
+      const isBadRequest = error instanceof BadRequestError || error instanceof AreaResolutionError || error instanceof URIError;
+      const statusCode = isBadRequest ? 400 : 500;
+      sendJSON(res, statusCode, { error: error.message });
+    }
+  });
+}
+
+module.exports = {
+  createServer,
+  MAX_BATCH_COUNT
+};
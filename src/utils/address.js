@@ -1,75 +1,217 @@
 /**
  * 地址生成工具
- * 提供中国地址生成相关的功能
+ * 提供中国地址生成相关的功能，支持按地区词典生成胡同、弄堂等地方风格的地址及农村地址
  */
 
-const Mock = require('mockjs');
+const { defaultRandom } = require('./random');
+const {
+  ROAD_ROOTS,
+  ROAD_SUFFIXES,
+  ROAD_DIRECTIONS,
+  ROAD_NUMERALS,
+  VILLAGE_SURNAMES,
+  VILLAGE_PREFIXES,
+  VILLAGE_FEATURES,
+  VILLAGE_AUSPICIOUS,
+  VILLAGE_SUFFIXES
+} = require('../data/addresses');
+
+// 道路后缀的累积权重
+const ROAD_SUFFIX_WEIGHTS = ROAD_SUFFIXES.reduce((cumulative, { weight }) => {
+  cumulative.push((cumulative.length ? cumulative[cumulative.length - 1] : 0) + weight);
+  return cumulative;
+}, []);
+
+// 地区词典中有对应词条时，使用词典词条的概率
+const DICTIONARY_RATIO = 0.7;
+
+/**
+ * 按概率从地区词典中选择词条
+ * @param {Array<string>} entries 词典词条
+ * @param {Object} rng 随机数生成器
+ * @returns {string|null} 选中的词条，词典为空或未命中时返回null
+ */
+function pickFromDictionary(entries, rng) {
+  if (!entries || entries.length === 0 || rng.random() >= DICTIONARY_RATIO) {
+    return null;
+  }
+  return rng.pick(entries);
+}
 
 /**
  * 小区名称生成器
+ * @param {Object} rng 随机数生成器，默认使用Math.random
+ * @param {Object} dictionary 地区词典，见data/addresses.js的REGION_DICTIONARIES
  * @returns {string} 生成的小区名称
  */
-function generateCommunityName() {
+function generateCommunityName(rng = defaultRandom, dictionary = {}) {
+  const known = pickFromDictionary(dictionary.communities, rng);
+  if (known) {
+    return known;
+  }
+  
   const prefixes = ['龙湖', '万科', '恒大', '碧桂园', '保利', '绿地', '华润', '中海', '金地', '招商', 
                    '融创', '世茂', '富力', '雅居乐', '远洋', '旭辉', '金茂', '华夏', '阳光', '和谐'];
-  const suffixes = ['花园', '小区', '家园', '公馆', '华府', '名苑', '御景', '豪庭', '新城', '康城', 
+  const suffixes = dictionary.communitySuffixes || ['花园', '小区', '家园', '公馆', '华府', '名苑', '御景', '豪庭', '新城', '康城', 
                    '雅苑', '佳园', '丽都', '天地', '世家', '水岸', '翠园', '尚城', '名都', '御府'];
   
-  const prefix = prefixes[Math.floor(Math.random() * prefixes.length)];
-  const suffix = suffixes[Math.floor(Math.random() * suffixes.length)];
+  const prefix = prefixes[rng.integer(0, prefixes.length - 1)];
+  const suffix = suffixes[rng.integer(0, suffixes.length - 1)];
   
   return `${prefix}${suffix}`;
 }
 
 /**
  * 商业建筑名称生成器
+ * @param {Object} rng 随机数生成器，默认使用Math.random
+ * @param {Object} dictionary 地区词典
  * @returns {string} 生成的商业建筑名称
  */
-function generateBuildingName() {
+function generateBuildingName(rng = defaultRandom, dictionary = {}) {
+  const known = pickFromDictionary(dictionary.buildings, rng);
+  if (known) {
+    return known;
+  }
+  
   const prefixes = ['国际', '环球', '中央', '东方', '西部', '南方', '北方', '万达', '嘉禾', '金融', 
                    '商贸', '科技', '数字', '创新', '未来', '时代', '世纪', '和平', '兴盛', '繁华'];
   const suffixes = ['广场', '中心', '大厦', '商城', '大楼', '大厦', '商务楼', '写字楼', '大厦', '中心'];
   
-  const prefix = prefixes[Math.floor(Math.random() * prefixes.length)];
-  const suffix = suffixes[Math.floor(Math.random() * suffixes.length)];
+  const prefix = prefixes[rng.integer(0, prefixes.length - 1)];
+  const suffix = suffixes[rng.integer(0, suffixes.length - 1)];
   
   return `${prefix}${suffix}`;
 }
 
+/**
+ * 道路名称生成器
+ * 优先使用地区词典中的道路，否则按模板生成：普通道路（人民路、建设大道、解放街、文化巷）、
+ * 方位道路（中山东路）或编号道路（经三路、纬五路）
+ * @param {Object} rng 随机数生成器，默认使用Math.random
+ * @param {Object} dictionary 地区词典
+ * @returns {string} 道路名称
+ */
+function generateRoadName(rng = defaultRandom, dictionary = {}) {
+  const known = pickFromDictionary(dictionary.roads, rng);
+  if (known) {
+    return known;
+  }
+  
+  const random = rng.random();
+  if (random < 0.6) {
+    return `${rng.pick(ROAD_ROOTS)}${ROAD_SUFFIXES[rng.weightedIndex(ROAD_SUFFIX_WEIGHTS)].suffix}`;
+  } else if (random < 0.85) {
+    return `${rng.pick(ROAD_ROOTS)}${rng.pick(ROAD_DIRECTIONS)}${rng.pick(['路', '街'])}`;
+  }
+  return `${rng.pick(['经', '纬'])}${rng.pick(ROAD_NUMERALS)}路`;
+}
+
+/**
+ * 生成住宅小区详细地址的组成部分
+ * @param {Object} rng 随机数生成器，默认使用Math.random
+ * @param {Object} dictionary 地区词典
+ * @returns {Object} { type: 'community', community, building, unit, room, text }
+ */
+function generateResidentialParts(rng = defaultRandom, dictionary = {}) {
+  const community = generateCommunityName(rng, dictionary);
+  const building = `${rng.integer(1, 30)}号楼`;
+  const unit = `${rng.integer(1, 6)}单元`;
+  const room = `${rng.integer(1, 2) + rng.integer(0, 29) * 100}室`;
+  
+  return { type: 'community', community, building, unit, room, text: `${community}${building}${unit}${room}` };
+}
+
 /**
  * 生成住宅小区详细地址
+ * @param {Object} rng 随机数生成器，默认使用Math.random
+ * @param {Object} dictionary 地区词典
  * @returns {string} 小区详细地址
  */
-function generateResidentialAddress() {
-  const communityName = generateCommunityName();
-  const buildingNo = Math.floor(Math.random() * 30) + 1;
-  const unitNo = Math.floor(Math.random() * 6) + 1;
-  const roomNo = Math.floor(Math.random() * 2) + 1 + Math.floor(Math.random() * 30) * 100;
+function generateResidentialAddress(rng = defaultRandom, dictionary = {}) {
+  return generateResidentialParts(rng, dictionary).text;
+}
+
+/**
+ * 生成街道地址的组成部分
+ * 词典streetStyle为hutong时部分地址为胡同（如史家胡同23号），为lane时为弄堂（如衡山路811弄3支弄12号502室）
+ * @param {Object} rng 随机数生成器，默认使用Math.random
+ * @param {Object} dictionary 地区词典
+ * @returns {Object} { type: 'street', street, number, text }，弄堂地址另含lane、subLane（可能为null）和room
+ */
+function generateStreetParts(rng = defaultRandom, dictionary = {}) {
+  if (dictionary.streetStyle === 'hutong' && dictionary.hutongs && rng.random() < 0.4) {
+    const street = rng.pick(dictionary.hutongs);
+    const number = `${rng.integer(1, 120)}号`;
+    return { type: 'street', street, number, text: `${street}${number}` };
+  }
+  
+  const street = generateRoadName(rng, dictionary);
+  
+  if (dictionary.streetStyle === 'lane') {
+    const lane = `${rng.integer(1, 1500)}弄`;
+    const subLane = rng.random() < 0.3 ? `${rng.integer(1, 12)}支弄` : null;
+    const number = `${rng.integer(1, 60)}号`;
+    const room = `${rng.integer(1, 6)}0${rng.integer(1, 4)}室`;
+    return { type: 'street', street, lane, subLane, number, room, text: `${street}${lane}${subLane || ''}${number}${room}` };
+  }
   
-  return `${communityName}${buildingNo}号楼${unitNo}单元${roomNo}室`;
+  const number = `${rng.integer(1, 1000)}号`;
+  return { type: 'street', street, number, text: `${street}${number}` };
 }
 
 /**
  * 生成街道地址
+ * @param {Object} rng 随机数生成器，默认使用Math.random
+ * @param {Object} dictionary 地区词典
  * @returns {string} 街道地址
  */
-function generateStreetAddress() {
-  const street = Mock.Random.cword(2, 4) + '路';
-  const number = Mock.Random.natural(1, 1000);
+function generateStreetAddress(rng = defaultRandom, dictionary = {}) {
+  return generateStreetParts(rng, dictionary).text;
+}
+
+/**
+ * 生成商业建筑地址的组成部分
+ * @param {Object} rng 随机数生成器，默认使用Math.random
+ * @param {Object} dictionary 地区词典
+ * @returns {Object} { type: 'building', building, floor, room, text }
+ */
+function generateCommercialParts(rng = defaultRandom, dictionary = {}) {
+  const building = generateBuildingName(rng, dictionary);
+  const floor = `${rng.integer(1, 20)}层`;
+  const room = `${rng.integer(1, 10)}号`;
   
-  return `${street}${number}号`;
+  return { type: 'building', building, floor, room, text: `${building}${floor}${room}` };
 }
 
 /**
  * 生成商业建筑地址
+ * @param {Object} rng 随机数生成器，默认使用Math.random
+ * @param {Object} dictionary 地区词典
  * @returns {string} 商业建筑地址
  */
-function generateCommercialAddress() {
-  const buildingName = generateBuildingName();
-  const floorNo = Math.floor(Math.random() * 20) + 1;
-  const roomNo = Math.floor(Math.random() * 10) + 1;
+function generateCommercialAddress(rng = defaultRandom, dictionary = {}) {
+  return generateCommercialParts(rng, dictionary).text;
+}
+
+/**
+ * 根据比例生成详细地址的组成部分
+ * @param {number} communityRatio 小区住宅比例，默认0.6
+ * @param {number} streetRatio 普通街道比例，默认0.3
+ * @param {number} buildingRatio 商业建筑比例，默认0.1
+ * @param {Object} rng 随机数生成器，默认使用Math.random
+ * @param {Object} dictionary 地区词典
+ * @returns {Object} 详细地址的组成部分，type为community、street或building，text为完整的详细地址
+ */
+function generateDetailedAddressParts(communityRatio = 0.6, streetRatio = 0.3, buildingRatio = 0.1, rng = defaultRandom, dictionary = {}) {
+  const random = rng.random();
   
-  return `${buildingName}${floorNo}层${roomNo}号`;
+  if (random < communityRatio) {
+    return generateResidentialParts(rng, dictionary);
+  } else if (random < communityRatio + streetRatio) {
+    return generateStreetParts(rng, dictionary);
+  } else {
+    return generateCommercialParts(rng, dictionary);
+  }
 }
 
 /**
@@ -77,25 +219,102 @@ function generateCommercialAddress() {
  * @param {number} communityRatio 小区住宅比例，默认0.6
  * @param {number} streetRatio 普通街道比例，默认0.3
  * @param {number} buildingRatio 商业建筑比例，默认0.1
+ * @param {Object} rng 随机数生成器，默认使用Math.random
+ * @param {Object} dictionary 地区词典
  * @returns {string} 详细地址
  */
-function generateDetailedAddress(communityRatio = 0.6, streetRatio = 0.3, buildingRatio = 0.1) {
-  const random = Math.random();
+function generateDetailedAddress(communityRatio = 0.6, streetRatio = 0.3, buildingRatio = 0.1, rng = defaultRandom, dictionary = {}) {
+  return generateDetailedAddressParts(communityRatio, streetRatio, buildingRatio, rng, dictionary).text;
+}
+
+/**
+ * 村名生成器
+ * 优先使用地区词典中的村名，否则按常见村名构成生成，如王家庄村、张营村、北沟村、红星村
+ * @param {Object} rng 随机数生成器，默认使用Math.random
+ * @param {Object} dictionary 地区词典，villageSuffixes为地方特色的村名后缀
+ * @returns {string} 以"村"结尾的村名
+ */
+function generateVillageName(rng = defaultRandom, dictionary = {}) {
+  let name = pickFromDictionary(dictionary.villages, rng);
   
-  if (random < communityRatio) {
-    return generateResidentialAddress();
-  } else if (random < communityRatio + streetRatio) {
-    return generateStreetAddress();
+  if (!name) {
+    const suffixes = dictionary.villageSuffixes || VILLAGE_SUFFIXES;
+    const random = rng.random();
+    if (random < 0.45) {
+      name = `${rng.pick(VILLAGE_SURNAMES)}家${rng.pick(suffixes)}`;
+    } else if (random < 0.65) {
+      name = `${rng.pick(VILLAGE_SURNAMES)}${rng.pick(suffixes)}`;
+    } else if (random < 0.9) {
+      name = `${rng.pick(VILLAGE_PREFIXES)}${rng.pick(VILLAGE_FEATURES)}`;
+    } else {
+      name = rng.pick(VILLAGE_AUSPICIOUS);
+    }
+  }
+  
+  return name.endsWith('村') ? name : `${name}村`;
+}
+
+/**
+ * 生成村组门牌地址的组成部分
+ * @param {Object} rng 随机数生成器，默认使用Math.random
+ * @param {Object} dictionary 地区词典
+ * @returns {Object} { type: 'village', village, group, number, text }，如王家庄村3组12号
+ */
+function generateVillageParts(rng = defaultRandom, dictionary = {}) {
+  const village = generateVillageName(rng, dictionary);
+  const group = `${rng.integer(1, 12)}组`;
+  const number = `${rng.integer(1, 80)}号`;
+  
+  return { type: 'village', village, group, number, text: `${village}${group}${number}` };
+}
+
+/**
+ * 生成村委会地址的组成部分
+ * @param {Object} rng 随机数生成器，默认使用Math.random
+ * @param {Object} dictionary 地区词典
+ * @returns {Object} { type: 'villageCommittee', village, text }，如王家庄村村委会
+ */
+function generateVillageCommitteeParts(rng = defaultRandom, dictionary = {}) {
+  const village = generateVillageName(rng, dictionary);
+  
+  return { type: 'villageCommittee', village, text: `${village}村委会` };
+}
+
+/**
+ * 根据比例生成农村详细地址的组成部分
+ * @param {number} villageRatio 村组门牌比例，默认0.8
+ * @param {number} committeeRatio 村委会比例，默认0.05
+ * @param {number} streetRatio 乡镇集镇街道比例，默认0.15
+ * @param {Object} rng 随机数生成器，默认使用Math.random
+ * @param {Object} dictionary 地区词典，只使用其中的村名词典，集镇街道不使用城市道路词典
+ * @returns {Object} 详细地址的组成部分，type为village、villageCommittee或street
+ */
+function generateRuralAddressParts(villageRatio = 0.8, committeeRatio = 0.05, streetRatio = 0.15, rng = defaultRandom, dictionary = {}) {
+  const random = rng.random() * (villageRatio + committeeRatio + streetRatio);
+  
+  if (random < villageRatio) {
+    return generateVillageParts(rng, dictionary);
+  } else if (random < villageRatio + committeeRatio) {
+    return generateVillageCommitteeParts(rng, dictionary);
   } else {
-    return generateCommercialAddress();
+    return generateStreetParts(rng);
   }
 }
 
 module.exports = {
   generateCommunityName,
   generateBuildingName,
+  generateRoadName,
   generateResidentialAddress,
   generateStreetAddress,
   generateCommercialAddress,
-  generateDetailedAddress
-}; 
\ No newline at end of file
+  generateResidentialParts,
+  generateStreetParts,
+  generateCommercialParts,
+  generateDetailedAddressParts,
+  generateDetailedAddress,
+  generateVillageName,
+  generateVillageParts,
+  generateVillageCommitteeParts,
+  generateRuralAddressParts
+};
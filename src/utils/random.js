@@ -0,0 +1,133 @@
+/**
+ * 随机数工具
+ * 提供可设置种子的伪随机数生成器，保证相同种子下生成结果可复现
+ */
+
+/**
+ * 将种子（数字或字符串）转换为32位无符号整数
+ * @param {number|string} seed 种子
+ * @returns {number} 32位无符号整数
+ */
+function hashSeed(seed) {
+  const str = String(seed);
+  let hash = 1779033703 ^ str.length;
+  for (let i = 0; i < str.length; i++) {
+    hash = Math.imul(hash ^ str.charCodeAt(i), 3432918353);
+    hash = (hash << 13) | (hash >>> 19);
+  }
+  hash = Math.imul(hash ^ (hash >>> 16), 2246822507);
+  hash = Math.imul(hash ^ (hash >>> 13), 3266489909);
+  return (hash ^ (hash >>> 16)) >>> 0;
+}
+
+/**
+ * 创建mulberry32伪随机函数
+ * @param {number} state 32位初始状态
+ * @returns {Function} 返回[0, 1)之间随机数的函数
+ */
+function mulberry32(state) {
+  let a = state >>> 0;
+  return function () {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * 创建随机数生成器
+ * @param {number|string} [seed] 种子，未提供时使用Math.random
+ * @param {Function} [source] 自定义随机源，返回[0, 1)之间的数，优先级高于seed
+ * @returns {Object} 随机数生成器
+ */
+function createRandom(seed, source) {
+  const seeded = typeof source === 'function' || (seed !== undefined && seed !== null);
+  const next = typeof source === 'function'
+    ? source
+    : (seeded ? mulberry32(hashSeed(seed)) : () => Math.random());
+
+  const rng = {
+    seed: seeded && typeof source !== 'function' ? seed : null,
+    seeded,
+
+    /**
+     * 返回[0, 1)之间的随机数
+     * @returns {number} 随机数
+     */
+    random() {
+      return next();
+    },
+
+    /**
+     * 返回[min, max]之间的随机整数
+     * @param {number} min 最小值
+     * @param {number} max 最大值
+     * @returns {number} 随机整数
+     */
+    integer(min, max) {
+      return min + Math.floor(next() * (max - min + 1));
+    },
+
+    /**
+     * 从数组中随机选择一项
+     * @param {Array} list 候选数组
+     * @returns {*} 选中的项
+     */
+    pick(list) {
+      return list[Math.floor(next() * list.length)];
+    },
+
+    /**
+     * 按权重随机选择下标
+     * @param {Array<number>} cumulativeWeights 累积权重数组（单调递增）
+     * @returns {number} 选中的下标
+     */
+    weightedIndex(cumulativeWeights) {
+      const target = next() * cumulativeWeights[cumulativeWeights.length - 1];
+      let low = 0;
+      let high = cumulativeWeights.length - 1;
+      // 二分查找第一个大于target的累积权重
+      while (low < high) {
+        const mid = (low + high) >> 1;
+        if (cumulativeWeights[mid] > target) {
+          high = mid;
+        } else {
+          low = mid + 1;
+        }
+      }
+      return low;
+    },
+
+    /**
+     * 在当前随机源下执行Mock.js调用
+     * Mock.js内部直接使用Math.random，这里临时替换以保证结果可复现
+     * @param {Function} fn 需要执行的函数
+     * @returns {*} 函数返回值
+     */
+    mock(fn) {
+      if (!seeded) {
+        return fn();
+      }
+      const originalRandom = Math.random;
+      Math.random = next;
+      try {
+        return fn();
+      } finally {
+        Math.random = originalRandom;
+      }
+    }
+  };
+
+  return rng;
+}
+
+// 未设置种子时使用的默认随机数生成器
+const defaultRandom = createRandom();
+
+module.exports = {
+  hashSeed,
+  createRandom,
+  defaultRandom
+};
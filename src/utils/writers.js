@@ -0,0 +1,279 @@
+/**
+ * 导出工具
+ * 将生成的人员信息序列化为CSV、JSON Lines或SQL INSERT语句
+ * 输入为数组时返回字符串，输入为流或异步迭代器时返回文本可读流
+ */
+
+const { Readable } = require('stream');
+
+// 人员信息字段的中文列名
+const CHINESE_HEADERS = {
+  name: '姓名',
+  surname: '姓氏',
+  pinyin: '拼音',
+  gender: '性别',
+  age: '年龄',
+  birthDate: '出生日期',
+  idCard: '身份证号',
+  phone: '手机号',
+  carrier: '运营商',
+  phoneLocation: '号码归属地',
+  landline: '固定电话',
+  email: '邮箱',
+  address: '地址',
+  postcode: '邮编',
+  areaName: '地区',
+  areaCode: '地区编码',
+  areaPath: '地区路径'
+};
+
+// UTF-8 BOM，使Excel能正确识别中文
+const UTF8_BOM = '\uFEFF';
+
+/**
+ * 判断输入是否为流或异步迭代器
+ * @param {*} records 输入数据
+ * @returns {boolean} 是否为流式输入
+ */
+function isStreamInput(records) {
+  return !!records && !Array.isArray(records) && typeof records[Symbol.asyncIterator] === 'function';
+}
+
+/**
+ * 使用编码器序列化输入
+ * @param {Array|AsyncIterable} records 人员信息数组或流
+ * @param {Object} encoder 编码器，包含write(record)和end()方法
+ * @returns {string|Readable} 数组输入返回字符串，流式输入返回文本可读流
+ */
+function encode(records, encoder) {
+  if (isStreamInput(records)) {
+    return Readable.from((async function* () {
+      for await (const record of records) {
+        const chunk = encoder.write(record);
+        if (chunk) {
+          yield chunk;
+        }
+      }
+      const tail = encoder.end();
+      if (tail) {
+        yield tail;
+      }
+    })(), { objectMode: false });
+  }
+
+  if (!Array.isArray(records)) {
+    throw new Error('导出数据必须是数组、可读流或异步迭代器');
+  }
+
+  let output = '';
+  for (const record of records) {
+    output += encoder.write(record);
+  }
+  return output + encoder.end();
+}
+
+/**
+ * 将字段值转换为字符串，对象类型序列化为JSON
+ * @param {*} value 字段值
+ * @returns {string} 字符串
+ */
+function stringifyValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+  return String(value);
+}
+
+/**
+ * 创建CSV编码器
+ * @param {Object} options 选项，见toCSV
+ * @returns {Object} 编码器
+ */
+function createCSVEncoder(options = {}) {
+  const delimiter = options.delimiter || ',';
+  const newline = options.newline || '\r\n';
+  let fields = options.fields || null;
+  let started = false;
+
+  const escape = value => {
+    const str = stringifyValue(value);
+    if (str.includes(delimiter) || /["\r\n]/.test(str)) {
+      return `"${str.replace(/"/g, '""')}"`;
+    }
+    return str;
+  };
+
+  const headerLine = () => {
+    if (options.headers === false) {
+      return '';
+    }
+    const labels = options.headers && typeof options.headers === 'object'
+      ? options.headers
+      : (options.chineseHeaders ? CHINESE_HEADERS : {});
+    return fields.map(field => escape(labels[field] || field)).join(delimiter) + newline;
+  };
+
+  return {
+    write(record) {
+      let prefix = '';
+      if (!started) {
+        started = true;
+        fields = fields || Object.keys(record);
+        prefix = (options.bom ? UTF8_BOM : '') + headerLine();
+      }
+      return prefix + fields.map(field => escape(record[field])).join(delimiter) + newline;
+    },
+    end() {
+      // 空输入时仍输出表头（已知字段时）
+      if (!started && fields) {
+        started = true;
+        return (options.bom ? UTF8_BOM : '') + headerLine();
+      }
+      return '';
+    }
+  };
+}
+
+/**
+ * 导出为CSV
+ * @param {Array|AsyncIterable} records 人员信息数组、可读流或异步迭代器
+ * @param {Object} options 选项
+ * @param {Array<string>} options.fields 导出的字段及顺序，默认使用第一条记录的所有字段
+ * @param {Object|boolean} options.headers 字段到列名的映射；为false时不输出表头
+ * @param {boolean} options.chineseHeaders 是否使用内置中文列名，默认false
+ * @param {boolean} options.bom 是否输出UTF-8 BOM，便于Excel正确显示中文，默认false
+ * @param {string} options.delimiter 分隔符，默认逗号
+ * @param {string} options.newline 换行符，默认\r\n
+ * @returns {string|Readable} 数组输入返回字符串，流式输入返回文本可读流
+ */
+function toCSV(records, options = {}) {
+  return encode(records, createCSVEncoder(options));
+}
+
+/**
+ * 导出为JSON Lines（每行一个JSON对象）
+ * @param {Array|AsyncIterable} records 人员信息数组、可读流或异步迭代器
+ * @param {Object} options 选项
+ * @param {Array<string>} options.fields 导出的字段，默认导出全部字段
+ * @returns {string|Readable} 数组输入返回字符串，流式输入返回文本可读流
+ */
+function toJSONL(records, options = {}) {
+  const { fields } = options;
+  return encode(records, {
+    write(record) {
+      const data = fields
+        ? fields.reduce((picked, field) => Object.assign(picked, { [field]: record[field] }), {})
+        : record;
+      return JSON.stringify(data) + '\n';
+    },
+    end() {
+      return '';
+    }
+  });
+}
+
+// MySQL字符串中需要转义的字符
+const MYSQL_ESCAPES = {
+  '\0': '\\0',
+  '\n': '\\n',
+  '\r': '\\r',
+  '\x1a': '\\Z',
+  '\\': '\\\\',
+  '\'': '\'\''
+};
+
+// 各数据库方言的标识符与字符串转义规则
+const SQL_DIALECTS = {
+  mysql: {
+    quoteIdentifier: name => `\`${name.replace(/`/g, '``')}\``,
+    quoteString: str => `'${str.replace(/[\0\n\r\x1a\\']/g, char => MYSQL_ESCAPES[char])}'`
+  },
+  postgresql: {
+    quoteIdentifier: name => `"${name.replace(/"/g, '""')}"`,
+    quoteString: str => `'${str.replace(/\0/g, '').replace(/'/g, '\'\'')}'`
+  }
+};
+SQL_DIALECTS.postgres = SQL_DIALECTS.postgresql;
+
+/**
+ * 创建SQL编码器
+ * @param {Object} options 选项，见toSQL
+ * @returns {Object} 编码器
+ */
+function createSQLEncoder(options = {}) {
+  const dialect = SQL_DIALECTS[options.dialect || 'mysql'];
+  if (!dialect) {
+    throw new Error(`不支持的SQL方言: ${options.dialect}，可选值：mysql, postgresql`);
+  }
+
+  const table = options.table || 'people';
+  const batchSize = options.batchSize || 100;
+  if (!Number.isInteger(batchSize) || batchSize <= 0) {
+    throw new Error('batchSize必须是正整数');
+  }
+
+  const columns = options.columns || {};
+  let fields = options.fields || null;
+  let rows = [];
+
+  const quoteTable = table.split('.').map(dialect.quoteIdentifier).join('.');
+
+  const literal = value => {
+    if (value === null || value === undefined) {
+      return 'NULL';
+    }
+    if (typeof value === 'number' && Number.isFinite(value)) {
+      return String(value);
+    }
+    if (typeof value === 'boolean') {
+      return value ? 'TRUE' : 'FALSE';
+    }
+    return dialect.quoteString(stringifyValue(value));
+  };
+
+  const flush = () => {
+    if (rows.length === 0) {
+      return '';
+    }
+    const columnList = fields.map(field => dialect.quoteIdentifier(columns[field] || field)).join(', ');
+    const statement = `INSERT INTO ${quoteTable} (${columnList}) VALUES\n${rows.join(',\n')};\n`;
+    rows = [];
+    return statement;
+  };
+
+  return {
+    write(record) {
+      fields = fields || Object.keys(record);
+      rows.push(`(${fields.map(field => literal(record[field])).join(', ')})`);
+      return rows.length >= batchSize ? flush() : '';
+    },
+    end() {
+      return flush();
+    }
+  };
+}
+
+/**
+ * 导出为SQL INSERT语句，按batchSize合并为多行INSERT
+ * @param {Array|AsyncIterable} records 人员信息数组、可读流或异步迭代器
+ * @param {Object} options 选项
+ * @param {string} options.table 表名，默认people，支持schema.table
+ * @param {string} options.dialect 数据库方言，mysql（默认）或postgresql
+ * @param {number} options.batchSize 每条INSERT语句包含的行数，默认100
+ * @param {Array<string>} options.fields 导出的字段及顺序，默认使用第一条记录的所有字段
+ * @param {Object} options.columns 字段到列名的映射，如{ idCard: 'id_card' }
+ * @returns {string|Readable} 数组输入返回字符串，流式输入返回文本可读流
+ */
+function toSQL(records, options = {}) {
+  return encode(records, createSQLEncoder(options));
+}
+
+module.exports = {
+  CHINESE_HEADERS,
+  toCSV,
+  toJSONL,
+  toSQL
+};
@@ -0,0 +1,20 @@
+/**
+ * 并行批量生成的工作线程
+ * 由generateBatchParallel启动，按主线程分配的区间生成人员信息
+ */
+
+const { parentPort, workerData } = require('worker_threads');
+const ChineseIdGenerator = require('./idGenerator');
+
+const { generatorOptions, options, seed } = workerData;
+const generator = new ChineseIdGenerator(generatorOptions);
+generator._prepareBatchGeneration(options);
+
+parentPort.on('message', ({ taskIndex, start, count }) => {
+  try {
+    const records = generator._generateBatchInternal(count, options, null, { seed, index: start });
+    parentPort.postMessage({ taskIndex, records });
+  } catch (error) {
+    parentPort.postMessage({ taskIndex, error: error.message });
+  }
+});
@@ -0,0 +1,160 @@
+/**
+ * 命令行工具单元测试
+ *
+ * 使用 Jest 测试框架运行：npx jest
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PassThrough, Writable } = require('stream');
+const { run, parseArgs } = require('../src/cli');
+const IdValidator = require('id-validator');
+
+/**
+ * 运行命令并收集输出
+ * @param {Array<string>} argv 参数
+ * @returns {Promise<Object>} { code, stdout, stderr }
+ */
+async function runCli(argv) {
+  const stdout = new PassThrough();
+  const stderr = new PassThrough();
+  let out = '';
+  let err = '';
+  stdout.on('data', chunk => { out += chunk; });
+  stderr.on('data', chunk => { err += chunk; });
+
+  const code = await run(argv, { stdout, stderr });
+  return { code, stdout: out, stderr: err };
+}
+
+describe('sfz-gen CLI', () => {
+  const validator = new IdValidator();
+
+  test('parseArgs应该解析位置参数、选项和别名', () => {
+    expect(parseArgs(['id', '--area', '北京', '-n', '5', '--unique', '--format=csv'])).toEqual({
+      args: ['id'],
+      flags: { area: '北京', count: '5', unique: true, format: 'csv' }
+    });
+  });
+
+  test('id命令应该按条件生成指定数量的身份证号', async () => {
+    const { code, stdout } = await runCli(['id', '--area', '北京', '--age', '30', '--gender', 'male', '-n', '5', '--seed', '1']);
+    const idCards = stdout.trim().split('\n');
+
+    expect(code).toBe(0);
+    expect(idCards.length).toBe(5);
+    idCards.forEach(idCard => {
+      expect(validator.isValid(idCard)).toBe(true);
+      expect(idCard.substring(0, 2)).toBe('11');
+      expect(parseInt(idCard.charAt(16)) % 2).toBe(1);
+    });
+
+    const again = await runCli(['id', '--area', '北京', '--age', '30', '--gender', 'male', '-n', '5', '--seed', '1']);
+    expect(again.stdout).toBe(stdout);
+  });
+
+  test('地区名称有歧义时只应该解析一次', async () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    try {
+      const { code, stdout } = await runCli(['id', '--area', '朝阳区', '-n', '3']);
+      expect(code).toBe(0);
+      expect(stdout.trim().split('\n').length).toBe(3);
+      expect(warn).toHaveBeenCalledTimes(1);
+    } finally {
+      warn.mockRestore();
+    }
+  });
+
+  test('batch命令指定市级地区时应该为每条记录选择区县', async () => {
+    for (const format of ['json', 'jsonl']) {
+      const { code, stdout } = await runCli(['batch', '--area', '武汉', '-n', '8', '--seed', '1', '--format', format]);
+      const people = format === 'json' ? JSON.parse(stdout) : stdout.trim().split('\n').map(line => JSON.parse(line));
+      const districts = new Set(people.map(person => person.idCard.substring(0, 6)));
+
+      expect(code).toBe(0);
+      people.forEach(person => expect(person.idCard.substring(0, 4)).toBe('4201'));
+      expect(districts.size).toBeGreaterThan(1);
+    }
+  });
+
+  test('batch命令应该支持输出格式和输出文件', async () => {
+    const out = path.join(os.tmpdir(), `sfz-gen-${process.pid}.jsonl`);
+    try {
+      const { code } = await runCli(['batch', '-n', '20', '--format', 'jsonl', '--out', out]);
+      const lines = fs.readFileSync(out, 'utf8').trim().split('\n');
+
+      expect(code).toBe(0);
+      expect(lines.length).toBe(20);
+      expect(JSON.parse(lines[0])).toHaveProperty('idCard');
+    } finally {
+      fs.rmSync(out, { force: true });
+    }
+
+    const csv = await runCli(['batch', '-n', '3', '--format', 'csv', '--chinese-headers']);
+    expect(csv.stdout.split('\r\n')[0]).toContain('身份证号');
+
+    const person = await runCli(['person', '--area', '武汉', '--age', '30']);
+    expect(JSON.parse(person.stdout).address).toContain('武汉市');
+    expect(JSON.parse(person.stdout).age).toBe(30);
+
+    // 同时指定地区和其他条件时，其他条件同样生效
+    const female = await runCli(['person', '--area', '武汉', '--min-age', '20', '--max-age', '25', '--gender', 'female']);
+    const femaleInfo = JSON.parse(female.stdout);
+    expect(femaleInfo.gender).toBe('女');
+    expect(femaleInfo.age).toBeGreaterThanOrEqual(20);
+    expect(femaleInfo.age).toBeLessThanOrEqual(25);
+  });
+
+  test('下游提前关闭标准输出时应该正常结束', async () => {
+    // 模拟管道到head：写入第一块后下游关闭
+    let chunks = 0;
+    const stdout = new Writable({
+      write(chunk, encoding, callback) {
+        chunks++;
+        callback(chunks > 1 ? Object.assign(new Error('write EPIPE'), { code: 'EPIPE' }) : null);
+      }
+    });
+    const stderr = new PassThrough();
+
+    const code = await run(['batch', '--format', 'csv', '-n', '10000'], { stdout, stderr });
+    expect(code).toBe(0);
+    expect(chunks).toBeLessThan(100);
+  });
+
+  test('validate命令应该逐行校验并在存在无效号码时返回非零退出码', async () => {
+    const file = path.join(os.tmpdir(), `sfz-gen-${process.pid}.txt`);
+    fs.writeFileSync(file, '110105199001011232\n11010519900230123X\n');
+    try {
+      const { code, stdout } = await runCli(['validate', file]);
+      expect(code).toBe(1);
+      expect(stdout).toContain('[date]');
+      expect(stdout).toContain('有效1个，无效1个');
+    } finally {
+      fs.rmSync(file, { force: true });
+    }
+  });
+
+  test('areas search命令应该列出匹配地区', async () => {
+    const { code, stdout } = await runCli(['areas', 'search', '朝阳']);
+    expect(code).toBe(0);
+    expect(stdout).toContain('110105\t北京市朝阳区');
+    expect(stdout).toContain('吉林省长春市朝阳区');
+  });
+
+  test('参数错误时应该返回非零退出码', async () => {
+    expect((await runCli(['id', '--gender', 'x'])).code).toBe(2);
+    expect((await runCli(['id', '--birthday', '20230230'])).code).toBe(2);
+    expect((await runCli(['id', '--birthday', `${new Date().getFullYear() + 1}0101`])).code).toBe(2);
+    expect((await runCli(['batch', '--min-age', '30', '--max-age', '20'])).code).toBe(2);
+    expect((await runCli(['unknown'])).code).toBe(2);
+
+    const missingArea = await runCli(['id', '--area', '火星']);
+    expect(missingArea.code).toBe(1);
+    expect(missingArea.stderr).toContain('未找到地区');
+
+    const missingPersonArea = await runCli(['person', '--area', '火星', '--age', '30']);
+    expect(missingPersonArea.code).toBe(1);
+    expect(missingPersonArea.stderr).toContain('未找到地区');
+  });
+});
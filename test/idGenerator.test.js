@@ -94,8 +94,8 @@ describe('ChineseIdGenerator', () => {
       // 检查地址格式：应该不包含多余的空格
       expect(person.address).not.toContain('  ');
       
-      // 地址应该以"号"、"室"或其他合理的结尾
-      expect(person.address).toMatch(/[号室]$/);
+      // 地址应该以"号"、"室"或其他合理的结尾（乡镇的村委会地址以"村委会"结尾）
+      expect(person.address).toMatch(/([号室]|村委会)$/);
     }
   });
   
@@ -154,4 +154,878 @@ describe('ChineseIdGenerator', () => {
     console.log(`批量生成${count}条记录耗时: ${endTime - startTime}ms`);
     expect(people.length).toBe(count);
   });
-}); 
\ No newline at end of file
+
+  // 新增测试：测试随机种子
+  test('相同种子应该生成相同的结果', () => {
+    const generatorA = new ChineseIdGenerator({ seed: 12345 });
+    const generatorB = new ChineseIdGenerator({ seed: 12345 });
+    
+    expect(generatorA.generatePersonInfo()).toEqual(generatorB.generatePersonInfo());
+    expect(generatorA.generateBatch(20)).toEqual(generatorB.generateBatch(20));
+    expect(generatorA.generatePersonInfoByAreaAndAge('武汉', 30))
+      .toEqual(generatorB.generatePersonInfoByAreaAndAge('武汉', 30));
+    
+    const generatorC = new ChineseIdGenerator({ seed: 54321 });
+    expect(generatorC.generateBatch(20)).not.toEqual(new ChineseIdGenerator({ seed: 12345 }).generateBatch(20));
+  });
+  
+  test('reseed应该重置随机序列', () => {
+    const seeded = new ChineseIdGenerator({ seed: 'sfz' });
+    const first = seeded.generateBatch(5);
+    
+    seeded.reseed('sfz');
+    expect(seeded.generateBatch(5)).toEqual(first);
+  });
+
+  test('批量生成应该使用自定义随机源，并行生成应该拒绝自定义随机源', async () => {
+    const constant = new ChineseIdGenerator({ random: () => 0.5 });
+    const idCard = constant.generatePersonInfo().idCard;
+    
+    constant.generateBatch(3).forEach(person => expect(person.idCard).toBe(idCard));
+    for await (const person of constant.generateIterator(3)) {
+      expect(person.idCard).toBe(idCard);
+    }
+    await expect(constant.generateBatchParallel(10)).rejects.toThrow('不支持自定义随机源');
+  });
+
+  // 新增测试：测试身份证解析与校验
+  test('parseIdCard应该解析有效身份证的各项信息', () => {
+    const idCard = generator.generateIdCard({ areaCode: '110105', birthday: '19900101', gender: 1 });
+    const info = generator.parseIdCard(idCard);
+    
+    expect(info.valid).toBe(true);
+    expect(info.errors).toEqual([]);
+    expect(info.province.name).toBe('北京市');
+    expect(info.district).toEqual({ code: '110105', name: '朝阳区' });
+    expect(info.birthDate).toBe('1990-01-01');
+    expect(info.gender).toBe('男');
+    expect(info.checkCode).toBe(idCard.charAt(17));
+  });
+  
+  test('parseIdCard应该列出失败的校验规则', () => {
+    const rulesOf = id => generator.parseIdCard(id).errors.map(e => e.rule);
+    const base = '11010519900101123';
+    const valid = base + generator._calculateCheckCode(base);
+    const wrongCheck = base + (valid.charAt(17) === '0' ? '1' : '0');
+    
+    expect(rulesOf(wrongCheck)).toEqual(['checkCode']);
+    expect(rulesOf(valid.substring(0, 17))).toContain('length');
+    expect(rulesOf('11010519900101123Y')).toContain('charset');
+    
+    const unknownArea = '99999919900101123';
+    expect(rulesOf(unknownArea + generator._calculateCheckCode(unknownArea))).toEqual(['area']);
+    
+    const feb30 = '11010519900230123';
+    expect(rulesOf(feb30 + generator._calculateCheckCode(feb30))).toEqual(['date']);
+    
+    const future = `110105${new Date().getFullYear() + 1}0101123`;
+    expect(rulesOf(future + generator._calculateCheckCode(future))).toEqual(['future']);
+  });
+
+  // 新增测试：测试15位身份证
+  test('应该生成15位身份证并与18位互相转换', () => {
+    const idCard15 = generator.generateIdCard({ format: 15, areaCode: '110101', birthday: '19850615', gender: 0 });
+    expect(idCard15).toMatch(/^110101850615\d{3}$/);
+    expect(parseInt(idCard15.charAt(14)) % 2).toBe(0);
+    
+    const idCard18 = generator.convertTo18(idCard15);
+    expect(idCard18.substring(0, 14)).toBe('11010119850615');
+    expect(validator.isValid(idCard18)).toBe(true);
+    expect(generator.convertTo15(idCard18)).toBe(idCard15);
+    
+    const info = generator.parseIdCard(idCard15);
+    expect(info.format).toBe(15);
+    expect(info.valid).toBe(true);
+    expect(info.birthDate).toBe('1985-06-15');
+  });
+  
+  test('无法降级的18位身份证应该拒绝转换', () => {
+    const idCard2001 = generator.generateIdCard({ birthday: '20010101' });
+    expect(() => generator.convertTo15(idCard2001)).toThrow('1900-1999');
+    expect(() => generator.generateIdCard({ format: 15, birthday: '20010101' })).toThrow();
+    expect(() => generator.convertTo18('12345')).toThrow();
+  });
+
+  // 新增测试：测试唯一模式
+  test('唯一模式下批量生成的身份证号不重复', () => {
+    const options = { areaCode: '110101', birthday: '19900101', gender: 1, unique: true };
+    const people = generator.generateBatch(500, options);
+    const idCards = new Set(people.map(p => p.idCard));
+    
+    expect(idCards.size).toBe(500);
+    people.forEach(person => {
+      expect(validator.isValid(person.idCard)).toBe(true);
+      expect(person.gender).toBe('男');
+    });
+  });
+  
+  test('唯一模式下组合数不足时应该抛出错误', () => {
+    const options = { areaCode: '110101', birthday: '19900101', gender: 0, unique: true };
+    expect(() => generator.generateBatch(500, options)).toThrow('最多只有499种组合');
+    
+    const people = generator.generateBatch(999, { areaCode: '110101', birthday: '19900101', unique: true });
+    expect(new Set(people.map(p => p.idCard)).size).toBe(999);
+  });
+  
+  test('唯一模式可以同时保证手机号和邮箱不重复', () => {
+    const people = generator.generateBatch(200, { unique: { phone: true, email: true } });
+    expect(new Set(people.map(p => p.phone)).size).toBe(200);
+    expect(new Set(people.map(p => p.email)).size).toBe(200);
+    
+    generator.registerPlugin('phoneGenerator', () => '13800138000');
+    expect(() => generator.generateBatch(2, { unique: { phone: true } })).toThrow('唯一手机号已耗尽');
+  });
+
+  // 新增测试：测试流式生成
+  test('异步迭代器应该逐条生成指定数量的记录', async () => {
+    const seeded = new ChineseIdGenerator({ seed: 99 });
+    const people = [];
+    for await (const person of seeded.generateIterator(250, {}, { chunkSize: 100 })) {
+      people.push(person);
+    }
+    
+    expect(people.length).toBe(250);
+    expect(people).toEqual(new ChineseIdGenerator({ seed: 99 }).generateBatch(250));
+  });
+  
+  test('可读流应该支持AbortSignal取消', async () => {
+    const controller = new AbortController();
+    const stream = generator.generateStream(1000000, {}, { signal: controller.signal, chunkSize: 100 });
+    
+    let received = 0;
+    const finished = new Promise(resolve => {
+      stream.on('data', () => {
+        received++;
+        if (received === 150) {
+          controller.abort();
+        }
+      });
+      stream.on('error', resolve);
+    });
+    
+    const error = await finished;
+    expect(error.name).toBe('AbortError');
+    expect(received).toBeLessThan(1000000);
+  });
+  
+  test('异步迭代器应该在块内取消时立即停止，流应该同步校验数量', async () => {
+    const controller = new AbortController();
+    let received = 0;
+    const consume = async () => {
+      for await (const person of generator.generateIterator(1000, {}, { signal: controller.signal, chunkSize: 100 })) {
+        expect(person.idCard).toBeDefined();
+        if (++received === 150) {
+          controller.abort();
+        }
+      }
+    };
+    
+    await expect(consume()).rejects.toMatchObject({ name: 'AbortError' });
+    expect(received).toBe(150);
+    
+    expect(() => generator.generateStream(0)).toThrow('生成数量必须是正整数');
+    expect(() => generator.generateStream(1.5)).toThrow('生成数量必须是正整数');
+  });
+
+  // 新增测试：测试并行批量生成
+  test('并行批量生成在设置种子时应该与单线程结果一致', async () => {
+    const progress = [];
+    const parallel = await new ChineseIdGenerator({ seed: 2024 })
+      .generateBatchParallel(300, { gender: 0 }, { workers: 2, chunkSize: 100 }, p => progress.push(p));
+    const single = new ChineseIdGenerator({ seed: 2024 }).generateBatch(300, { gender: 0 });
+    
+    expect(parallel).toEqual(single);
+    expect(progress.length).toBe(3);
+    expect(progress[progress.length - 1]).toBe(1);
+    
+    await expect(generator.generateBatchParallel(10, { unique: true })).rejects.toThrow('unique');
+  }, 30000);
+
+  // 新增测试：测试无效身份证号生成
+  test('生成的无效身份证号应该恰好违反一条对应规则', () => {
+    const invalidGenerator = new ChineseIdGenerator({ seed: 10 });
+    
+    Object.keys(invalidGenerator.INVALID_ID_REASONS).forEach(reason => {
+      for (let i = 0; i < 20; i++) {
+        const idCard = invalidGenerator.generateInvalidIdCard({ reason });
+        const rules = invalidGenerator.parseIdCard(idCard).errors.map(error => error.rule);
+        expect(rules).toEqual([invalidGenerator.INVALID_ID_REASONS[reason].rule]);
+      }
+    });
+    
+    expect(invalidGenerator.generateInvalidIdCard({ reason: 'lowercaseX' })).toMatch(/x$/);
+    expect(() => invalidGenerator.generateInvalidIdCard({ reason: 'unknown' })).toThrow('不支持的缺陷类型');
+  });
+
+  test('批量生成无效身份证号应该标注每条记录的缺陷', () => {
+    const batch = generator.generateInvalidBatch(16, { areaCode: '110105' });
+    
+    expect(batch.length).toBe(16);
+    expect(batch[0].reason).toBe('checksum');
+    expect(batch[8].reason).toBe('checksum');
+    batch.forEach(record => {
+      expect(generator.parseIdCard(record.idCard).valid).toBe(false);
+      expect(record.rule).toBe(generator.INVALID_ID_REASONS[record.reason].rule);
+    });
+    
+    const dates = generator.generateInvalidBatch(3, { reasons: ['impossibleDate'] });
+    expect(dates.every(record => record.reason === 'impossibleDate')).toBe(true);
+    
+    expect(() => generator.generateInvalidBatch(3, { reasons: [] })).toThrow('不支持的缺陷类型');
+    expect(() => generator.generateInvalidBatch(3, { reasons: 'checksum' })).toThrow('不支持的缺陷类型');
+    expect(() => generator.generateInvalidBatch(3, { reasons: ['checksum', 'unknown'] })).toThrow('不支持的缺陷类型: unknown');
+    expect(() => generator.generateInvalidIdCard({ reason: 'toString' })).toThrow('不支持的缺陷类型');
+  });
+
+  // 新增测试：测试年龄和出生日期范围
+  test('应该在年龄范围和年龄段预设内生成', () => {
+    const rangeGenerator = new ChineseIdGenerator({ seed: 11 });
+    
+    rangeGenerator.generateBatch(200, { minAge: 18, maxAge: 60 }).forEach(person => {
+      expect(person.age).toBeGreaterThanOrEqual(18);
+      expect(person.age).toBeLessThanOrEqual(60);
+    });
+    
+    rangeGenerator.generateBatch(100, { ageGroup: 'minor' }).forEach(person => {
+      expect(person.age).toBeLessThan(18);
+    });
+    
+    expect(rangeGenerator.generatePersonInfo({ ageGroup: 'adult' }).age).toBeGreaterThanOrEqual(18);
+    expect(() => rangeGenerator.generateIdCard({ minAge: 30, maxAge: 20 })).toThrow('minAge不能大于maxAge');
+    expect(() => rangeGenerator.generateIdCard({ ageGroup: 'senior' })).toThrow('不支持的年龄段');
+    expect(() => rangeGenerator.generateIdCard({ ageGroup: 'minor', birthDateTo: '19900101' })).toThrow('出生日期范围为空');
+  });
+
+  test('validateIdCardOptions应该拒绝无效或未来的出生日期和冲突的范围', () => {
+    expect(generator.validateIdCardOptions({ areaCode: '110101', birthday: '20000229', gender: 1 })).toBe(true);
+    expect(() => generator.validateIdCardOptions({ birthday: '19990230' })).toThrow('不是有效的日历日期');
+    expect(() => generator.validateIdCardOptions({ birthday: '19901301' })).toThrow('不是有效的日历日期');
+    expect(() => generator.validateIdCardOptions({ birthday: `${new Date().getFullYear() + 1}0101` })).toThrow('不能晚于今天');
+    expect(() => generator.validateIdCardOptions({ birthday: '1990-1-1' })).toThrow('出生日期必须是8位数字');
+    expect(() => generator.validateIdCardOptions({ ageGroup: 'minor', birthDateTo: '19900101' })).toThrow('出生日期范围为空');
+  });
+
+  test('应该在出生日期范围内的所有日历日中均匀选取', () => {
+    const dates = new Set();
+    for (let i = 0; i < 300; i++) {
+      const idCard = generator.generateIdCard({ birthDateFrom: '20000227', birthDateTo: '20000301' });
+      expect(validator.isValid(idCard)).toBe(true);
+      dates.add(idCard.substring(6, 14));
+    }
+    
+    expect(Array.from(dates).sort()).toEqual(['20000227', '20000228', '20000229', '20000301']);
+    expect(() => generator.generateIdCard({ birthDateFrom: '20010229' })).toThrow('birthDateFrom必须是有效的日期');
+  });
+
+  // 新增测试：测试人口分布
+  test('按人口比例选择地区时人口大省应该明显多于人口小省', () => {
+    const populationGenerator = new ChineseIdGenerator({ seed: 12, distribution: 'population' });
+    const counts = {};
+    populationGenerator.generateBatch(3000).forEach(person => {
+      const provinceCode = person.idCard.substring(0, 2);
+      counts[provinceCode] = (counts[provinceCode] || 0) + 1;
+    });
+    
+    // 广东约1.26亿人，西藏约365万人
+    expect(counts['44']).toBeGreaterThan((counts['54'] || 0) * 10);
+    expect(() => new ChineseIdGenerator({ distribution: 'random' })).toThrow('不支持的地区分布');
+  });
+
+  test('应该按年龄分布生成年龄', () => {
+    const pyramidGenerator = new ChineseIdGenerator({ seed: 13, ageDistribution: 'pyramid' });
+    const ages = pyramidGenerator.generateBatch(2000).map(person => person.age);
+    expect(Math.max(...ages)).toBeGreaterThan(75);
+    expect(Math.min(...ages)).toBeLessThan(5);
+    
+    const customGenerator = new ChineseIdGenerator({
+      seed: 13,
+      ageDistribution: [{ minAge: 20, maxAge: 29, weight: 1 }, { minAge: 60, maxAge: 60, weight: 0 }]
+    });
+    customGenerator.generateBatch(200).forEach(person => {
+      expect(person.age).toBeGreaterThanOrEqual(20);
+      expect(person.age).toBeLessThanOrEqual(29);
+    });
+    
+    expect(() => new ChineseIdGenerator({ ageDistribution: [{ minAge: 30, maxAge: 20, weight: 1 }] })).toThrow('minAge不大于maxAge');
+  });
+
+  // 新增测试：测试按频率选择姓氏
+  test('姓氏应该按频率权重选择并支持复姓', () => {
+    const surnameGenerator = new ChineseIdGenerator({ seed: 14 });
+    const counts = {};
+    surnameGenerator.generateBatch(2000).forEach(person => {
+      expect(person.name.startsWith(person.surname)).toBe(true);
+      counts[person.surname] = (counts[person.surname] || 0) + 1;
+    });
+    
+    // 李、王、张各约占7%，远多于排名靠后的姓氏
+    expect(counts['李']).toBeGreaterThan(80);
+    expect(counts['李']).toBeGreaterThan((counts['文'] || 0) * 5);
+    
+    // 内置约500个姓氏，包含单、解、仇等多音字姓氏
+    const { SURNAMES } = require('../src/data/surnames');
+    expect(SURNAMES.length).toBeGreaterThan(450);
+    ['单', '解', '仇', '欧阳'].forEach(surname => {
+      expect(SURNAMES.find(item => item.surname === surname).weight).toBeGreaterThan(0);
+    });
+    
+    const compoundGenerator = new ChineseIdGenerator({
+      seed: 14,
+      nameOptions: { surnames: [{ surname: '欧阳', weight: 1 }, { surname: '上官', weight: 1 }, { surname: '王', weight: 0 }] }
+    });
+    compoundGenerator.generateBatch(20).forEach(person => {
+      expect(['欧阳', '上官']).toContain(person.surname);
+      expect(person.name.length).toBeGreaterThan(2);
+    });
+  });
+
+  test('姓名插件生成的姓名应该能识别复姓', () => {
+    const pluginGenerator = new ChineseIdGenerator();
+    pluginGenerator.registerPlugin('nameGenerator', () => '诸葛明');
+    expect(pluginGenerator.generatePersonInfo().surname).toBe('诸葛');
+    
+    const invalidGenerator = new ChineseIdGenerator({ nameOptions: { surnames: [{ surname: '王', weight: -1 }] } });
+    expect(() => invalidGenerator.generatePersonInfo()).toThrow('姓氏配置');
+  });
+
+  // 新增测试：测试按年代生成名字
+  test('名字应该与出生年代和性别相符', () => {
+    const { GIVEN_NAMES } = require('../src/data/givenNames');
+    const eraGenerator = new ChineseIdGenerator({ seed: 15 });
+    
+    [['19550601', 1950, 1], ['19550601', 1950, 0], ['20150601', 2010, 1], ['20150601', 2010, 0]].forEach(([birthday, decade, gender]) => {
+      const pool = gender === 1 ? GIVEN_NAMES[decade].male : GIVEN_NAMES[decade].female;
+      eraGenerator.generateBatch(30, { birthday, gender }).forEach(person => {
+        const givenName = person.name.substring(person.surname.length);
+        expect(pool.single.concat(pool.double)).toContain(givenName);
+      });
+    });
+  });
+
+  test('名字长度应该遵循nameLengths配置', () => {
+    const singleGenerator = new ChineseIdGenerator({ seed: 15, nameOptions: { nameLengths: [1] } });
+    singleGenerator.generateBatch(20).forEach(person => {
+      expect(person.name.length - person.surname.length).toBe(1);
+    });
+    
+    const doubleGenerator = new ChineseIdGenerator({ seed: 15, nameOptions: { nameLengths: [2] } });
+    doubleGenerator.generateBatch(20).forEach(person => {
+      expect(person.name.length - person.surname.length).toBe(2);
+    });
+  });
+
+  // 新增测试：测试姓名拼音
+  test('个人信息应该包含按姓氏读音转换的拼音', () => {
+    const pinyinGenerator = new ChineseIdGenerator({ seed: 16, nameOptions: { surnames: ['曾'], pinyinTone: 'mark' } });
+    const person = pinyinGenerator.generatePersonInfo();
+    
+    expect(person.pinyin.full).toMatch(/^Zēng /);
+    expect(person.pinyin.initials.charAt(0)).toBe('Z');
+    expect(person.email).toMatch(/^zeng[a-z]+\d*@/);
+    
+    generator.generateBatch(50).forEach(item => {
+      expect(item.pinyin.initials.length).toBe(item.name.length);
+      expect(item.email).toMatch(/^[a-z]+\d*@/);
+    });
+    
+    expect(() => new ChineseIdGenerator({ nameOptions: { pinyinTone: 'x' } })).toThrow('不支持的拼音声调格式');
+  });
+
+  // 新增测试：测试手机号段与归属地
+  test('手机号应该使用运营商号段并包含运营商和归属地', () => {
+    const { CARRIERS } = require('../src/data/phone');
+    const segments = CARRIERS.reduce((all, carrier) => all.concat(carrier.segments), []);
+    
+    generator.generateBatch(200).forEach(person => {
+      expect(segments).toContain(person.phone.substring(0, 3));
+      expect(['140', '144', '169']).not.toContain(person.phone.substring(0, 3));
+      expect(person.carrier).toBe(generator.getPhoneInfo(person.phone).carrier);
+      // 未开启matchArea时模拟的归属地与身份证地区无关，不输出
+      expect(person.phoneLocation).toBeNull();
+    });
+    
+    // 归属地是模拟数据，公开方法只返回运营商
+    expect(generator.getPhoneInfo('13800138000')).toEqual({ carrier: '中国移动' });
+    expect(generator.getPhoneInfo('13000000000').carrier).toBe('中国联通');
+    expect(generator.getPhoneInfo('19200000000').carrier).toBe('中国广电');
+    expect(generator.getPhoneInfo('14000000000')).toBeNull();
+    expect(generator.getPhoneInfo('1380013')).toBeNull();
+  });
+
+  test('开启matchArea时手机号归属地应该与身份证地区一致', () => {
+    const areaGenerator = new ChineseIdGenerator({ seed: 17, phoneOptions: { matchArea: true } });
+    
+    areaGenerator.generateBatch(100).forEach(person => {
+      const { province, city, district } = areaGenerator._getAreaHierarchyInfo(person.idCard.substring(0, 6));
+      expect(person.phoneLocation.province).toBe(province.name);
+      expect([city.name, district.name]).toContain(person.phoneLocation.city);
+    });
+    
+    const beijing = areaGenerator.generatePersonInfo({ areaCode: '110105' });
+    expect(beijing.phoneLocation).toEqual({ province: '北京市', city: '北京市' });
+    const xiantao = areaGenerator.generatePersonInfo({ areaCode: '429004' });
+    expect(xiantao.phoneLocation).toEqual({ province: '湖北省', city: '仙桃市' });
+  });
+
+  // 新增测试：测试固定电话
+  test('固定电话应该使用地区所在城市的区号和本地号码长度', () => {
+    expect(generator.generateLandline('110105')).toMatch(/^010-[2-8]\d{7}$/);
+    expect(generator.generateLandline('440305')).toMatch(/^0755-[2-8]\d{7}$/);
+    expect(generator.generateLandline('420106')).toMatch(/^027-[2-8]\d{7}$/);
+    expect(generator.generateLandline('450102')).toMatch(/^0771-[2-8]\d{6}$/);
+    expect(generator.generateLandline('429004')).toMatch(/^0728-[2-8]\d{6}$/);
+    expect(generator.generateLandline()).toMatch(/^0\d{2,3}-[2-8]\d{6,7}$/);
+
+    expect(() => generator.generateLandline('710000')).toThrow('未找到地区710000的长途区号');
+    expect(() => generator.generateLandline('11010')).toThrow('地区编码必须是6位数字');
+
+    const person = generator.generatePersonInfo({ areaCode: '310104' });
+    expect(person.landline).toMatch(/^021-[2-8]\d{7}$/);
+    generator.generateBatch(50).forEach(item => {
+      expect(item.landline).toMatch(/^0\d{2,3}-[2-8]\d{6,7}$/);
+    });
+  });
+
+  // 新增测试：测试邮编
+  test('邮编应该优先使用区县邮编并回退到城市邮编', () => {
+    expect(generator.getPostcode('110108')).toBe('100080');
+    expect(generator.getPostcode('440305')).toBe('518052');
+    expect(generator.getPostcode('420115')).toBe('430200');
+    expect(generator.getPostcode('420281')).toBe('435000');
+    expect(generator.getPostcode('420100')).toBe('430000');
+    expect(generator.getPostcode('469002')).toBe('571400');
+    expect(generator.getPostcode('710000')).toBeNull();
+    expect(generator.getPostcode('4201')).toBeNull();
+    
+    const person = generator.generatePersonInfo({ areaCode: '310115' });
+    expect(person.postcode).toBe('200120');
+    generator.generateBatch(50).forEach(item => {
+      expect(item.postcode).toBe(generator.getPostcode(item.idCard.substring(0, 6)));
+      expect(item.postcode).toMatch(/^\d{6}$/);
+    });
+  });
+
+  // 新增测试：测试结构化地址
+  test('addressFormat为object时应该返回与身份证一致的结构化地址', () => {
+    const objectGenerator = new ChineseIdGenerator({ seed: 19, addressFormat: 'object' });
+    
+    objectGenerator.generateBatch(50).forEach(person => {
+      const { address } = person;
+      const { province, city } = objectGenerator._getAreaHierarchyInfo(person.idCard.substring(0, 6));
+      expect(address.province).toBe(province.name);
+      expect([city.name, null]).toContain(address.city);
+      expect(address.full).toContain(address.province);
+      expect(address.full.endsWith(address.detail.text)).toBe(true);
+      expect(address.postcode).toBe(person.postcode);
+      if (address.town) {
+        expect(address.townCode.substring(0, 6)).toBe(person.idCard.substring(0, 6));
+        expect(address.townCode).toMatch(/^\d{9}$/);
+      }
+      
+      if (address.detail.type === 'community') {
+        expect(address.detail.text).toBe(`${address.detail.community}${address.detail.building}${address.detail.unit}${address.detail.room}`);
+      } else if (address.detail.type === 'street') {
+        expect(address.detail.text).toMatch(new RegExp(`^${address.detail.street}.*${address.detail.number}`));
+      } else if (address.detail.type === 'village') {
+        expect(address.detail.text).toBe(`${address.detail.village}${address.detail.group}${address.detail.number}`);
+      } else {
+        expect(['building', 'villageCommittee']).toContain(address.detail.type);
+      }
+    });
+    
+    const beijing = objectGenerator.generatePersonInfo({ areaCode: '110105' }).address;
+    expect(beijing).toMatchObject({ province: '北京市', city: '北京市', district: '朝阳区' });
+    expect(beijing.full.startsWith(`北京市朝阳区${beijing.town}`)).toBe(true);
+    
+    const wuzhishan = objectGenerator.generatePersonInfo({ areaCode: '469001' }).address;
+    expect(wuzhishan).toMatchObject({ province: '海南省', city: null, district: '五指山市' });
+    expect(wuzhishan.full).not.toContain('直辖县级');
+    
+    // 相同种子下字符串格式与结构化地址的full一致
+    const stringGenerator = new ChineseIdGenerator({ seed: 19 });
+    const objectPeople = new ChineseIdGenerator({ seed: 19, addressFormat: 'object' }).generateBatch(5);
+    stringGenerator.generateBatch(5).forEach((person, i) => {
+      expect(person.address).toBe(objectPeople[i].address.full);
+    });
+    
+    expect(() => new ChineseIdGenerator({ addressFormat: 'xml' })).toThrow('不支持的地址格式');
+  });
+
+  // 新增测试：测试地区风格的地址
+  test('街道地址应该使用地区风格和地区词典', () => {
+    const { REGION_DICTIONARIES } = require('../src/data/addresses');
+    const streetGenerator = new ChineseIdGenerator({
+      seed: 20,
+      addressFormat: 'object',
+      addressOptions: { communityRatio: 0.01, streetRatio: 0.98, buildingRatio: 0.01 }
+    });
+    
+    const beijing = streetGenerator.generateBatch(60, { areaCode: '110101' }).map(person => person.address.detail);
+    expect(beijing.some(detail => REGION_DICTIONARIES['11'].hutongs.includes(detail.street))).toBe(true);
+    
+    const xuhui = streetGenerator.generateBatch(60, { areaCode: '310104' })
+      .filter(person => !/镇$/.test(person.address.town))
+      .map(person => person.address.detail);
+    xuhui.filter(detail => detail.type === 'street').forEach(detail => {
+      expect(detail.lane).toMatch(/^\d+弄$/);
+      expect(detail.text).toMatch(/弄(\d+支弄)?\d+号\d+室$/);
+    });
+    expect(xuhui.some(detail => REGION_DICTIONARIES['310104'].roads.includes(detail.street))).toBe(true);
+    expect(xuhui.some(detail => detail.subLane)).toBe(true);
+    
+    const others = streetGenerator.generateBatch(200, { areaCode: '130102' }).map(person => person.address.detail.street);
+    expect(others.some(street => /(大道|街|巷)$/.test(street))).toBe(true);
+    expect(others.some(street => /[东西南北中][路街]$/.test(street))).toBe(true);
+    expect(others.some(street => /^[经纬][一二三四五六七八九十]路$/.test(street))).toBe(true);
+  });
+
+  test('自定义地区词典应该覆盖内置词典', () => {
+    const customGenerator = new ChineseIdGenerator({
+      seed: 20,
+      addressFormat: 'object',
+      addressOptions: {
+        communityRatio: 1,
+        streetRatio: 0,
+        buildingRatio: 0,
+        dictionaries: { '420100': { communities: ['测试小区'] } }
+      }
+    });
+    
+    const communities = customGenerator.generateBatch(30, { areaCode: '420106' }).map(person => person.address.detail.community);
+    expect(communities).toContain('测试小区');
+    
+    expect(() => new ChineseIdGenerator({ addressOptions: { dictionaries: { '123': {} } } })).toThrow('地区词典的键必须是2、4或6位地区编码');
+    expect(() => new ChineseIdGenerator({ addressOptions: { dictionaries: { '31': { roads: [] } } } })).toThrow('必须是非空字符串数组');
+  });
+
+  // 新增测试：测试农村地址
+  test('乡镇地址应该使用农村格式，街道地址使用城市格式', () => {
+    const ruralGenerator = new ChineseIdGenerator({ seed: 21, addressFormat: 'object' });
+    const people = ruralGenerator.generateBatch(200);
+    
+    const rural = people.filter(person => /([乡镇]|苏木)$/.test(person.address.town || ''));
+    const urban = people.filter(person => /街道$/.test(person.address.town || ''));
+    expect(rural.length).toBeGreaterThan(0);
+    expect(urban.length).toBeGreaterThan(0);
+    
+    rural.forEach(({ address }) => {
+      expect(['village', 'villageCommittee', 'street']).toContain(address.detail.type);
+      if (address.detail.type === 'village') {
+        expect(address.detail.text).toMatch(/^[\u4e00-\u9fa5]+村\d+组\d+号$/);
+      } else if (address.detail.type === 'villageCommittee') {
+        expect(address.detail.text).toMatch(/村村委会$/);
+      }
+    });
+    urban.forEach(({ address }) => {
+      expect(['community', 'street', 'building']).toContain(address.detail.type);
+    });
+    
+    // 农村比例与城市比例分别生效
+    const committeeGenerator = new ChineseIdGenerator({
+      seed: 21,
+      addressFormat: 'object',
+      addressOptions: { rural: { villageRatio: 0, committeeRatio: 1, streetRatio: 0 } }
+    });
+    committeeGenerator.generateBatch(100)
+      .filter(person => /([乡镇]|苏木)$/.test(person.address.town || ''))
+      .forEach(person => expect(person.address.detail.type).toBe('villageCommittee'));
+    
+    expect(() => new ChineseIdGenerator({ addressOptions: { rural: { villageRatio: -1 } } })).toThrow('addressOptions.rural的比例必须是非负数');
+  });
+
+  test('自定义字段插件按依赖顺序生成', () => {
+    const fieldGenerator = new ChineseIdGenerator({ seed: 22 });
+    const contexts = [];
+    
+    // 先注册依赖方，生成时仍应先生成employeeNo
+    fieldGenerator.registerField('wechatId', ({ person }) => `wx_${person.employeeNo.toLowerCase()}`, { dependsOn: ['employeeNo'] });
+    fieldGenerator.registerField('employeeNo', context => {
+      contexts.push(context);
+      return `E${context.area.code.substring(0, 4)}${context.birthDate.year}${context.rng.integer(1000, 9999)}`;
+    }, { dependsOn: ['idCard'], validate: value => /^E\d{12}$/.test(value) });
+    
+    const person = fieldGenerator.generatePersonInfo({ areaCode: '110105', gender: 1 });
+    expect(person.employeeNo).toMatch(/^E1101\d{8}$/);
+    expect(person.wechatId).toBe(`wx_${person.employeeNo.toLowerCase()}`);
+    
+    const [context] = contexts;
+    expect(context.gender).toBe(1);
+    expect(context.birthDate.year).toBe(parseInt(person.idCard.substring(6, 10)));
+    expect(context.birthDate.month).toBe(parseInt(person.idCard.substring(10, 12)));
+    expect(context.area.province.name).toBe('北京市');
+    expect(context.area.district).toEqual({ code: '110105', name: '朝阳区' });
+    expect(context.name).toBe(person.name);
+    expect(context.surname).toBe(person.surname);
+    
+    // 设置种子时自定义字段可复现，批量生成同样执行字段插件
+    const createSeeded = () => new ChineseIdGenerator({ seed: 22 })
+      .registerField('employeeNo', ({ rng }) => `E${rng.integer(100000, 999999)}`);
+    const batch = createSeeded().generateBatch(5);
+    expect(createSeeded().generateBatch(5)).toEqual(batch);
+    batch.forEach(record => expect(record.employeeNo).toMatch(/^E\d{6}$/));
+    
+    fieldGenerator.removeField('wechatId').removeField('employeeNo');
+    expect(fieldGenerator.generatePersonInfo()).not.toHaveProperty('employeeNo');
+  });
+
+  test('自定义字段的注册校验与依赖错误', async () => {
+    const fieldGenerator = new ChineseIdGenerator();
+    expect(() => fieldGenerator.registerField('phone', () => '1')).toThrow('与内置字段重名');
+    expect(() => fieldGenerator.registerField('', () => '1')).toThrow('字段名必须是非空字符串');
+    expect(() => fieldGenerator.registerField('foo', 'bar')).toThrow('插件必须是函数');
+    expect(() => fieldGenerator.registerField('foo', () => 1, { dependsOn: 'bar' })).toThrow('dependsOn必须是字段名数组');
+    
+    fieldGenerator.registerField('a', () => 1, { dependsOn: ['missing'] });
+    expect(() => fieldGenerator.generatePersonInfo()).toThrow('字段a依赖的字段missing不存在');
+    
+    fieldGenerator.registerField('missing', () => 1, { dependsOn: ['a'] });
+    expect(() => fieldGenerator.generatePersonInfo()).toThrow('自定义字段存在循环依赖: a -> missing -> a');
+    
+    // 字段插件无法传递到工作线程
+    fieldGenerator.removeField('missing');
+    await expect(fieldGenerator.generateBatchParallel(10)).rejects.toThrow('generateBatchParallel不支持插件');
+  });
+
+  test('严格模式下插件错误抛出PluginError', () => {
+    const { PluginError } = require('../src');
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    
+    try {
+      // 非严格模式：警告并回退
+      const lenient = new ChineseIdGenerator();
+      lenient.registerPlugin('phoneGenerator', () => { throw new Error('号段已用完'); });
+      lenient.registerField('employeeNo', () => 'bad', { validate: value => value.startsWith('E') });
+      const person = lenient.generatePersonInfo();
+      expect(person.phone).toMatch(/^1\d{10}$/);
+      expect(person.employeeNo).toBeNull();
+      expect(warn).toHaveBeenCalledTimes(2);
+      
+      // 严格模式：插件抛出异常
+      const strict = new ChineseIdGenerator({ strict: true });
+      strict.registerPlugin('phoneGenerator', () => { throw new Error('号段已用完'); });
+      let error = null;
+      try {
+        strict.generatePersonInfo();
+      } catch (e) {
+        error = e;
+      }
+      expect(error).toBeInstanceOf(PluginError);
+      expect(error.plugin).toBe('phoneGenerator');
+      expect(error.cause.message).toBe('号段已用完');
+      
+      // 严格模式：插件返回无效结果
+      strict.registerPlugin('phoneGenerator', () => 'invalid');
+      expect(() => strict.generatePersonInfo()).toThrow(PluginError);
+      
+      // 严格模式：自定义字段未通过校验
+      strict.removePlugin('phoneGenerator');
+      strict.registerField('employeeNo', () => 'bad', { validate: value => value.startsWith('E') });
+      expect(() => strict.generateBatch(3)).toThrow('字段employeeNo的插件返回了无效结果');
+      expect(warn).toHaveBeenCalledTimes(2);
+    } finally {
+      warn.mockRestore();
+    }
+  });
+
+  test('逐级浏览地区', () => {
+    const provinces = generator.listProvinces();
+    expect(provinces.length).toBe(34);
+    expect(provinces[0]).toEqual({ code: '110000', name: '北京市', level: 'province', path: '北京市' });
+    
+    const cities = generator.listCities('420000');
+    expect(generator.listCities('42')).toEqual(cities);
+    expect(cities.find(item => item.code === '420100')).toEqual({ code: '420100', name: '武汉市', level: 'city', path: '湖北省武汉市' });
+    expect(generator.listCities('11')).toEqual([{ code: '110100', name: '北京市', level: 'city', path: '北京市' }]);
+    expect(generator.listCities('99')).toEqual([]);
+    
+    const districts = generator.listDistricts('4201');
+    expect(districts.map(item => item.path)).toContain('湖北省武汉市江岸区');
+    expect(districts.every(item => item.level === 'district' && item.name !== '市辖区')).toBe(true);
+    expect(generator.listDistricts('110000')).toEqual(generator.listDistricts('110100'));
+    expect(generator.listDistricts('4190').map(item => item.path)).toContain('河南省济源市');
+    
+    const towns = generator.listTowns('110105');
+    expect(towns.length).toBeGreaterThan(0);
+    towns.forEach(item => {
+      expect(item.code).toMatch(/^110105\d{3}$/);
+      expect(item.path).toBe(`北京市朝阳区${item.name}`);
+    });
+    
+    expect(() => generator.listCities('4')).toThrow('省份编码必须是2位或6位数字');
+    expect(() => generator.listDistricts('42')).toThrow('城市编码必须是4位或6位数字');
+    expect(() => generator.listTowns('4201')).toThrow('区县编码必须是6位数字');
+  });
+
+  test('搜索地区按得分排序并返回完整路径', () => {
+    const results = generator.searchAreas('朝阳');
+    const beijing = results.find(item => item.code === '110105');
+    const changchun = results.find(item => item.code === '220104');
+    expect(beijing).toMatchObject({ name: '朝阳区', level: 'district', path: '北京市朝阳区' });
+    expect(changchun.path).toBe('吉林省长春市朝阳区');
+    expect(beijing.score).toBe(changchun.score);
+    for (let i = 1; i < results.length; i++) {
+      expect(results[i].score).toBeLessThanOrEqual(results[i - 1].score);
+    }
+    
+    // 完整路径精确匹配得分最高
+    expect(generator.searchAreas('吉林省长春市朝阳区')[0]).toMatchObject({ code: '220104', score: 100 });
+    expect(generator.searchAreas('长春朝阳').map(item => item.code)).toEqual(['220104']);
+    
+    // 按级别搜索
+    const towns = generator.searchAreas('望京', { level: 'town' });
+    expect(towns.map(item => item.path)).toContain('北京市朝阳区望京街道');
+    expect(generator.searchAreas('望京')).toEqual([]);
+    expect(generator.searchAreas('武汉', { level: ['city'], limit: 1 })).toEqual([
+      { code: '420100', name: '武汉市', level: 'city', path: '湖北省武汉市', score: 90 }
+    ]);
+    expect(() => generator.searchAreas('武汉', { level: 'village' })).toThrow('不支持的地区级别');
+  });
+
+  test('地区名称支持简称、去后缀名称和拼音', () => {
+    const resolve = name => generator._getAreaCodeByName(name);
+    expect(resolve('京')).toBe('110000');
+    expect(resolve('沪')).toBe('310000');
+    expect(resolve('粤')).toBe('440000');
+    expect(resolve('鄂')).toBe('420000');
+    expect(resolve('beijing')).toBe('110000');
+    expect(resolve('Bei Jing')).toBe('110000');
+    expect(resolve('wuhan')).toBe('420100');
+    expect(resolve('武汉市')).toBe('420100');
+    expect(resolve('广西')).toBe('450000');
+    expect(resolve('恩施州')).toBe('422800');
+    
+    // 地名多音字按地名读音
+    expect(resolve('chongqing')).toBe('500000');
+    expect(resolve('xiamen')).toBe('350200');
+    expect(resolve('shaanxi')).toBe('610000');
+    expect(resolve('shanxi')).toBe('140000');
+    
+    // 通过拼音解析地区生成身份证
+    expect(generator.resolveAreaCode('wuhan').substring(0, 4)).toBe('4201');
+  });
+
+  test('地区名称匹配到多个地区时给出警告', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    
+    try {
+      // 唯一匹配不警告
+      expect(generator._getAreaCodeByName('wuhan')).toBe('420100');
+      expect(warn).not.toHaveBeenCalled();
+      
+      // 拼音首字母按级别和人口排序，并列出候选地区
+      expect(generator._getAreaCodeByName('sz')).toBe('440300');
+      expect(warn).toHaveBeenCalledTimes(1);
+      expect(warn.mock.calls[0][0]).toContain('广东省深圳市(440300)');
+      expect(warn.mock.calls[0][0]).toContain('江苏省苏州市(320500)');
+      expect(generator._getAreaCodeByName('bj')).toBe('110000');
+      
+      // 同名区县不再静默选择
+      expect(generator._findAreaCandidates('朝阳区')).toEqual(['110105', '220104']);
+      generator._getAreaCodeByName('朝阳区');
+      expect(warn.mock.calls[2][0]).toContain('吉林省长春市朝阳区');
+      
+      // 完整路径可以精确指定
+      expect(generator._findAreaCandidates('吉林省长春市朝阳区')).toEqual(['220104']);
+    } finally {
+      warn.mockRestore();
+    }
+    
+    // 搜索结果同样支持拼音和简称
+    expect(generator.searchAreas('鄂')[0]).toMatchObject({ code: '420000', score: 90 });
+    expect(generator.searchAreas('sz', { level: 'city' }).map(item => item.code)).toEqual(expect.arrayContaining(['440300', '320500']));
+    expect(generator.searchAreas('wuha', { level: 'city' }).map(item => item.code)).toContain('420100');
+  });
+
+  test('按地区名称生成时返回实际使用的地区编码和路径', () => {
+    const person = generator.generatePersonInfoByAreaAndAge('武汉', 30);
+    expect(person.areaCode).toBe(person.idCard.substring(0, 6));
+    expect(person.areaCode.substring(0, 4)).toBe('4201');
+    expect(person.areaPath).toMatch(/^湖北省武汉市.+区$/);
+    
+    expect(() => generator.registerField('areaPath', () => '')).toThrow('与内置字段重名');
+    
+    // areaCode、areaPath在自定义字段之后附加，不能作为依赖
+    const dependent = new ChineseIdGenerator().registerField('region', ctx => ctx.person.areaPath, { dependsOn: ['areaPath'] });
+    expect(() => dependent.generatePersonInfoByAreaAndAge('武汉', 30)).toThrow('依赖的字段areaPath不存在');
+    
+    // 非严格模式下未知地区仍回退到北京市东城区
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    try {
+      const fallback = generator.generatePersonInfoByAreaAndAge('火星', 30);
+      expect(fallback.areaCode).toBe('110101');
+      expect(fallback.areaPath).toBe('北京市东城区');
+      expect(warn).toHaveBeenCalledTimes(1);
+    } finally {
+      warn.mockRestore();
+    }
+  });
+
+  test('严格模式下地区无法识别或有歧义时抛出AreaResolutionError', () => {
+    const { AreaResolutionError } = require('../src');
+    const strict = new ChineseIdGenerator({ strict: true });
+    const catchError = fn => {
+      try {
+        fn();
+      } catch (error) {
+        return error;
+      }
+      return null;
+    };
+    
+    const notFound = catchError(() => strict.generatePersonInfoByAreaAndAge('火星', 30));
+    expect(notFound).toBeInstanceOf(AreaResolutionError);
+    expect(notFound.reason).toBe('notFound');
+    expect(notFound.areaName).toBe('火星');
+    
+    // 名称有误时提示相近的地区
+    const typo = catchError(() => strict.generatePersonInfoByAreaAndAge('武汉x', 30));
+    expect(typo.reason).toBe('notFound');
+    expect(typo.candidates[0]).toEqual({ code: '420100', path: '湖北省武汉市' });
+    expect(typo.message).toContain('湖北省武汉市(420100)');
+    
+    // strict模式下歧义默认抛出，并列出候选地区
+    const ambiguous = catchError(() => strict.generatePersonInfoByAreaAndAge('朝阳区', 30));
+    expect(ambiguous).toBeInstanceOf(AreaResolutionError);
+    expect(ambiguous.reason).toBe('ambiguous');
+    expect(ambiguous.candidates).toEqual([
+      { code: '110105', path: '北京市朝阳区' },
+      { code: '220104', path: '吉林省长春市朝阳区' }
+    ]);
+    expect(ambiguous.message).toContain('吉林省长春市朝阳区(220104)');
+    
+    // 唯一匹配正常生成
+    expect(strict.generatePersonInfoByAreaAndAge('吉林省长春市朝阳区', 30).areaCode).toBe('220104');
+    
+    // 单次解析可以覆盖歧义处理方式
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    try {
+      expect(strict.resolveAreaCode('朝阳区', { onAmbiguous: 'first' })).toBe('110105');
+      expect(warn).toHaveBeenCalledTimes(1);
+    } finally {
+      warn.mockRestore();
+    }
+  });
+
+  test('onAmbiguous控制同名地区的选择方式', () => {
+    const randomGenerator = new ChineseIdGenerator({ seed: 25, onAmbiguous: 'random' });
+    const codes = new Set();
+    for (let i = 0; i < 50; i++) {
+      codes.add(randomGenerator.resolveAreaCode('朝阳区'));
+    }
+    expect(Array.from(codes).sort()).toEqual(['110105', '220104']);
+    
+    // 设置种子时随机选择可复现
+    const pick = () => {
+      const seeded = new ChineseIdGenerator({ seed: 25, onAmbiguous: 'random' });
+      return Array.from({ length: 10 }, () => seeded.resolveAreaCode('朝阳区'));
+    };
+    expect(pick()).toEqual(pick());
+    
+    const throwing = new ChineseIdGenerator({ onAmbiguous: 'throw' });
+    expect(() => throwing.resolveAreaCode('sz')).toThrow('匹配到');
+    expect(throwing.resolveAreaCode('火星')).toBeNull();
+    
+    expect(() => new ChineseIdGenerator({ onAmbiguous: 'last' })).toThrow('不支持的歧义处理方式');
+    expect(() => generator.resolveAreaCode('朝阳区', { onAmbiguous: 'last' })).toThrow('不支持的歧义处理方式');
+  });
+});
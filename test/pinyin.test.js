@@ -0,0 +1,43 @@
+/**
+ * 拼音转换工具单元测试
+ *
+ * 使用 Jest 测试框架运行：npx jest
+ */
+
+const { toPinyin, toPinyinArray, formatTone, nameToPinyin, nameToEmailPrefix } = require('../src/utils/pinyin');
+
+describe('pinyin', () => {
+  test('应该覆盖GB2312全部汉字', () => {
+    const decoder = new TextDecoder('gb2312');
+    const missing = [];
+    for (let row = 0xB0; row <= 0xF7; row++) {
+      for (let col = 0xA1; col <= 0xFE; col++) {
+        const char = decoder.decode(new Uint8Array([row, col]));
+        if (/[一-龥]/.test(char) && !toPinyin(char)) {
+          missing.push(char);
+        }
+      }
+    }
+    expect(missing).toEqual([]);
+  });
+
+  test('应该支持无声调、声调符号和数字声调', () => {
+    expect(toPinyin('中国')).toBe('zhongguo');
+    expect(toPinyin('中国', true)).toBe('zg');
+    expect(toPinyinArray('绿色', { tone: 'mark' })).toEqual(['lǜ', 'sè']);
+    expect(toPinyinArray('绿色', { tone: 'number' })).toEqual(['lv4', 'se4']);
+    expect(toPinyinArray('绿色')).toEqual(['lv', 'se']);
+    expect(formatTone('de', 'number')).toBe('de5');
+    expect(() => toPinyinArray('中', { tone: 'x' })).toThrow('不支持的声调格式');
+  });
+
+  test('姓氏多音字应该使用姓氏读音', () => {
+    expect(nameToPinyin('张三')).toEqual({ full: 'Zhang San', initials: 'ZS' });
+    expect(nameToPinyin('曾国藩').full).toBe('Zeng Guofan');
+    expect(nameToPinyin('单雄信', { tone: 'mark' }).full).toBe('Shàn Xióngxìn');
+    expect(nameToPinyin('解缙').full).toBe('Xie Jin');
+    expect(nameToPinyin('仇英', { tone: 'number' }).full).toBe('Qiu2 Ying1');
+    expect(nameToPinyin('欧阳修')).toEqual({ full: 'Ouyang Xiu', initials: 'OYX' });
+    expect(nameToEmailPrefix('单田芳', '单')).toBe('shantianfang');
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * HTTP模拟服务单元测试
+ *
+ * 使用 Jest 测试框架运行：npx jest
+ */
+
+const http = require('http');
+const { createServer } = require('../src/server');
+const IdValidator = require('id-validator');
+
+describe('createServer', () => {
+  const validator = new IdValidator();
+  let server;
+  let baseUrl;
+
+  /**
+   * 发送GET请求并解析JSON响应
+   * @param {string} path 请求路径
+   * @returns {Promise<Object>} { status, body }
+   */
+  function get(path) {
+    return new Promise((resolve, reject) => {
+      http.get(baseUrl + encodeURI(path), res => {
+        let data = '';
+        res.setEncoding('utf8');
+        res.on('data', chunk => { data += chunk; });
+        res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(data) }));
+      }).on('error', reject);
+    });
+  }
+
+  beforeAll(done => {
+    server = createServer({ seed: 1 });
+    server.listen(0, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterAll(done => {
+    server.close(done);
+  });
+
+  test('GET /id应该返回符合条件的身份证号', async () => {
+    const { status, body } = await get('/id?area=北京&age=30&gender=female');
+    expect(status).toBe(200);
+    expect(validator.isValid(body.idCard)).toBe(true);
+    expect(body.idCard.substring(0, 2)).toBe('11');
+    expect(parseInt(body.idCard.charAt(16)) % 2).toBe(0);
+  });
+
+  test('GET /person和/batch应该返回个人信息', async () => {
+    const person = await get('/person?area=武汉');
+    expect(person.status).toBe(200);
+    expect(person.body.address).toContain('武汉市');
+
+    const batch = await get('/batch?count=5&area=上海&age=25&gender=male');
+    expect(batch.status).toBe(200);
+    expect(batch.body.length).toBe(5);
+    batch.body.forEach(item => {
+      expect(item.age).toBe(25);
+      expect(item.gender).toBe('男');
+    });
+
+    // 市级地区应该为每条记录选择区县
+    const wuhan = await get('/batch?count=8&area=武汉');
+    expect(wuhan.status).toBe(200);
+    wuhan.body.forEach(item => expect(item.idCard.substring(0, 4)).toBe('4201'));
+    expect(new Set(wuhan.body.map(item => item.idCard.substring(0, 6))).size).toBeGreaterThan(1);
+  });
+
+  test('GET /validate/:id和/areas应该返回校验和搜索结果', async () => {
+    const validation = await get('/validate/11010519900230123X');
+    expect(validation.status).toBe(200);
+    expect(validation.body.valid).toBe(false);
+    expect(validation.body.errors.map(error => error.rule)).toContain('date');
+
+    const areas = await get('/areas?q=朝阳');
+    expect(areas.status).toBe(200);
+    expect(areas.body.map(item => item.path)).toContain('北京市朝阳区');
+
+    const towns = await get('/areas?q=望京&level=town');
+    expect(towns.body.map(item => item.path)).toContain('北京市朝阳区望京街道');
+  });
+
+  test('参数错误时应该返回400，未知接口返回404', async () => {
+    expect((await get('/batch?count=abc')).status).toBe(400);
+    expect((await get('/id?gender=x')).status).toBe(400);
+    expect((await get('/person?area=火星')).status).toBe(400);
+    expect((await get('/id?birthday=19990230')).status).toBe(400);
+    expect((await get(`/id?birthday=${new Date().getFullYear() + 1}0101`)).status).toBe(400);
+    expect((await get('/person?minAge=30&maxAge=20')).status).toBe(400);
+    expect((await get('/areas')).status).toBe(400);
+    expect((await get('/areas?q=朝阳&level=village')).status).toBe(400);
+
+    const notFound = await get('/unknown');
+    expect(notFound.status).toBe(404);
+    expect(notFound.body.error).toContain('/unknown');
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * 导出工具单元测试
+ *
+ * 使用 Jest 测试框架运行：npx jest
+ */
+
+const ChineseIdGenerator = require('../src/idGenerator');
+const { toCSV, toJSONL, toSQL } = require('../src/utils/writers');
+
+/**
+ * 读取文本流的全部内容
+ * @param {Readable} stream 文本可读流
+ * @returns {Promise<string>} 内容
+ */
+async function readAll(stream) {
+  let output = '';
+  for await (const chunk of stream) {
+    output += chunk;
+  }
+  return output;
+}
+
+describe('writers', () => {
+  const records = [
+    { name: '张三', age: 30, address: '北京市朝阳区"星光"大厦,1号' },
+    { name: "O'Neil", age: 25, address: null }
+  ];
+
+  test('toCSV应该正确转义并支持BOM和中文表头', () => {
+    const csv = toCSV(records, { bom: true, chineseHeaders: true });
+    const lines = csv.split('\r\n');
+
+    expect(csv.charAt(0)).toBe('\uFEFF');
+    expect(lines[0]).toBe('\uFEFF姓名,年龄,地址');
+    expect(lines[1]).toBe('张三,30,"北京市朝阳区""星光""大厦,1号"');
+    expect(lines[2]).toBe("O'Neil,25,");
+
+    const custom = toCSV(records, { fields: ['age', 'name'], headers: { age: 'AGE' } });
+    expect(custom.split('\r\n')[0]).toBe('AGE,name');
+    expect(toCSV(records, { headers: false }).startsWith('张三')).toBe(true);
+  });
+
+  test('toJSONL应该每行输出一个JSON对象', () => {
+    const lines = toJSONL(records, { fields: ['name'] }).trim().split('\n');
+    expect(lines.map(line => JSON.parse(line))).toEqual([{ name: '张三' }, { name: "O'Neil" }]);
+  });
+
+  test('toSQL应该按方言转义并合并多行INSERT', () => {
+    const mysql = toSQL(records, { table: 'users', batchSize: 1, fields: ['name', 'age', 'address'] });
+    expect(mysql).toBe(
+      "INSERT INTO `users` (`name`, `age`, `address`) VALUES\n('张三', 30, '北京市朝阳区\"星光\"大厦,1号');\n" +
+      "INSERT INTO `users` (`name`, `age`, `address`) VALUES\n('O''Neil', 25, NULL);\n"
+    );
+
+    const postgres = toSQL([{ path: 'C:\\temp' }], { dialect: 'postgresql', table: 'public.t' });
+    expect(postgres).toBe('INSERT INTO "public"."t" ("path") VALUES\n(\'C:\\temp\');\n');
+
+    expect(toSQL([{ path: 'C:\\temp' }])).toContain("'C:\\\\temp'");
+    expect(() => toSQL(records, { dialect: 'oracle' })).toThrow('不支持的SQL方言');
+  });
+
+  test('流式输入应该与数组输入得到相同结果', async () => {
+    const people = new ChineseIdGenerator({ seed: 1 }).generateBatch(50);
+    const stream = new ChineseIdGenerator({ seed: 1 }).generateStream(50, {}, { chunkSize: 20 });
+
+    expect(await readAll(toSQL(stream, { batchSize: 20 }))).toBe(toSQL(people, { batchSize: 20 }));
+    expect(await readAll(toCSV(new ChineseIdGenerator({ seed: 1 }).generateIterator(50)))).toBe(toCSV(people));
+  });
+});